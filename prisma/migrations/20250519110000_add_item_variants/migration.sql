@@ -0,0 +1,43 @@
+-- CreateTable
+CREATE TABLE "ItemVariant" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "itemId" INTEGER NOT NULL,
+    "sku" TEXT NOT NULL,
+    "size" TEXT,
+    "color" TEXT,
+    "stock" INTEGER NOT NULL DEFAULT 0,
+    "price" REAL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "ItemVariant_itemId_fkey" FOREIGN KEY ("itemId") REFERENCES "Item" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_OrderLine" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "orderId" INTEGER NOT NULL,
+    "itemId" INTEGER NOT NULL,
+    "variantId" INTEGER,
+    "sku" TEXT,
+    "itemName" TEXT NOT NULL,
+    "unitPrice" REAL NOT NULL,
+    "quantity" INTEGER NOT NULL,
+    "lineTotal" REAL NOT NULL,
+    CONSTRAINT "OrderLine_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "Order" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "OrderLine_itemId_fkey" FOREIGN KEY ("itemId") REFERENCES "Item" ("id") ON DELETE RESTRICT ON UPDATE CASCADE,
+    CONSTRAINT "OrderLine_variantId_fkey" FOREIGN KEY ("variantId") REFERENCES "ItemVariant" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+INSERT INTO "new_OrderLine" ("id", "itemId", "itemName", "lineTotal", "orderId", "quantity", "unitPrice") SELECT "id", "itemId", "itemName", "lineTotal", "orderId", "quantity", "unitPrice" FROM "OrderLine";
+DROP TABLE "OrderLine";
+ALTER TABLE "new_OrderLine" RENAME TO "OrderLine";
+CREATE INDEX "OrderLine_orderId_idx" ON "OrderLine"("orderId");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ItemVariant_sku_key" ON "ItemVariant"("sku");
+
+-- CreateIndex
+CREATE INDEX "ItemVariant_itemId_idx" ON "ItemVariant"("itemId");
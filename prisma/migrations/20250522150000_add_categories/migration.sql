@@ -0,0 +1,91 @@
+-- CreateTable
+CREATE TABLE "Category" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "name" TEXT NOT NULL,
+    "slug" TEXT NOT NULL,
+    "parentId" INTEGER,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "Category_parentId_fkey" FOREIGN KEY ("parentId") REFERENCES "Category" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_Item" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "name" TEXT NOT NULL,
+    "category" TEXT NOT NULL,
+    "categoryId" INTEGER,
+    "description" TEXT NOT NULL,
+    "cost" REAL NOT NULL,
+    "thumbnailUrl" TEXT NOT NULL,
+    "imageUrl" TEXT NOT NULL,
+    "size" TEXT,
+    "color" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    "deletedAt" DATETIME,
+    CONSTRAINT "Item_categoryId_fkey" FOREIGN KEY ("categoryId") REFERENCES "Category" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+INSERT INTO "new_Item" ("category", "color", "cost", "createdAt", "deletedAt", "description", "id", "imageUrl", "name", "size", "thumbnailUrl", "updatedAt") SELECT "category", "color", "cost", "createdAt", "deletedAt", "description", "id", "imageUrl", "name", "size", "thumbnailUrl", "updatedAt" FROM "Item";
+DROP TABLE "Item";
+ALTER TABLE "new_Item" RENAME TO "Item";
+CREATE INDEX "Item_categoryId_idx" ON "Item"("categoryId");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Category_slug_key" ON "Category"("slug");
+
+-- CreateIndex
+CREATE INDEX "Category_parentId_idx" ON "Category"("parentId");
+
+-- Backfill: one top-level category per distinct Item.category slug, so "Clothing" and
+-- " clothing" end up in the same category. Slugs follow src/utils/slugify.js: lowercase,
+-- common accents stripped, every run of other characters turned into a single "-" and no
+-- leading or trailing "-", so "Home & Garden" becomes "home-garden". Synonyms such as
+-- "Apparel" still become separate categories; merge them afterwards with
+-- POST /api/categories/:id/merge.
+CREATE TEMP TABLE "CategorySlug" AS
+WITH RECURSIVE
+    "names"("name") AS (
+        SELECT DISTINCT trim("category") FROM "Item"
+    ),
+    "chars"("name", "pos", "slug") AS (
+        SELECT "name", 1, '' FROM "names"
+        UNION ALL
+        SELECT "name", "pos" + 1, "slug" || (
+            SELECT CASE
+                WHEN "c" GLOB '[a-z0-9]' THEN "c"
+                WHEN instr('ÀÁÂÃÄÅàáâãäåÇçÈÉÊËèéêëÌÍÎÏìíîïÑñÒÓÔÕÖòóôõöÙÚÛÜùúûüÝýÿ', "c") > 0
+                    THEN substr('aaaaaaaaaaaacceeeeeeeeiiiiiiiinnoooooooooouuuuuuuuyyy', instr('ÀÁÂÃÄÅàáâãäåÇçÈÉÊËèéêëÌÍÎÏìíîïÑñÒÓÔÕÖòóôõöÙÚÛÜùúûüÝýÿ', "c"), 1)
+                WHEN "slug" = '' OR "slug" GLOB '*-' THEN ''
+                ELSE '-'
+            END
+            FROM (SELECT lower(substr("name", "pos", 1)) AS "c")
+        )
+        FROM "chars"
+        WHERE "pos" <= length("name")
+    )
+SELECT "name", coalesce(nullif(rtrim("slug", '-'), ''), 'uncategorized') AS "slug"
+FROM "chars"
+WHERE "pos" = length("name") + 1;
+
+INSERT INTO "Category" ("name", "slug", "updatedAt")
+SELECT MIN("name"), "slug", CURRENT_TIMESTAMP
+FROM "CategorySlug"
+GROUP BY "slug";
+
+UPDATE "Item"
+SET "categoryId" = (
+    SELECT "Category"."id" FROM "Category"
+    JOIN "CategorySlug" ON "CategorySlug"."slug" = "Category"."slug"
+    WHERE "CategorySlug"."name" = trim("Item"."category")
+);
+
+UPDATE "Item"
+SET "category" = (SELECT "name" FROM "Category" WHERE "Category"."id" = "Item"."categoryId")
+WHERE "categoryId" IS NOT NULL;
+
+DROP TABLE "CategorySlug";
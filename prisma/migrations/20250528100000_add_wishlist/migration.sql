@@ -0,0 +1,15 @@
+-- CreateTable
+CREATE TABLE "WishlistItem" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "userId" INTEGER NOT NULL,
+    "itemId" INTEGER NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "WishlistItem_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "WishlistItem_itemId_fkey" FOREIGN KEY ("itemId") REFERENCES "Item" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "WishlistItem_itemId_idx" ON "WishlistItem"("itemId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "WishlistItem_userId_itemId_key" ON "WishlistItem"("userId", "itemId");
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN "lockedAt" DATETIME;
+ALTER TABLE "User" ADD COLUMN "lockReason" TEXT;
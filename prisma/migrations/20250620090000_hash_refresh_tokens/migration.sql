@@ -0,0 +1,12 @@
+-- Existing refresh tokens are stored in plain text and SQLite can't hash them, so they are
+-- dropped: users sign in again once their current access token expires.
+DELETE FROM "RefreshToken";
+
+-- DropIndex
+DROP INDEX "RefreshToken_token_key";
+
+-- AlterTable
+ALTER TABLE "RefreshToken" RENAME COLUMN "token" TO "tokenHash";
+
+-- CreateIndex
+CREATE UNIQUE INDEX "RefreshToken_tokenHash_key" ON "RefreshToken"("tokenHash");
@@ -0,0 +1,17 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN "twoFactorSecret" TEXT;
+ALTER TABLE "User" ADD COLUMN "twoFactorEnabledAt" DATETIME;
+ALTER TABLE "User" ADD COLUMN "twoFactorLastStep" INTEGER;
+
+-- CreateTable
+CREATE TABLE "TwoFactorRecoveryCode" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "userId" INTEGER NOT NULL,
+    "codeHash" TEXT NOT NULL,
+    "usedAt" DATETIME,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "TwoFactorRecoveryCode_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "TwoFactorRecoveryCode_userId_idx" ON "TwoFactorRecoveryCode"("userId");
@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN "failedLoginAttempts" INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE "User" ADD COLUMN "lastFailedLoginAt" DATETIME;
+ALTER TABLE "User" ADD COLUMN "loginLockedUntil" DATETIME;
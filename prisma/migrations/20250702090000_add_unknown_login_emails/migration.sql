@@ -0,0 +1,10 @@
+-- CreateTable
+CREATE TABLE "UnknownLoginEmail" (
+    "email" TEXT NOT NULL PRIMARY KEY,
+    "failedLoginAttempts" INTEGER NOT NULL DEFAULT 0,
+    "lastFailedLoginAt" DATETIME,
+    "loginLockedUntil" DATETIME
+);
+
+-- CreateIndex
+CREATE INDEX "UnknownLoginEmail_lastFailedLoginAt_idx" ON "UnknownLoginEmail"("lastFailedLoginAt");
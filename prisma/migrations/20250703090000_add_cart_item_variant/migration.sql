@@ -0,0 +1,32 @@
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_CartItem" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "cartId" INTEGER NOT NULL,
+    "itemId" INTEGER NOT NULL,
+    "variantId" INTEGER,
+    "quantity" INTEGER NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "CartItem_cartId_fkey" FOREIGN KEY ("cartId") REFERENCES "Cart" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "CartItem_itemId_fkey" FOREIGN KEY ("itemId") REFERENCES "Item" ("id") ON DELETE RESTRICT ON UPDATE CASCADE,
+    CONSTRAINT "CartItem_variantId_fkey" FOREIGN KEY ("variantId") REFERENCES "ItemVariant" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+-- Existing lines keep the variant whose size and color they were added with; lines
+-- without a match stay unavailable until the customer picks a variant
+INSERT INTO "new_CartItem" ("cartId", "createdAt", "id", "itemId", "quantity", "updatedAt", "variantId")
+SELECT "cartId", "createdAt", "id", "itemId", "quantity", "updatedAt", (
+    SELECT "v"."id" FROM "ItemVariant" "v"
+    WHERE "v"."itemId" = "CartItem"."itemId"
+      AND "v"."size" IS "CartItem"."size"
+      AND "v"."color" IS "CartItem"."color"
+    ORDER BY "v"."id"
+    LIMIT 1
+) FROM "CartItem";
+DROP TABLE "CartItem";
+ALTER TABLE "new_CartItem" RENAME TO "CartItem";
+CREATE INDEX "CartItem_cartId_idx" ON "CartItem"("cartId");
+CREATE INDEX "CartItem_variantId_idx" ON "CartItem"("variantId");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
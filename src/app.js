@@ -2,46 +2,70 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const swaggerUi = require('swagger-ui-express');
-const swaggerSpec = require('./config/swagger');
-const authRoutes = require('./routes/auth');
-const tasksRoutes = require('./routes/tasks');
-const { errorHandler } = require('./middleware/errorHandler');
-const { apiLimiter, authLimiter } = require('./middleware/rateLimitingMiddleware');
+const swaggerSpecs = require('./swagger');
+const routes = require('./routes');
+const { requestLogger } = require('./middleware/requestLogger');
+const { createRateLimiter } = require('./middleware/rateLimitingMiddleware');
+const { checkMailTransport } = require('./services/mailer');
+const { notFoundHandler, errorHandler } = require('./middleware/errorHandler');
 
-const app = express();
+/**
+ * Build the Express app without listening on a port; src/server.js starts it. Throws on
+ * configuration that can't be used, such as the console mail transport in production.
+ * @param {typeof import('./config/config')} config
+ * @returns {import('express').Express}
+ */
+const createApp = (config) => {
+  checkMailTransport(config);
 
-// Force HTTPS in production
-if (process.env.NODE_ENV === 'production') {
+  const app = express();
+  app.set('env', config.server.env);
+  app.set('trust proxy', config.server.trustProxy);
+
+  // Request ids and access logs, first so every response gets an id
+  app.use(requestLogger);
+
+  // Behind a proxy, req.secure only reflects X-Forwarded-Proto when TRUST_PROXY is set
+  if (config.server.forceHttps) {
     app.use((req, res, next) => {
-        if (req.header('x-forwarded-proto') !== 'https') {
-            res.redirect(`https://${req.header('host')}${req.url}`);
-        } else {
-            next();
-        }
+      if (req.secure) {
+        return next();
+      }
+      res.redirect(308, `https://${req.hostname}${req.originalUrl}`);
     });
-}
+  }
+
+  // Middleware
+  app.use(helmet());
+  app.use(cors({
+    origin: config.cors.origin,
+    methods: config.cors.methods,
+    allowedHeaders: config.cors.allowedHeaders,
+    exposedHeaders: config.cors.exposedHeaders
+  }));
+  // Keep the raw body as well: payment webhook signatures are computed over the exact bytes sent
+  app.use(express.json({
+    limit: config.server.bodyLimit,
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    }
+  }));
 
-// Security middleware
-app.use(helmet()); // Adds various HTTP headers for security
-app.use(cors({
-    origin: process.env.ALLOWED_ORIGINS?.split(',') || '*',
-    methods: ['GET', 'POST', 'PUT', 'DELETE'],
-    allowedHeaders: ['Content-Type', 'Authorization']
-}));
-app.use(express.json({ limit: '10kb' })); // Limit payload size
+  // Swagger documentation
+  app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpecs));
 
-// Swagger UI
-app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
+  // Rate limiting, per policy in config/rateLimits.js
+  app.use('/api', createRateLimiter(config.rateLimit));
 
-// Apply rate limiting
-app.use('/api/', apiLimiter);
-app.use('/api/auth/', authLimiter);
+  // Routes
+  app.use('/api', routes);
 
-// Routes
-app.use('/api/auth', authRoutes);
-app.use('/api/tasks', tasksRoutes);
+  app.use(notFoundHandler);
+  app.use(errorHandler);
 
-// Error handling (must be last)
-app.use(errorHandler);
+  return app;
+};
 
-module.exports = app; 
\ No newline at end of file
+module.exports = {
+  createApp
+};
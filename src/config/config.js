@@ -14,14 +14,54 @@ module.exports = {
   server: {
     port: process.env.PORT || 3000,
     env: process.env.NODE_ENV || 'development',
+    trustProxy: parseInt(process.env.TRUST_PROXY, 10) || 0, // reverse proxies in front of the app, so req.ip and req.secure see the client
+    forceHttps: process.env.FORCE_HTTPS ? process.env.FORCE_HTTPS === 'true' : process.env.NODE_ENV === 'production',
+    bodyLimit: process.env.BODY_LIMIT || '100kb',
+    shutdownTimeout: parseInt(process.env.SHUTDOWN_TIMEOUT, 10) || 10000, // ms to wait for open requests on SIGTERM
   },
   cors: {
-    origin: process.env.CORS_ORIGIN || '*',
+    origin: process.env.CORS_ORIGIN ? process.env.CORS_ORIGIN.split(',') : '*',
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'],
-    allowedHeaders: ['Content-Type', 'Authorization'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-Id'],
+    exposedHeaders: ['X-Request-Id', 'Retry-After'],
+  },
+  logging: {
+    level: process.env.LOG_LEVEL || 'info', // error | warn | info | debug
+  },
+  payments: {
+    provider: process.env.PAYMENT_PROVIDER || 'mock',
+    currency: process.env.PAYMENT_CURRENCY || 'usd',
+    webhookSecret: process.env.PAYMENT_WEBHOOK_SECRET || 'your-webhook-secret',
+    webhookTolerance: parseInt(process.env.PAYMENT_WEBHOOK_TOLERANCE, 10) || 300, // seconds a signed webhook stays valid
+  },
+  mail: {
+    // smtp | file | console; console is only a default, and only allowed, outside production
+    transport: process.env.MAIL_TRANSPORT || (['development', 'test'].includes(process.env.NODE_ENV || 'development') ? 'console' : undefined),
+    from: process.env.MAIL_FROM || 'E-commerce API <no-reply@example.com>',
+    appUrl: process.env.APP_URL || 'http://localhost:3000', // base of the links in emails
+    fileDir: process.env.MAIL_FILE_DIR || 'tmp/mail',
+    smtp: {
+      host: process.env.SMTP_HOST || 'localhost',
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS,
+    },
+  },
+  auth: {
+    emailVerificationExpiry: parseInt(process.env.EMAIL_VERIFICATION_EXPIRY, 10) || 86400, // 24 hours in seconds
+    passwordResetExpiry: parseInt(process.env.PASSWORD_RESET_EXPIRY, 10) || 3600, // 1 hour in seconds
+    loginMaxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 5, // failures before an account is locked out
+    loginLockoutDuration: parseInt(process.env.LOGIN_LOCKOUT_DURATION, 10) || 900, // 15 minutes in seconds
+    loginDelayBase: parseInt(process.env.LOGIN_DELAY_BASE, 10) || 1, // seconds to wait after the first failure, doubling each time
+  },
+  twoFactor: {
+    issuer: process.env.TWO_FACTOR_ISSUER || 'E-commerce API', // name shown in authenticator apps
+    encryptionKey: process.env.TWO_FACTOR_ENCRYPTION_KEY || 'your-2fa-encryption-key', // encrypts stored TOTP secrets
+    challengeExpiry: process.env.TWO_FACTOR_CHALLENGE_EXPIRY || '5m',
+    recoveryCodeCount: 10,
   },
   rateLimit: {
-    windowMs: 15 * 60 * 1000, // 15 minutes
-    max: 100 // limit each IP to 100 requests per windowMs
+    store: process.env.RATE_LIMIT_STORE || 'prisma', // prisma | memory; policies are in config/rateLimits.js
   }
 }; 
\ No newline at end of file
@@ -0,0 +1,8 @@
+const { PrismaClient } = require('@prisma/client');
+
+// One client for the whole app, so there is a single connection pool to close on shutdown
+const prisma = new PrismaClient();
+
+module.exports = {
+  prisma
+};
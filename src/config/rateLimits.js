@@ -0,0 +1,72 @@
+/**
+ * Rate-limit policies for everything under /api. Each request is counted against the
+ * first policy that matches it, and only that one.
+ *
+ * @typedef {object} RateLimitPolicy
+ * @property {string} name Also prefixes the policy's keys in the store
+ * @property {(req: import('express').Request) => boolean} match Paths are relative to /api
+ * @property {boolean} [exempt] Matching requests are not limited at all
+ * @property {number} [windowMs]
+ * @property {number} [anonymous] Requests per window for each client IP
+ * @property {number} [authenticated] Requests per window for each user with a valid access
+ *   token; defaults to the anonymous limit
+ * @property {'ip'} [keyBy] Always count per IP, even for logged-in users
+ * @property {boolean} [skipSuccessfulRequests] Only count responses with an error status
+ */
+
+const MINUTE = 60 * 1000;
+
+const isRead = (req) => req.method === 'GET' || req.method === 'HEAD';
+
+/** @type {RateLimitPolicy[]} */
+const RATE_LIMIT_POLICIES = [
+  {
+    // Signed by the payment provider, which retries on 429 and would only delay settlement
+    name: 'webhook',
+    match: (req) => req.method === 'POST' && req.path === '/payments/webhook',
+    exempt: true
+  },
+  {
+    // Backs up the per-account lockout in src/services/loginThrottle.js
+    name: 'login',
+    match: (req) => req.method === 'POST' && ['/auth/login', '/auth/login/2fa'].includes(req.path),
+    windowMs: 60 * MINUTE,
+    anonymous: 5,
+    keyBy: 'ip',
+    skipSuccessfulRequests: true
+  },
+  {
+    // Endpoints that send email or redeem emailed tokens
+    name: 'authEmail',
+    match: (req) => req.method === 'POST'
+      && ['/auth/register', '/auth/resend-verification', '/auth/forgot-password', '/auth/reset-password'].includes(req.path),
+    windowMs: 60 * MINUTE,
+    anonymous: 5,
+    keyBy: 'ip'
+  },
+  {
+    name: 'search',
+    match: (req) => req.method === 'POST' && req.path === '/items/search',
+    windowMs: MINUTE,
+    anonymous: 30,
+    authenticated: 60
+  },
+  {
+    name: 'read',
+    match: isRead,
+    windowMs: 15 * MINUTE,
+    anonymous: 300,
+    authenticated: 1000
+  },
+  {
+    name: 'write',
+    match: () => true,
+    windowMs: 15 * MINUTE,
+    anonymous: 50,
+    authenticated: 200
+  }
+];
+
+module.exports = {
+  RATE_LIMIT_POLICIES
+};
@@ -0,0 +1,39 @@
+// Roles are stored on User.role as a plain string because SQLite has no enum type
+const ROLES = Object.freeze({
+  CUSTOMER: 'customer',
+  STAFF: 'staff',
+  ADMIN: 'admin'
+});
+
+// Routes check permissions, never role names, so what a role may do is decided here only
+const PERMISSIONS = Object.freeze({
+  CATALOG_MANAGE: 'catalog:manage', // items, variants, stock and categories
+  REVIEWS_MODERATE: 'reviews:moderate',
+  ORDERS_MANAGE: 'orders:manage',
+  PAYMENTS_VIEW: 'payments:view', // any customer's payments
+  PAYMENTS_REFUND: 'payments:refund',
+  COUPONS_MANAGE: 'coupons:manage',
+  USERS_MANAGE: 'users:manage'
+});
+
+const STAFF_PERMISSIONS = [
+  PERMISSIONS.CATALOG_MANAGE,
+  PERMISSIONS.REVIEWS_MODERATE,
+  PERMISSIONS.ORDERS_MANAGE,
+  PERMISSIONS.PAYMENTS_VIEW
+];
+
+const ROLE_PERMISSIONS = Object.freeze({
+  [ROLES.CUSTOMER]: [],
+  [ROLES.STAFF]: STAFF_PERMISSIONS,
+  [ROLES.ADMIN]: Object.values(PERMISSIONS)
+});
+
+const hasPermission = (role, permission) => (ROLE_PERMISSIONS[role] || []).includes(permission);
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  hasPermission
+};
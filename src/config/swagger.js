@@ -1,32 +0,0 @@
-const swaggerJsdoc = require('swagger-jsdoc');
-
-const options = {
-  definition: {
-    openapi: '3.0.0',
-    info: {
-      title: 'Task Manager API',
-      version: '1.0.0',
-      description: 'A RESTful API for task management',
-    },
-    servers: [
-      {
-        url: 'http://localhost:3000',
-        description: 'Development server',
-      },
-    ],
-    components: {
-      securitySchemes: {
-        bearerAuth: {
-          type: 'http',
-          scheme: 'bearer',
-          bearerFormat: 'JWT',
-        },
-      },
-    },
-  },
-  apis: ['./src/routes/*.js', './src/controllers/*.js'], // Path to the API docs
-};
-
-const specs = swaggerJsdoc(options);
-
-module.exports = specs; 
\ No newline at end of file
@@ -0,0 +1,669 @@
+const { prisma } = require('../config/database');
+const { ROLES } = require('../config/roles');
+const { revokeUserTokens } = require('../services/tokenService');
+const { LOGIN_ATTEMPTS_RESET } = require('../services/loginThrottle');
+const { ValidationError, NotFoundError, ConflictError } = require('../errors');
+const { asyncHandler } = require('../utils/asyncHandler');
+const { parseId } = require('../utils/parseId');
+
+const adminUserSelect = {
+  id: true,
+  email: true,
+  firstName: true,
+  lastName: true,
+  role: true,
+  createdAt: true,
+  emailVerifiedAt: true,
+  twoFactorEnabledAt: true,
+  lastLoginAt: true,
+  lockedAt: true,
+  lockReason: true,
+  failedLoginAttempts: true,
+  lastFailedLoginAt: true,
+  loginLockedUntil: true,
+  deletedAt: true
+};
+
+// Every search term has to match the email, first name or last name, so "youssef far" finds Youssef Farouq
+const searchFilter = (search) => ({
+  AND: search.split(/\s+/).map((term) => ({
+    OR: [
+      { email: { contains: term } },
+      { firstName: { contains: term } },
+      { lastName: { contains: term } }
+    ]
+  }))
+});
+
+const formatUser = ({ lockedAt, loginLockedUntil, ...user }) => ({
+  ...user,
+  locked: Boolean(lockedAt),
+  lockedAt,
+  loginLocked: Boolean(loginLockedUntil && loginLockedUntil > new Date()),
+  loginLockedUntil
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AdminUser:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 7
+ *         email:
+ *           type: string
+ *           example: youssef@outlook.com
+ *         firstName:
+ *           type: string
+ *           example: Youssef
+ *         lastName:
+ *           type: string
+ *           example: Farouq
+ *         role:
+ *           type: string
+ *           enum: [customer, staff, admin]
+ *           example: staff
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         emailVerifiedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         twoFactorEnabledAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         lastLoginAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         locked:
+ *           type: boolean
+ *           example: false
+ *         lockedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         lockReason:
+ *           type: string
+ *           nullable: true
+ *         failedLoginAttempts:
+ *           type: integer
+ *           description: Failed passwords or two-factor codes since the last successful login
+ *           example: 0
+ *         lastFailedLoginAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         loginLocked:
+ *           type: boolean
+ *           description: Temporarily locked out after too many failed logins
+ *           example: false
+ *         loginLockedUntil:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         deletedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Set when the user deleted their own account
+ */
+
+/**
+ * @swagger
+ * /admin/users:
+ *   get:
+ *     summary: List users (admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *       - in: query
+ *         name: search
+ *         description: Matches email, first name and last name; every word has to match
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [customer, staff, admin]
+ *       - in: query
+ *         name: locked
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Users retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 users:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AdminUser'
+ *                 pagination:
+ *                   type: object
+ *       400:
+ *         description: Invalid query parameters
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       500:
+ *         description: Server error
+ */
+const listUsers = asyncHandler(async (req, res) => {
+  const { page, limit, search, role, locked } = req.query;
+  const where = {
+    ...(search ? searchFilter(search) : {}),
+    ...(role ? { role } : {}),
+    ...(locked === undefined ? {} : { lockedAt: locked ? { not: null } : null })
+  };
+
+  const [users, total] = await Promise.all([
+    prisma.user.findMany({
+      where,
+      skip: (page - 1) * limit,
+      take: limit,
+      orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+      select: adminUserSelect
+    }),
+    prisma.user.count({ where })
+  ]);
+
+  res.json({
+    users: users.map(formatUser),
+    pagination: {
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit)
+    }
+  });
+});
+
+/**
+ * @swagger
+ * /admin/users/{id}:
+ *   get:
+ *     summary: Get a user with their order count and active sessions (admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: User retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/AdminUser'
+ *                 - type: object
+ *                   properties:
+ *                     orderCount:
+ *                       type: integer
+ *                       example: 3
+ *                     activeRefreshTokens:
+ *                       type: integer
+ *                       example: 1
+ *       400:
+ *         description: Invalid user ID
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Delete a user without orders or payments (admin only)
+ *     description: Users with orders or payments are kept for the order history; lock them instead.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: User deleted
+ *       400:
+ *         description: Invalid user ID
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: The user has orders or payments, or is the current user
+ *       500:
+ *         description: Server error
+ */
+const getUser = asyncHandler(async (req, res) => {
+  const id = parseId(req.params.id);
+  if (!id) {
+    throw new ValidationError('Invalid user ID');
+  }
+
+  const user = await prisma.user.findUnique({
+    where: { id },
+    select: {
+      ...adminUserSelect,
+      _count: { select: { orders: true } }
+    }
+  });
+
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  const activeRefreshTokens = await prisma.refreshToken.count({
+    where: { userId: id, revokedAt: null, expiresAt: { gt: new Date() } }
+  });
+
+  const { _count, ...fields } = user;
+  res.json({ ...formatUser(fields), orderCount: _count.orders, activeRefreshTokens });
+});
+
+/**
+ * @swagger
+ * /admin/users/{id}/role:
+ *   patch:
+ *     summary: Change a user's role (admin only)
+ *     description: The user's refresh tokens are revoked so the new role takes effect at their next login; access tokens already issued keep the old role until they expire.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [customer, staff, admin]
+ *                 example: staff
+ *     responses:
+ *       200:
+ *         description: Role updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AdminUser'
+ *       400:
+ *         description: Invalid user ID or role
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: The user is the last admin
+ *       500:
+ *         description: Server error
+ */
+const setUserRole = asyncHandler(async (req, res) => {
+  const id = parseId(req.params.id);
+  if (!id) {
+    throw new ValidationError('Invalid user ID');
+  }
+
+  const { role } = req.body;
+
+  const user = await prisma.$transaction(async (tx) => {
+    const current = await tx.user.findUnique({ where: { id }, select: adminUserSelect });
+    if (!current) {
+      throw new NotFoundError('User not found');
+    }
+
+    if (current.role === role) {
+      return current;
+    }
+
+    // Keep at least one account that can manage roles
+    if (current.role === ROLES.ADMIN) {
+      const admins = await tx.user.count({ where: { role: ROLES.ADMIN } });
+      if (admins <= 1) {
+        throw new ConflictError('Cannot change the role of the last admin');
+      }
+    }
+
+    const updated = await tx.user.update({ where: { id }, data: { role }, select: adminUserSelect });
+
+    await revokeUserTokens(tx, id, 'Role changed');
+
+    return updated;
+  });
+  req.log.info('User role set', { userId: id, role, by: req.user.id });
+
+  res.json(formatUser(user));
+});
+
+/**
+ * @swagger
+ * /admin/users/{id}/lock:
+ *   post:
+ *     summary: Lock an account (admin only)
+ *     description: A locked user can't log in or refresh tokens, and all their refresh tokens are revoked. Access tokens already issued stay valid until they expire.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: "Chargeback fraud under investigation"
+ *     responses:
+ *       200:
+ *         description: Account locked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AdminUser'
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: Admins can't lock their own account
+ *       500:
+ *         description: Server error
+ */
+const lockUser = asyncHandler(async (req, res) => {
+  const id = parseId(req.params.id);
+  if (!id) {
+    throw new ValidationError('Invalid user ID');
+  }
+
+  if (id === req.user.id) {
+    throw new ConflictError('You cannot lock your own account');
+  }
+
+  const user = await prisma.$transaction(async (tx) => {
+    const existing = await tx.user.findUnique({ where: { id }, select: { lockedAt: true } });
+    if (!existing) {
+      return null;
+    }
+
+    const updated = await tx.user.update({
+      where: { id },
+      // Locking again only updates the reason, the original lock time is kept
+      data: { lockedAt: existing.lockedAt || new Date(), lockReason: req.body.reason || null },
+      select: adminUserSelect
+    });
+
+    await revokeUserTokens(tx, id, 'Account locked');
+
+    return updated;
+  });
+
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+  req.log.info('User locked', { userId: id, by: req.user.id });
+
+  res.json(formatUser(user));
+});
+
+/**
+ * @swagger
+ * /admin/users/{id}/unlock:
+ *   post:
+ *     summary: Unlock an account (admin only)
+ *     description: Lifts an admin lock and any temporary lockout from failed logins.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Account unlocked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AdminUser'
+ *       400:
+ *         description: Invalid user ID
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ */
+const unlockUser = asyncHandler(async (req, res) => {
+  const id = parseId(req.params.id);
+  if (!id) {
+    throw new ValidationError('Invalid user ID');
+  }
+
+  const user = await prisma.user.update({
+    where: { id },
+    data: { lockedAt: null, lockReason: null, ...LOGIN_ATTEMPTS_RESET },
+    select: adminUserSelect
+  });
+  req.log.info('User unlocked', { userId: id, by: req.user.id });
+
+  res.json(formatUser(user));
+});
+
+/**
+ * @swagger
+ * /admin/users/{id}/revoke-tokens:
+ *   post:
+ *     summary: Revoke all of a user's refresh tokens (admin only)
+ *     description: Signs the user out everywhere once their current access tokens expire.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Tokens revoked
+ *         content:
+ *           application/json:
+ *             example:
+ *               message: Refresh tokens revoked successfully
+ *               revoked: 2
+ *       400:
+ *         description: Invalid user ID
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ */
+const revokeUserRefreshTokens = asyncHandler(async (req, res) => {
+  const id = parseId(req.params.id);
+  if (!id) {
+    throw new ValidationError('Invalid user ID');
+  }
+
+  const user = await prisma.user.findUnique({ where: { id }, select: { id: true } });
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  const revoked = await revokeUserTokens(prisma, id, 'Revoked by admin');
+  req.log.info('User refresh tokens revoked', { userId: id, revokedTokens: revoked, by: req.user.id });
+
+  res.json({ message: 'Refresh tokens revoked successfully', revoked });
+});
+
+/**
+ * @swagger
+ * /admin/users/{id}/two-factor:
+ *   delete:
+ *     summary: Turn off a user's two-factor authentication (admin only)
+ *     description: For users who lost both their authenticator and their recovery codes. Their refresh tokens are revoked as well.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication turned off
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AdminUser'
+ *       400:
+ *         description: Invalid user ID
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ */
+const resetTwoFactor = asyncHandler(async (req, res) => {
+  const id = parseId(req.params.id);
+  if (!id) {
+    throw new ValidationError('Invalid user ID');
+  }
+
+  const user = await prisma.$transaction(async (tx) => {
+    const existing = await tx.user.findUnique({ where: { id }, select: { id: true } });
+    if (!existing) {
+      return null;
+    }
+
+    const updated = await tx.user.update({
+      where: { id },
+      data: { twoFactorSecret: null, twoFactorEnabledAt: null, twoFactorLastStep: null },
+      select: adminUserSelect
+    });
+    await tx.twoFactorRecoveryCode.deleteMany({ where: { userId: id } });
+    await revokeUserTokens(tx, id, 'Two-factor authentication reset by admin');
+
+    return updated;
+  });
+
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+  req.log.info('User two-factor authentication reset', { userId: id, by: req.user.id });
+
+  res.json(formatUser(user));
+});
+
+const deleteUser = asyncHandler(async (req, res) => {
+  const id = parseId(req.params.id);
+  if (!id) {
+    throw new ValidationError('Invalid user ID');
+  }
+
+  if (id === req.user.id) {
+    throw new ConflictError('You cannot delete your own account here');
+  }
+
+  const user = await prisma.user.findUnique({
+    where: { id },
+    select: { _count: { select: { orders: true, payments: true } } }
+  });
+
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  if (user._count.orders > 0 || user._count.payments > 0) {
+    throw new ConflictError('User has orders or payments; lock the account instead');
+  }
+
+  // Cart, reviews and wishlist cascade; refresh tokens don't
+  await prisma.$transaction([
+    prisma.refreshToken.deleteMany({ where: { userId: id } }),
+    prisma.user.delete({ where: { id } })
+  ]);
+  req.log.info('User deleted', { userId: id, by: req.user.id });
+
+  res.json({ message: 'User deleted successfully' });
+});
+
+module.exports = {
+  listUsers,
+  getUser,
+  setUserRole,
+  lockUser,
+  unlockUser,
+  revokeUserRefreshTokens,
+  resetTwoFactor,
+  deleteUser
+};
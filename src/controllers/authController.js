@@ -1,11 +1,42 @@
-const { PrismaClient } = require('@prisma/client');
+const { prisma } = require('../config/database');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const config = require('../config/config');
-const { validate, schemas } = require('../middleware/validationMiddleware');
+const { ROLES, PERMISSIONS, hasPermission } = require('../config/roles');
+const {
+  generateToken,
+  hashToken,
+  isTokenActive,
+  revokeUserTokens,
+  revokeDescendantTokens,
+  invalidatePasswordResetTokens
+} = require('../services/tokenService');
+const {
+  encryptSecret,
+  decryptSecret,
+  createChallengeToken,
+  verifyChallengeToken,
+  replaceRecoveryCodes,
+  verifySecondFactor
+} = require('../services/twoFactorService');
+const { LOGIN_ATTEMPTS_RESET, claimLoginAttempt } = require('../services/loginThrottle');
+const { generateSecret, verifyTotp, otpauthUri } = require('../utils/totp');
+const { sendMail } = require('../services/mailer');
+const { verificationEmail, passwordResetEmail } = require('../services/mailer/messages');
+const { schemas, toFieldErrors } = require('../middleware/validationMiddleware');
+const {
+  ERROR_CODES,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  TooManyRequestsError
+} = require('../errors');
+const { asyncHandler } = require('../utils/asyncHandler');
+const { parseId } = require('../utils/parseId');
 
-const prisma = new PrismaClient();
 
 // Password validation function
 const validatePassword = (password) => {
@@ -38,6 +69,9 @@ const validatePassword = (password) => {
     };
 };
 
+// Password rule failures as the field errors of a ValidationError
+const passwordErrors = ({ errors }, field) => errors.map((message) => ({ field, message }));
+
 /**
  * @swagger
  * components:
@@ -153,51 +187,137 @@ const validatePassword = (password) => {
  *                 gender:
  *                   type: string
  *                   example: male
+ *                 role:
+ *                   type: string
+ *                   enum: [customer, staff, admin]
+ *                   example: customer
  *                 profilePicUrl:
  *                   type: string
  *                   example: https://example.com/profile.jpg
  */
 
-const generateTokens = async (user) => {
-    try {
-        // Generate access token (15 minutes)
-        const accessToken = jwt.sign(
-            { 
-                id: user.id,
-                username: user.username,
-                email: user.email,
-                role: user.role
-            },
-            config.jwt.key,
-            {
-                expiresIn: config.jwt.accessTokenExpiry,
-                issuer: config.jwt.issuer,
-                audience: config.jwt.audience
-            }
-        );
-
-        // Generate refresh token
-        const refreshToken = crypto.randomBytes(40).toString('hex');
-        const expiresAt = new Date(Date.now() + config.jwt.refreshTokenExpiry * 1000);
-
-        // Save refresh token
-        await prisma.refreshToken.create({
-            data: {
-                token: refreshToken,
-                expiresAt,
-                userId: user.id
-            }
-        });
-
-        return {
-            accessToken,
-            refreshToken,
-            expiresIn: config.jwt.accessTokenExpiry
-        };
-    } catch (error) {
-        console.error('Token generation error:', error);
-        throw new Error('Failed to generate tokens');
+// Where a session is used from, stored on each refresh token for the session list
+const sessionDetails = (req) => ({
+  userAgent: (req.get('User-Agent') || '').slice(0, 255) || null,
+  ip: req.ip || null
+});
+
+// client lets refreshToken issue the new token in the same transaction that rotates the old one
+const generateTokens = async (user, session = {}, client = prisma) => {
+    // Generate access token (15 minutes)
+    const accessToken = jwt.sign(
+        { 
+            id: user.id,
+            email: user.email,
+            role: user.role
+        },
+        config.jwt.key,
+        {
+            expiresIn: config.jwt.accessTokenExpiry,
+            issuer: config.jwt.issuer,
+            audience: config.jwt.audience
+        }
+    );
+
+    // Generate refresh token
+    const refreshToken = generateToken();
+    const expiresAt = new Date(Date.now() + config.jwt.refreshTokenExpiry * 1000);
+
+    // Save a hash of the refresh token; the token itself is only sent to the client
+    await client.refreshToken.create({
+        data: {
+            tokenHash: hashToken(refreshToken),
+            expiresAt,
+            userAgent: session.userAgent,
+            ip: session.ip,
+            userId: user.id
+        }
+    });
+
+    return {
+        accessToken,
+        refreshToken,
+        expiresIn: config.jwt.accessTokenExpiry
+    };
+};
+
+// Issue a new verification token and email it. Only the hash is stored.
+const sendVerificationEmail = async (user) => {
+  const token = generateToken();
+  const expiry = config.auth.emailVerificationExpiry;
+
+  await prisma.emailVerificationToken.create({
+    data: {
+      tokenHash: hashToken(token),
+      userId: user.id,
+      expiresAt: new Date(Date.now() + expiry * 1000)
+    }
+  });
+
+  await sendMail(verificationEmail(user, token, Math.round(expiry / 3600)));
+};
+
+// Thrown while an account has to wait before its next login attempt
+const rejectThrottledLogin = (res, until) => {
+  res.set('Retry-After', String(Math.ceil((until.getTime() - Date.now()) / 1000)));
+  throw new TooManyRequestsError('Too many failed login attempts, please try again later', {
+    code: ERROR_CODES.LOGIN_THROTTLED
+  });
+};
+
+// Hash of a random password, compared against for unknown emails so that a login
+// takes as long whether or not the email is registered. Made on first use.
+let dummyPasswordHash;
+const checkPassword = async (user, password) => {
+  if (user) {
+    return bcrypt.compare(password, user.password);
+  }
+  dummyPasswordHash = dummyPasswordHash || bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+  await bcrypt.compare(password, await dummyPasswordHash);
+  return false;
+};
+
+// Last step of a login, once the password and any second factor are checked
+const completeLogin = async (req, res, user) => {
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { lastLoginAt: new Date(), ...LOGIN_ATTEMPTS_RESET }
+  });
+
+  const tokens = await generateTokens(user, sessionDetails(req));
+  req.log.info('Login succeeded', { userId: user.id });
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      ...tokens,
+      user: {
+        id: user.id,
+        email: user.email,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        age: user.age,
+        gender: user.gender,
+        role: user.role
+      }
     }
+  });
+};
+
+// Fields a user sees on their own profile
+const profileSelect = {
+  id: true,
+  email: true,
+  firstName: true,
+  lastName: true,
+  age: true,
+  gender: true,
+  role: true,
+  createdAt: true,
+  emailVerifiedAt: true,
+  twoFactorEnabledAt: true,
+  lastLoginAt: true
 };
 
 const authController = {
@@ -220,6 +340,7 @@ const authController = {
    *             lastName: Farouq
    *             age: 24
    *             gender: male
+   *     description: No tokens are issued. A verification link is emailed to the address, and login is refused until it has been opened.
    *     responses:
    *       201:
    *         description: User registered successfully
@@ -229,11 +350,8 @@ const authController = {
    *               $ref: '#/components/schemas/AuthResponse'
    *             example:
    *               success: true
-   *               message: User registered successfully
+   *               message: User registered successfully. Check your email to verify your address.
    *               data:
-   *                 accessToken: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
-   *                 refreshToken: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
-   *                 expiresIn: 900
    *                 user:
    *                   id: 1
    *                   email: youssef@outlook.com
@@ -242,102 +360,97 @@ const authController = {
    *                   age: 24
    *                   gender: male
    *       400:
-   *         description: Invalid input or user already exists
+   *         description: Invalid input
    *         content:
-   *           application/json:
+   *           application/problem+json:
    *             schema:
-   *               $ref: '#/components/schemas/AuthResponse'
+   *               $ref: '#/components/schemas/Problem'
+   *       409:
+   *         description: User already exists
+   *         content:
+   *           application/problem+json:
+   *             schema:
+   *               $ref: '#/components/schemas/Problem'
    *       500:
    *         description: Server error
    *         content:
-   *           application/json:
+   *           application/problem+json:
    *             schema:
-   *               $ref: '#/components/schemas/AuthResponse'
+   *               $ref: '#/components/schemas/Problem'
    */
-  async register(req, res) {
-    try {
-      // Validate input using schema
-      const { error } = schemas.register.validate(req.body);
-      if (error) {
-        return res.status(400).json({
-          success: false,
-          message: error.details[0].message
-        });
-      }
+  register: asyncHandler(async (req, res) => {
+    // Validate input using schema
+    const { error } = schemas.register.validate(req.body);
+    if (error) {
+      throw new ValidationError('Validation failed', { errors: toFieldErrors(error) });
+    }
 
-      const { email, password, firstName, lastName, age, gender } = req.body;
+    const { email, password, firstName, lastName, age, gender } = req.body;
 
-      // Validate password strength
-      const passwordValidation = validatePassword(password);
-      if (!passwordValidation.isValid) {
-        return res.status(400).json({
-          success: false,
-          message: 'Password validation failed',
-          errors: passwordValidation.errors
-        });
-      }
+    // Validate password strength
+    const passwordValidation = validatePassword(password);
+    if (!passwordValidation.isValid) {
+      throw new ValidationError('Password validation failed', { errors: passwordErrors(passwordValidation, 'password') });
+    }
 
-      // Check if user already exists
-      const existingUser = await prisma.user.findUnique({
-        where: { email }
-      });
+    // Check if user already exists
+    const existingUser = await prisma.user.findUnique({
+      where: { email }
+    });
 
-      if (existingUser) {
-        return res.status(400).json({
-          success: false,
-          message: 'User already exists'
-        });
-      }
+    if (existingUser) {
+      throw new ConflictError('User already exists', { code: ERROR_CODES.ALREADY_EXISTS });
+    }
 
-      // Hash password
-      const salt = await bcrypt.genSalt(10);
-      const passwordHash = await bcrypt.hash(password, salt);
+    // Hash password
+    const salt = await bcrypt.genSalt(10);
+    const passwordHash = await bcrypt.hash(password, salt);
 
-      // Create user
-      const user = await prisma.user.create({
-        data: {
-          email,
-          password: passwordHash,
-          firstName,
-          lastName,
-          age,
-          gender
-        }
-      });
+    // Create user
+    const user = await prisma.user.create({
+      data: {
+        email,
+        password: passwordHash,
+        firstName,
+        lastName,
+        age,
+        gender
+      }
+    });
 
-      // Generate tokens
-      const tokens = await generateTokens(user);
+    // The account exists either way; if the email fails the user can ask for another one
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      req.log.error('Verification email failed', { userId: user.id, error: mailError });
+    }
 
-      res.status(201).json({
-        success: true,
-        message: 'User registered successfully',
-        data: {
-          ...tokens,
-          user: {
-            id: user.id,
-            email: user.email,
-            firstName: user.firstName,
-            lastName: user.lastName,
-            age: user.age,
-            gender: user.gender
-          }
+    res.status(201).json({
+      success: true,
+      message: 'User registered successfully. Check your email to verify your address.',
+      data: {
+        user: {
+          id: user.id,
+          email: user.email,
+          firstName: user.firstName,
+          lastName: user.lastName,
+          age: user.age,
+          gender: user.gender,
+          role: user.role
         }
-      });
-    } catch (error) {
-      console.error('Registration error:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Error registering user',
-        error: error.message
-      });
-    }
-  },
+      }
+    });
+  }),
 
   /**
    * @swagger
    * /auth/login:
    *   post:
    *     summary: Login and get JWT token
+   *     description: |
+   *       For users with two-factor authentication enabled the response has no tokens. It carries
+   *       data.twoFactorRequired and a short-lived data.challengeToken instead, to exchange at
+   *       /auth/login/2fa together with an authenticator or recovery code.
    *     tags: [Auth]
    *     requestBody:
    *       required: true
@@ -372,89 +485,174 @@ const authController = {
    *       401:
    *         description: Invalid credentials
    *         content:
-   *           application/json:
+   *           application/problem+json:
    *             schema:
-   *               $ref: '#/components/schemas/AuthResponse'
+   *               $ref: '#/components/schemas/Problem'
+   *       403:
+   *         description: Account is locked or email address is not verified
+   *         content:
+   *           application/problem+json:
+   *             schema:
+   *               $ref: '#/components/schemas/Problem'
+   *       429:
+   *         description: Too many failed attempts for this account; see the Retry-After header
+   *         content:
+   *           application/problem+json:
+   *             schema:
+   *               $ref: '#/components/schemas/Problem'
    *       500:
    *         description: Server error
    *         content:
-   *           application/json:
+   *           application/problem+json:
    *             schema:
-   *               $ref: '#/components/schemas/AuthResponse'
+   *               $ref: '#/components/schemas/Problem'
    */
-  async login(req, res) {
-    try {
-      // Validate input using schema
-      const { error } = schemas.login.validate(req.body);
-      if (error) {
-        return res.status(400).json({
-          success: false,
-          message: error.details[0].message
-        });
-      }
-
-      const { email, password } = req.body;
+  login: asyncHandler(async (req, res) => {
+    // Validate input using schema
+    const { error } = schemas.login.validate(req.body);
+    if (error) {
+      throw new ValidationError('Validation failed', { errors: toFieldErrors(error) });
+    }
 
-      // Find user
-      const user = await prisma.user.findUnique({
-        where: { email }
-      });
+    const { email, password } = req.body;
 
-      if (!user) {
-        return res.status(401).json({
-          success: false,
-          message: 'Invalid credentials'
-        });
-      }
+    // Find user
+    const user = await prisma.user.findUnique({
+      where: { email }
+    });
 
-      // Verify password
-      const validPassword = await bcrypt.compare(password, user.password);
-      if (!validPassword) {
-        return res.status(401).json({
-          success: false,
-          message: 'Invalid credentials'
-        });
-      }
+    // Counted as a failure before the password is checked, so concurrent guesses can't slip past
+    // the lockout, and for unknown emails too, so the throttling doesn't reveal which are registered
+    const attempt = await claimLoginAttempt(prisma, { user, email });
+    if (attempt.blockedUntil) {
+      rejectThrottledLogin(res, attempt.blockedUntil);
+    }
 
-      // Update last login
-      await prisma.user.update({
-        where: { id: user.id },
-        data: { lastLoginAt: new Date() }
+    // Verify password
+    const validPassword = await checkPassword(user, password);
+    if (!validPassword) {
+      req.log.warn('Login failed', {
+        userId: user ? user.id : undefined,
+        reason: user ? 'password' : 'unknownEmail',
+        locked: attempt.locked
       });
+      throw new UnauthorizedError('Invalid credentials', { code: ERROR_CODES.INVALID_CREDENTIALS });
+    }
+    await attempt.release();
+
+    // Checked after the password so the lock doesn't reveal which emails are registered
+    if (user.lockedAt) {
+      throw new ForbiddenError('Account is locked', { code: ERROR_CODES.ACCOUNT_LOCKED });
+    }
 
-      // Generate tokens
-      const tokens = await generateTokens(user);
+    if (!user.emailVerifiedAt) {
+      throw new ForbiddenError('Email address is not verified', { code: ERROR_CODES.EMAIL_NOT_VERIFIED });
+    }
 
-      res.json({
+    // No tokens yet: the challenge has to be exchanged with a code at /auth/login/2fa
+    if (user.twoFactorEnabledAt) {
+      return res.json({
         success: true,
-        message: 'Login successful',
+        message: 'Two-factor authentication required',
         data: {
-          ...tokens,
-          user: {
-            id: user.id,
-            email: user.email,
-            firstName: user.firstName,
-            lastName: user.lastName,
-            age: user.age,
-            gender: user.gender
-          }
+          twoFactorRequired: true,
+          challengeToken: createChallengeToken(user),
+          expiresIn: config.twoFactor.challengeExpiry
         }
       });
-    } catch (error) {
-      console.error('Login error:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Error logging in',
-        error: error.message
-      });
     }
-  },
+
+    await completeLogin(req, res, user);
+  }),
+
+  /**
+   * @swagger
+   * /auth/login/2fa:
+   *   post:
+   *     summary: Finish a login with a two-factor code
+   *     tags: [Auth]
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - challengeToken
+   *               - code
+   *             properties:
+   *               challengeToken:
+   *                 type: string
+   *                 description: From the login response
+   *               code:
+   *                 type: string
+   *                 description: A 6-digit code from the authenticator app, or an unused recovery code
+   *                 example: "492039"
+   *     responses:
+   *       200:
+   *         description: Login successful
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/AuthResponse'
+   *       400:
+   *         description: Invalid input
+   *       401:
+   *         description: Invalid or expired challenge, or wrong code
+   *         content:
+   *           application/problem+json:
+   *             schema:
+   *               $ref: '#/components/schemas/Problem'
+   *       403:
+   *         description: Account is locked
+   *         content:
+   *           application/problem+json:
+   *             schema:
+   *               $ref: '#/components/schemas/Problem'
+   *       429:
+   *         description: Too many failed attempts for this account; see the Retry-After header
+   *         content:
+   *           application/problem+json:
+   *             schema:
+   *               $ref: '#/components/schemas/Problem'
+   */
+  loginTwoFactor: asyncHandler(async (req, res) => {
+    const { challengeToken, code } = req.body;
+
+    const userId = verifyChallengeToken(challengeToken);
+    const user = userId && await prisma.user.findUnique({ where: { id: userId } });
+
+    if (!user || !user.twoFactorEnabledAt || user.deletedAt) {
+      throw new UnauthorizedError('Invalid or expired challenge', { code: ERROR_CODES.INVALID_TOKEN });
+    }
+
+    if (user.lockedAt) {
+      throw new ForbiddenError('Account is locked', { code: ERROR_CODES.ACCOUNT_LOCKED });
+    }
+
+    // Wrong codes count towards the same limit as wrong passwords; completeLogin clears it
+    const attempt = await claimLoginAttempt(prisma, { user });
+    if (attempt.blockedUntil) {
+      rejectThrottledLogin(res, attempt.blockedUntil);
+    }
+
+    if (!await verifySecondFactor(prisma, user, code)) {
+      req.log.warn('Login failed', { userId: user.id, reason: 'twoFactor', locked: attempt.locked });
+      throw new UnauthorizedError('Invalid two-factor code', { code: ERROR_CODES.INVALID_CREDENTIALS });
+    }
+
+    await completeLogin(req, res, user);
+  }),
 
   /**
    * @swagger
    * /auth/refresh-token:
    *   post:
    *     summary: Refresh JWT token
+   *     description: |
+   *       Each refresh token can be used once; the response carries its replacement. Presenting a
+   *       token that was already exchanged is treated as theft: every token issued from it since
+   *       is revoked and the user has to log in again.
    *     tags: [Auth]
    *     requestBody:
    *       required: true
@@ -479,61 +677,92 @@ const authController = {
    *       401:
    *         description: Invalid refresh token
    *         content:
-   *           application/json:
+   *           application/problem+json:
    *             schema:
-   *               $ref: '#/components/schemas/AuthResponse'
+   *               $ref: '#/components/schemas/Problem'
+   *       403:
+   *         description: Account is locked
+   *         content:
+   *           application/problem+json:
+   *             schema:
+   *               $ref: '#/components/schemas/Problem'
    *       500:
    *         description: Server error
    *         content:
-   *           application/json:
+   *           application/problem+json:
    *             schema:
-   *               $ref: '#/components/schemas/AuthResponse'
+   *               $ref: '#/components/schemas/Problem'
    */
-  async refreshToken(req, res) {
-    try {
-      // Validate input
-      const { error } = schemas.refreshToken.validate(req.body);
-      if (error) {
-        return res.status(400).json({ error: error.details[0].message });
-      }
+  refreshToken: asyncHandler(async (req, res) => {
+    // Validate input
+    const { error } = schemas.refreshToken.validate(req.body);
+    if (error) {
+      throw new ValidationError('Validation failed', { errors: toFieldErrors(error) });
+    }
 
-      const { refreshToken } = req.body;
+    const { refreshToken } = req.body;
 
-      // Find refresh token
-      const token = await prisma.refreshToken.findUnique({
-        where: { token: refreshToken },
-        include: { user: true },
-      });
+    // Find refresh token
+    const token = await prisma.refreshToken.findUnique({
+      where: { tokenHash: hashToken(refreshToken) },
+      include: { user: true },
+    });
 
-      if (!token || !token.isActive) {
-        return res.status(401).json({ error: 'Invalid refresh token' });
-      }
+    if (!token) {
+      throw new UnauthorizedError('Invalid refresh token', { code: ERROR_CODES.INVALID_TOKEN });
+    }
 
-      // Generate new tokens
-      const tokens = await generateTokens(token.user);
+    // A rotated token coming back means it was copied: whoever holds the newer tokens may not be the user
+    if (token.replacedByToken) {
+      const revoked = await revokeDescendantTokens(prisma, token, 'Attempted reuse of rotated token');
+      req.log.warn('Refresh token reuse detected', { userId: token.userId, revokedTokens: revoked });
+      throw new UnauthorizedError('Invalid refresh token', { code: ERROR_CODES.INVALID_TOKEN });
+    }
 
-      // Revoke old token
-      await prisma.refreshToken.update({
-        where: { id: token.id },
+    if (!isTokenActive(token)) {
+      throw new UnauthorizedError('Invalid refresh token', { code: ERROR_CODES.INVALID_TOKEN });
+    }
+
+    if (token.user.lockedAt) {
+      throw new ForbiddenError('Account is locked', { code: ERROR_CODES.ACCOUNT_LOCKED });
+    }
+
+    const tokens = await prisma.$transaction(async (tx) => {
+      // Claim the old token first, so of two concurrent refreshes with it only one succeeds
+      const { count } = await tx.refreshToken.updateMany({
+        where: { id: token.id, revokedAt: null },
         data: {
           revokedAt: new Date(),
-          replacedByToken: tokens.refreshToken,
           reasonRevoked: 'Replaced by new token',
         },
       });
+      if (count === 0) {
+        return null;
+      }
+
+      const issued = await generateTokens(token.user, sessionDetails(req), tx);
+
+      await tx.refreshToken.update({
+        where: { id: token.id },
+        data: { replacedByToken: hashToken(issued.refreshToken) },
+      });
+
+      return issued;
+    });
 
-      res.json(tokens);
-    } catch (error) {
-      console.error('Refresh token error:', error);
-      res.status(500).json({ error: 'An error occurred while processing your request.' });
+    if (!tokens) {
+      throw new UnauthorizedError('Invalid refresh token', { code: ERROR_CODES.INVALID_TOKEN });
     }
-  },
+
+    res.json(tokens);
+  }),
 
   /**
    * @swagger
    * /auth/revoke-token:
    *   post:
    *     summary: Revoke refresh token
+   *     description: Users can revoke their own refresh tokens; admins can revoke anyone's.
    *     tags: [Auth]
    *     security:
    *       - bearerAuth: []
@@ -567,55 +796,170 @@ const authController = {
    *       401:
    *         description: Unauthorized
    *         content:
-   *           application/json:
+   *           application/problem+json:
    *             schema:
-   *               $ref: '#/components/schemas/AuthResponse'
+   *               $ref: '#/components/schemas/Problem'
    *       404:
    *         description: Refresh token not found
    *         content:
-   *           application/json:
+   *           application/problem+json:
    *             schema:
-   *               $ref: '#/components/schemas/AuthResponse'
+   *               $ref: '#/components/schemas/Problem'
    *       500:
    *         description: Server error
    *         content:
-   *           application/json:
+   *           application/problem+json:
    *             schema:
-   *               $ref: '#/components/schemas/AuthResponse'
+   *               $ref: '#/components/schemas/Problem'
    */
-  async revokeToken(req, res) {
-    try {
-      // Validate input
-      const { error } = schemas.refreshToken.validate(req.body);
-      if (error) {
-        return res.status(400).json({ error: error.details[0].message });
-      }
+  revokeToken: asyncHandler(async (req, res) => {
+    // Validate input
+    const { error } = schemas.refreshToken.validate(req.body);
+    if (error) {
+      throw new ValidationError('Validation failed', { errors: toFieldErrors(error) });
+    }
 
-      const { refreshToken } = req.body;
+    const { refreshToken } = req.body;
 
-      // Find and revoke token
-      const token = await prisma.refreshToken.findUnique({
-        where: { token: refreshToken },
-      });
+    // Find and revoke token
+    const token = await prisma.refreshToken.findUnique({
+      where: { tokenHash: hashToken(refreshToken) },
+    });
+
+    // Someone else's token is reported as not found so tokens can't be probed
+    const canRevoke = token && (token.userId === req.user.id || hasPermission(req.user.role, PERMISSIONS.USERS_MANAGE));
+    if (!canRevoke) {
+      throw new NotFoundError('Refresh token not found');
+    }
+
+    await prisma.refreshToken.update({
+      where: { id: token.id },
+      data: {
+        revokedAt: new Date(),
+        reasonRevoked: token.userId === req.user.id ? 'Revoked by user' : 'Revoked by admin',
+      },
+    });
 
-      if (!token) {
-        return res.status(404).json({ error: 'Refresh token not found' });
+    res.json({ message: 'Token revoked successfully' });
+  }),
+
+  /**
+   * @swagger
+   * /auth/sessions:
+   *   get:
+   *     summary: List the devices you are logged in on
+   *     description: |
+   *       Each session is an active refresh token. Refreshing replaces the token, so a session's id,
+   *       createdAt, userAgent and ip change to those of its latest refresh.
+   *     tags: [Auth]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Sessions retrieved successfully
+   *         content:
+   *           application/json:
+   *             example:
+   *               success: true
+   *               data:
+   *                 - id: 42
+   *                   userAgent: "Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X)"
+   *                   ip: "203.0.113.7"
+   *                   createdAt: "2025-06-23T09:12:00.000Z"
+   *                   expiresAt: "2025-06-30T09:12:00.000Z"
+   *       401:
+   *         description: Unauthorized
+   *   delete:
+   *     summary: Log out everywhere
+   *     description: Revokes every session, including the current one. Access tokens already issued stay valid until they expire.
+   *     tags: [Auth]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: All sessions revoked
+   *         content:
+   *           application/json:
+   *             example:
+   *               success: true
+   *               message: Logged out of 3 sessions
+   *       401:
+   *         description: Unauthorized
+   */
+  listSessions: asyncHandler(async (req, res) => {
+    const sessions = await prisma.refreshToken.findMany({
+      where: { userId: req.user.id, revokedAt: null, expiresAt: { gt: new Date() } },
+      orderBy: { createdAt: 'desc' },
+      select: {
+        id: true,
+        userAgent: true,
+        ip: true,
+        createdAt: true,
+        expiresAt: true
       }
+    });
 
-      await prisma.refreshToken.update({
-        where: { id: token.id },
-        data: {
-          revokedAt: new Date(),
-          reasonRevoked: 'Revoked by user',
-        },
-      });
+    res.json({
+      success: true,
+      data: sessions
+    });
+  }),
 
-      res.json({ message: 'Token revoked successfully' });
-    } catch (error) {
-      console.error('Revoke token error:', error);
-      res.status(500).json({ error: 'An error occurred while processing your request.' });
+  revokeAllSessions: asyncHandler(async (req, res) => {
+    const revoked = await revokeUserTokens(prisma, req.user.id, 'Logged out everywhere');
+    req.log.info('Logged out everywhere', { userId: req.user.id, revokedTokens: revoked });
+
+    res.json({
+      success: true,
+      message: `Logged out of ${revoked} session${revoked === 1 ? '' : 's'}`
+    });
+  }),
+
+  /**
+   * @swagger
+   * /auth/sessions/{id}:
+   *   delete:
+   *     summary: Log out one of your sessions
+   *     tags: [Auth]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Session revoked
+   *       400:
+   *         description: Invalid session ID
+   *       401:
+   *         description: Unauthorized
+   *       404:
+   *         description: Session not found or already ended
+   */
+  revokeSession: asyncHandler(async (req, res) => {
+    const id = parseId(req.params.id);
+    if (!id) {
+      throw new ValidationError('Invalid session ID');
     }
-  },
+
+    // Scoped to the caller, so other users' sessions look the same as missing ones
+    const { count } = await prisma.refreshToken.updateMany({
+      where: { id, userId: req.user.id, revokedAt: null, expiresAt: { gt: new Date() } },
+      data: { revokedAt: new Date(), reasonRevoked: 'Session ended by user' }
+    });
+
+    if (count === 0) {
+      throw new NotFoundError('Session not found');
+    }
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  }),
 
   /**
    * @swagger
@@ -657,49 +1001,529 @@ const authController = {
    *                     gender:
    *                       type: string
    *                       example: male
+   *                     role:
+   *                       type: string
+   *                       enum: [customer, staff, admin]
+   *                       example: customer
    *                     profilePicUrl:
    *                       type: string
    *                       example: https://example.com/profile.jpg
    *       401:
    *         description: Unauthorized
    */
-  async getProfile(req, res) {
-    try {
-      const userId = req.user.id;
-      const user = await prisma.user.findUnique({
-        where: { id: userId },
-        select: {
-          id: true,
-          email: true,
-          firstName: true,
-          lastName: true,
-          age: true,
-          gender: true,
-          createdAt: true,
-          lastLoginAt: true
+  getProfile: asyncHandler(async (req, res) => {
+    const userId = req.user.id;
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: profileSelect
+    });
+
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    res.json({
+      success: true,
+      data: user
+    });
+  }),
+
+  /**
+   * @swagger
+   * /auth/profile:
+   *   patch:
+   *     summary: Update current user's profile
+   *     tags: [Auth]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             minProperties: 1
+   *             properties:
+   *               firstName:
+   *                 type: string
+   *                 example: Youssef
+   *               lastName:
+   *                 type: string
+   *                 example: Farouq
+   *               age:
+   *                 type: integer
+   *                 example: 25
+   *               gender:
+   *                 type: string
+   *                 enum: [male, female, other]
+   *     responses:
+   *       200:
+   *         description: Profile updated successfully
+   *       400:
+   *         description: Validation failed
+   *       401:
+   *         description: Unauthorized
+   *       404:
+   *         description: User not found
+   */
+  updateProfile: asyncHandler(async (req, res) => {
+    // Access tokens outlive account deletion, so check the account is still there
+    const { count } = await prisma.user.updateMany({
+      where: { id: req.user.id, deletedAt: null },
+      data: req.body
+    });
+
+    if (count === 0) {
+      throw new NotFoundError('User not found');
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: profileSelect
+    });
+
+    res.json({
+      success: true,
+      message: 'Profile updated successfully',
+      data: user
+    });
+  }),
+
+  /**
+   * @swagger
+   * /auth/account:
+   *   delete:
+   *     summary: Delete your account
+   *     description: |
+   *       Personal data is anonymized rather than the user being removed, so orders and payments
+   *       stay intact for accounting. The email address is freed, every refresh token is revoked and
+   *       the cart and wishlist are emptied. Reviews are kept and shown as written by "Deleted U.".
+   *     tags: [Auth]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - password
+   *             properties:
+   *               password:
+   *                 type: string
+   *                 format: password
+   *                 description: Your current password, to confirm the deletion
+   *     responses:
+   *       200:
+   *         description: Account deleted
+   *       400:
+   *         description: Password is incorrect
+   *       401:
+   *         description: Unauthorized
+   *       404:
+   *         description: User not found
+   *       409:
+   *         description: The account is the last admin
+   */
+  deleteAccount: asyncHandler(async (req, res) => {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id }
+    });
+
+    if (!user || user.deletedAt) {
+      throw new NotFoundError('User not found');
+    }
+
+    const isPasswordValid = await bcrypt.compare(req.body.password, user.password);
+    if (!isPasswordValid) {
+      throw new ValidationError('Password is incorrect', { code: ERROR_CODES.INVALID_CREDENTIALS });
+    }
+
+    if (user.role === ROLES.ADMIN) {
+      const admins = await prisma.user.count({ where: { role: ROLES.ADMIN } });
+      if (admins <= 1) {
+        throw new ConflictError('The last admin cannot delete their account');
+      }
+    }
+
+    // A random hash no one knows the password for, so the account can never be logged into
+    const unusablePassword = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+
+    await prisma.$transaction(async (tx) => {
+      await tx.user.update({
+        where: { id: user.id },
+        data: {
+          email: `deleted-${user.id}@deleted.invalid`,
+          password: unusablePassword,
+          firstName: 'Deleted',
+          lastName: 'User',
+          age: 0,
+          gender: 'other',
+          role: ROLES.CUSTOMER,
+          lastLoginAt: null,
+          lockedAt: null,
+          lockReason: null,
+          twoFactorSecret: null,
+          twoFactorEnabledAt: null,
+          twoFactorLastStep: null,
+          deletedAt: new Date()
         }
       });
 
-      if (!user) {
-        return res.status(404).json({
-          success: false,
-          message: 'User not found'
-        });
+      await revokeUserTokens(tx, user.id, 'Account deleted');
+      // The revoked tokens stay, but not the IP addresses and devices they were used from
+      await tx.refreshToken.updateMany({
+        where: { userId: user.id },
+        data: { ip: null, userAgent: null }
+      });
+      await tx.cart.deleteMany({ where: { userId: user.id } });
+      await tx.wishlistItem.deleteMany({ where: { userId: user.id } });
+      await tx.twoFactorRecoveryCode.deleteMany({ where: { userId: user.id } });
+    });
+    req.log.info('Account deleted', { userId: user.id });
+
+    res.json({
+      success: true,
+      message: 'Account deleted successfully'
+    });
+  }),
+
+  /**
+   * @swagger
+   * /auth/2fa/setup:
+   *   post:
+   *     summary: Start two-factor setup
+   *     description: |
+   *       Returns a new TOTP secret and an otpauth URI to add to an authenticator app (usually as a
+   *       QR code). Two-factor authentication is only turned on once a code is confirmed at
+   *       /auth/2fa/enable. Calling this again replaces a secret that hasn't been confirmed yet.
+   *     tags: [Auth]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Secret generated
+   *         content:
+   *           application/json:
+   *             example:
+   *               success: true
+   *               data:
+   *                 secret: "JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP"
+   *                 otpauthUri: "otpauth://totp/E-commerce%20API%3Ayoussef%40outlook.com?secret=JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP&issuer=E-commerce+API&algorithm=SHA1&digits=6&period=30"
+   *       401:
+   *         description: Unauthorized
+   *       409:
+   *         description: Two-factor authentication is already enabled
+   */
+  setupTwoFactor: asyncHandler(async (req, res) => {
+    const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    if (user.twoFactorEnabledAt) {
+      throw new ConflictError('Two-factor authentication is already enabled', { code: ERROR_CODES.INVALID_STATE });
+    }
+
+    const secret = generateSecret();
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { twoFactorSecret: encryptSecret(secret), twoFactorLastStep: null }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        secret,
+        otpauthUri: otpauthUri({ secret, account: user.email, issuer: config.twoFactor.issuer })
       }
+    });
+  }),
 
-      res.json({
-        success: true,
-        data: user
-      });
-    } catch (error) {
-      console.error('Get profile error:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Error retrieving profile',
-        error: error.message
+  /**
+   * @swagger
+   * /auth/2fa/enable:
+   *   post:
+   *     summary: Confirm two-factor setup with a code from the authenticator app
+   *     description: Returns recovery codes, each usable once instead of an authenticator code. They are only shown here.
+   *     tags: [Auth]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - code
+   *             properties:
+   *               code:
+   *                 type: string
+   *                 example: "492039"
+   *     responses:
+   *       200:
+   *         description: Two-factor authentication enabled
+   *         content:
+   *           application/json:
+   *             example:
+   *               success: true
+   *               message: Two-factor authentication enabled
+   *               data:
+   *                 recoveryCodes: ["3f9a1-0c2de", "b71e4-99a03"]
+   *       400:
+   *         description: Invalid code or setup not started
+   *       401:
+   *         description: Unauthorized
+   *       409:
+   *         description: Two-factor authentication is already enabled
+   */
+  enableTwoFactor: asyncHandler(async (req, res) => {
+    const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    if (user.twoFactorEnabledAt) {
+      throw new ConflictError('Two-factor authentication is already enabled', { code: ERROR_CODES.INVALID_STATE });
+    }
+
+    if (!user.twoFactorSecret) {
+      throw new ValidationError('Start two-factor setup first');
+    }
+
+    const step = verifyTotp(decryptSecret(user.twoFactorSecret), req.body.code);
+    if (step === null) {
+      throw new ValidationError('Invalid two-factor code', { code: ERROR_CODES.INVALID_CREDENTIALS });
+    }
+
+    const recoveryCodes = await prisma.$transaction(async (tx) => {
+      await tx.user.update({
+        where: { id: user.id },
+        data: { twoFactorEnabledAt: new Date(), twoFactorLastStep: step }
       });
+      return replaceRecoveryCodes(tx, user.id);
+    });
+    req.log.info('Two-factor authentication enabled', { userId: user.id });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      data: { recoveryCodes }
+    });
+  }),
+
+  /**
+   * @swagger
+   * /auth/2fa/disable:
+   *   post:
+   *     summary: Turn off two-factor authentication
+   *     tags: [Auth]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - password
+   *               - code
+   *             properties:
+   *               password:
+   *                 type: string
+   *                 format: password
+   *               code:
+   *                 type: string
+   *                 description: An authenticator or recovery code
+   *     responses:
+   *       200:
+   *         description: Two-factor authentication disabled
+   *       400:
+   *         description: Wrong password or code
+   *       401:
+   *         description: Unauthorized
+   *       409:
+   *         description: Two-factor authentication is not enabled
+   */
+  disableTwoFactor: asyncHandler(async (req, res) => {
+    const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    if (!user.twoFactorEnabledAt) {
+      throw new ConflictError('Two-factor authentication is not enabled', { code: ERROR_CODES.INVALID_STATE });
+    }
+
+    const isPasswordValid = await bcrypt.compare(req.body.password, user.password);
+    if (!isPasswordValid || !await verifySecondFactor(prisma, user, req.body.code)) {
+      throw new ValidationError('Password or two-factor code is incorrect', { code: ERROR_CODES.INVALID_CREDENTIALS });
     }
-  },
+
+    await prisma.$transaction([
+      prisma.user.update({
+        where: { id: user.id },
+        data: { twoFactorSecret: null, twoFactorEnabledAt: null, twoFactorLastStep: null }
+      }),
+      prisma.twoFactorRecoveryCode.deleteMany({ where: { userId: user.id } })
+    ]);
+    req.log.info('Two-factor authentication disabled', { userId: user.id });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  }),
+
+  /**
+   * @swagger
+   * /auth/2fa/recovery-codes:
+   *   post:
+   *     summary: Replace your recovery codes
+   *     description: The previous codes stop working.
+   *     tags: [Auth]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - code
+   *             properties:
+   *               code:
+   *                 type: string
+   *                 description: An authenticator or recovery code
+   *     responses:
+   *       200:
+   *         description: New recovery codes
+   *       400:
+   *         description: Invalid code
+   *       401:
+   *         description: Unauthorized
+   *       409:
+   *         description: Two-factor authentication is not enabled
+   */
+  regenerateRecoveryCodes: asyncHandler(async (req, res) => {
+    const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    if (!user.twoFactorEnabledAt) {
+      throw new ConflictError('Two-factor authentication is not enabled', { code: ERROR_CODES.INVALID_STATE });
+    }
+
+    if (!await verifySecondFactor(prisma, user, req.body.code)) {
+      throw new ValidationError('Invalid two-factor code', { code: ERROR_CODES.INVALID_CREDENTIALS });
+    }
+
+    const recoveryCodes = await replaceRecoveryCodes(prisma, user.id);
+    req.log.info('Recovery codes regenerated', { userId: user.id });
+
+    res.json({
+      success: true,
+      data: { recoveryCodes }
+    });
+  }),
+
+  /**
+   * @swagger
+   * /auth/verify-email:
+   *   get:
+   *     summary: Verify an email address with the token from the verification email
+   *     tags: [Auth]
+   *     parameters:
+   *       - in: query
+   *         name: token
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Email address verified
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/AuthResponse'
+   *       400:
+   *         description: Invalid or expired verification token
+   *         content:
+   *           application/problem+json:
+   *             schema:
+   *               $ref: '#/components/schemas/Problem'
+   */
+  verifyEmail: asyncHandler(async (req, res) => {
+    const verification = await prisma.emailVerificationToken.findUnique({
+      where: { tokenHash: hashToken(req.query.token) }
+    });
+
+    if (!verification || verification.expiresAt <= new Date()) {
+      throw new ValidationError('Invalid or expired verification token', { code: ERROR_CODES.INVALID_TOKEN });
+    }
+
+    // Every outstanding token goes, so older emails can't be reused
+    await prisma.$transaction([
+      prisma.user.updateMany({
+        where: { id: verification.userId, emailVerifiedAt: null },
+        data: { emailVerifiedAt: new Date() }
+      }),
+      prisma.emailVerificationToken.deleteMany({ where: { userId: verification.userId } })
+    ]);
+
+    res.json({
+      success: true,
+      message: 'Email address verified successfully'
+    });
+  }),
+
+  /**
+   * @swagger
+   * /auth/resend-verification:
+   *   post:
+   *     summary: Send a new verification email
+   *     description: The response is the same whether or not the email belongs to an unverified account.
+   *     tags: [Auth]
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - email
+   *             properties:
+   *               email:
+   *                 type: string
+   *                 format: email
+   *                 example: youssef@outlook.com
+   *     responses:
+   *       200:
+   *         description: Verification email sent if needed
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/AuthResponse'
+   */
+  resendVerification: asyncHandler(async (req, res) => {
+    const user = await prisma.user.findUnique({
+      where: { email: req.body.email }
+    });
+
+    if (user && !user.emailVerifiedAt) {
+      await sendVerificationEmail(user);
+    }
+
+    res.json({
+      success: true,
+      message: 'If this email needs verifying, a new verification link has been sent'
+    });
+  }),
 
   /**
    * @swagger
@@ -733,59 +1557,51 @@ const authController = {
    *                   example: true
    *                 message:
    *                   type: string
-   *                   example: Password reset instructions sent to your email
+   *                   example: If an account exists with this email, you will receive password reset instructions
    */
-  async forgotPassword(req, res) {
-    try {
-      const { email } = req.body;
-      const user = await prisma.user.findUnique({
-        where: { email }
+  forgotPassword: asyncHandler(async (req, res) => {
+    const { email } = req.body;
+    const user = await prisma.user.findUnique({
+      where: { email }
+    });
+
+    if (!user) {
+      // Return success even if user doesn't exist for security
+      return res.json({
+        success: true,
+        message: 'If an account exists with this email, you will receive password reset instructions'
       });
+    }
 
-      if (!user) {
-        // Return success even if user doesn't exist for security
-        return res.json({
-          success: true,
-          message: 'If an account exists with this email, you will receive password reset instructions'
-        });
+    // Generate reset token; only its hash is saved
+    const resetToken = generateToken();
+    await prisma.passwordResetToken.create({
+      data: {
+        tokenHash: hashToken(resetToken),
+        userId: user.id,
+        expiresAt: new Date(Date.now() + config.auth.passwordResetExpiry * 1000)
       }
+    });
 
-      // Generate reset token
-      const resetToken = crypto.randomBytes(32).toString('hex');
-      const resetTokenExpiry = new Date(Date.now() + 3600000); // 1 hour
-
-      // Save reset token to database
-      await prisma.user.update({
-        where: { id: user.id },
-        data: {
-          resetToken,
-          resetTokenExpiry
-        }
-      });
-
-      // TODO: Send email with reset link
-      // For now, just return the token (in production, send via email)
-      res.json({
-        success: true,
-        message: 'Password reset instructions sent to your email',
-        // Remove this in production
-        resetToken
-      });
-    } catch (error) {
-      console.error('Forgot password error:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Error processing password reset request',
-        error: error.message
-      });
+    try {
+      await sendMail(passwordResetEmail(user, resetToken, Math.round(config.auth.passwordResetExpiry / 60)));
+    } catch (mailError) {
+      req.log.error('Password reset email failed', { userId: user.id, error: mailError });
     }
-  },
+
+    // Same response as for unknown emails
+    res.json({
+      success: true,
+      message: 'If an account exists with this email, you will receive password reset instructions'
+    });
+  }),
 
   /**
    * @swagger
    * /auth/reset-password:
    *   post:
    *     summary: Reset password with token
+   *     description: Each token works once. A successful reset invalidates every other reset link, revokes all refresh tokens and verifies the email address.
    *     tags: [Auth]
    *     requestBody:
    *       required: true
@@ -819,122 +1635,110 @@ const authController = {
    *                   type: string
    *                   example: Password has been reset successfully
    */
-  async resetPassword(req, res) {
-    try {
-      const { token, newPassword } = req.body;
-
-      // Validate password
-      const passwordValidation = validatePassword(newPassword);
-      if (!passwordValidation.isValid) {
-        return res.status(400).json({
-          success: false,
-          message: 'Password validation failed',
-          errors: passwordValidation.errors
-        });
-      }
+  resetPassword: asyncHandler(async (req, res) => {
+    const { token, newPassword } = req.body;
 
-      // Find user with valid reset token
-      const user = await prisma.user.findFirst({
-        where: {
-          resetToken: token,
-          resetTokenExpiry: {
-            gt: new Date()
-          }
-        }
-      });
+    // Validate password
+    const passwordValidation = validatePassword(newPassword);
+    if (!passwordValidation.isValid) {
+      throw new ValidationError('Password validation failed', { errors: passwordErrors(passwordValidation, 'newPassword') });
+    }
 
-      if (!user) {
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid or expired reset token'
-        });
-      }
+    const resetToken = await prisma.passwordResetToken.findUnique({
+      where: { tokenHash: hashToken(token) },
+      include: { user: true }
+    });
+
+    const invalidToken = () => new ValidationError('Invalid or expired reset token', { code: ERROR_CODES.INVALID_TOKEN });
+
+    if (!resetToken || resetToken.usedAt || resetToken.expiresAt <= new Date() || resetToken.user.deletedAt) {
+      throw invalidToken();
+    }
+
+    // Hash new password
+    const salt = await bcrypt.genSalt(10);
+    const passwordHash = await bcrypt.hash(newPassword, salt);
 
-      // Hash new password
-      const salt = await bcrypt.genSalt(10);
-      const passwordHash = await bcrypt.hash(newPassword, salt);
+    const { user } = resetToken;
+    const reset = await prisma.$transaction(async (tx) => {
+      // Claiming the token first makes it single-use even when two resets race
+      const { count } = await tx.passwordResetToken.updateMany({
+        where: { id: resetToken.id, usedAt: null },
+        data: { usedAt: new Date() }
+      });
+      if (count === 0) {
+        return false;
+      }
 
-      // Update user's password and clear reset token
-      await prisma.user.update({
+      await tx.user.update({
         where: { id: user.id },
         data: {
           password: passwordHash,
-          resetToken: null,
-          resetTokenExpiry: null
+          // The link arrived by email, which proves the address
+          emailVerifiedAt: user.emailVerifiedAt || new Date(),
+          ...LOGIN_ATTEMPTS_RESET
         }
       });
 
-      res.json({
-        success: true,
-        message: 'Password has been reset successfully'
-      });
-    } catch (error) {
-      console.error('Reset password error:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Error resetting password',
-        error: error.message
-      });
+      await invalidatePasswordResetTokens(tx, user.id);
+      await revokeUserTokens(tx, user.id, 'Password reset');
+      return true;
+    });
+
+    if (!reset) {
+      throw invalidToken();
     }
-  },
+    req.log.info('Password reset', { userId: user.id });
 
-  async changePassword(req, res) {
-    try {
-      const { currentPassword, newPassword } = req.body;
-      const userId = req.user.id;
+    res.json({
+      success: true,
+      message: 'Password has been reset successfully'
+    });
+  }),
 
-      // Get user from database
-      const user = await prisma.user.findUnique({
-        where: { id: userId }
-      });
+  changePassword: asyncHandler(async (req, res) => {
+    const { currentPassword, newPassword } = req.body;
+    const userId = req.user.id;
 
-      if (!user) {
-        return res.status(404).json({
-          success: false,
-          message: 'User not found'
-        });
-      }
+    // Get user from database
+    const user = await prisma.user.findUnique({
+      where: { id: userId }
+    });
 
-      // Verify current password
-      const isPasswordValid = await bcrypt.compare(currentPassword, user.password);
-      if (!isPasswordValid) {
-        return res.status(400).json({
-          success: false,
-          message: 'Current password is incorrect'
-        });
-      }
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
 
-      // Validate new password
-      const passwordValidation = validatePassword(newPassword);
-      if (!passwordValidation.isValid) {
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid new password',
-          errors: passwordValidation.errors
-        });
-      }
+    // Verify current password
+    const isPasswordValid = await bcrypt.compare(currentPassword, user.password);
+    if (!isPasswordValid) {
+      throw new ValidationError('Current password is incorrect', { code: ERROR_CODES.INVALID_CREDENTIALS });
+    }
 
-      // Hash new password
-      const hashedPassword = await bcrypt.hash(newPassword, 10);
+    // Validate new password
+    const passwordValidation = validatePassword(newPassword);
+    if (!passwordValidation.isValid) {
+      throw new ValidationError('Invalid new password', { errors: passwordErrors(passwordValidation, 'newPassword') });
+    }
 
-      // Update password in database
-      await prisma.user.update({
+    // Hash new password
+    const hashedPassword = await bcrypt.hash(newPassword, 10);
+
+    // Update password in database; reset links sent for the old password stop working
+    await prisma.$transaction([
+      prisma.user.update({
         where: { id: userId },
         data: { password: hashedPassword }
-      });
+      }),
+      invalidatePasswordResetTokens(prisma, userId)
+    ]);
+    req.log.info('Password changed', { userId });
 
-      res.json({
-        success: true,
-        message: 'Password changed successfully'
-      });
-    } catch (error) {
-      console.error('Change password error:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Failed to change password'
-      });
-    }
-  }
+    res.json({
+      success: true,
+      message: 'Password changed successfully'
+    });
+  })
 };
 
 module.exports = authController; 
\ No newline at end of file
@@ -0,0 +1,385 @@
+const { prisma } = require('../config/database');
+const { roundMoney } = require('../utils/money');
+const { pricedItemSelect, priceLine, buildOrderLines } = require('../services/pricingService');
+const { ValidationError, NotFoundError } = require('../errors');
+const { asyncHandler } = require('../utils/asyncHandler');
+const { parseId } = require('../utils/parseId');
+
+const MAX_LINE_QUANTITY = 99;
+
+const cartInclude = {
+  items: {
+    orderBy: { createdAt: 'asc' },
+    include: {
+      item: {
+        select: {
+          ...pricedItemSelect,
+          thumbnailUrl: true,
+          deletedAt: true
+        }
+      },
+      variant: {
+        select: { size: true, color: true }
+      }
+    }
+  }
+};
+
+const getOrCreateCart = (userId) => prisma.cart.upsert({
+  where: { userId },
+  create: { userId },
+  update: {},
+  include: cartInclude
+});
+
+// Lines are priced the way checkout prices them, never from anything the client sent
+const formatCart = (cart) => {
+  const items = cart.items.map((line) => {
+    const priced = priceLine(line.item, line);
+    const available = !line.item.deletedAt && !priced.error;
+
+    return {
+      id: line.id,
+      itemId: line.itemId,
+      variantId: line.variantId,
+      sku: priced.error ? null : priced.sku,
+      name: line.item.name,
+      thumbnailUrl: line.item.thumbnailUrl,
+      size: line.variant ? line.variant.size : null,
+      color: line.variant ? line.variant.color : null,
+      quantity: line.quantity,
+      unitPrice: priced.error ? line.item.cost : priced.unitPrice,
+      lineTotal: available ? priced.lineTotal : 0,
+      available
+    };
+  });
+
+  const purchasable = items.filter((line) => line.available);
+
+  return {
+    id: cart.id,
+    items,
+    totalQuantity: purchasable.reduce((sum, line) => sum + line.quantity, 0),
+    subtotal: roundMoney(purchasable.reduce((sum, line) => sum + line.lineTotal, 0)),
+    updatedAt: cart.updatedAt
+  };
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Cart:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 1
+ *         items:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: integer
+ *                 example: 3
+ *               itemId:
+ *                 type: integer
+ *                 example: 1
+ *               variantId:
+ *                 type: integer
+ *                 nullable: true
+ *                 example: 4
+ *               sku:
+ *                 type: string
+ *                 nullable: true
+ *                 example: "TSHIRT-M-BLUE"
+ *               name:
+ *                 type: string
+ *                 example: "Classic T-Shirt"
+ *               thumbnailUrl:
+ *                 type: string
+ *                 example: "https://example.com/thumbnail.jpg"
+ *               size:
+ *                 type: string
+ *                 nullable: true
+ *                 description: The variant's size
+ *                 example: "M"
+ *               color:
+ *                 type: string
+ *                 nullable: true
+ *                 description: The variant's color
+ *                 example: "Blue"
+ *               quantity:
+ *                 type: integer
+ *                 example: 2
+ *               unitPrice:
+ *                 type: number
+ *                 description: The variant's price when it has one, otherwise the item cost
+ *                 example: 29.99
+ *               lineTotal:
+ *                 type: number
+ *                 example: 59.98
+ *               available:
+ *                 type: boolean
+ *                 description: False when the item has since been removed from the catalog, or now needs a variant the line does not have
+ *                 example: true
+ *         totalQuantity:
+ *           type: integer
+ *           example: 2
+ *         subtotal:
+ *           type: number
+ *           description: Computed server-side from current item and variant prices, the same way checkout does
+ *           example: 59.98
+ */
+
+/**
+ * @swagger
+ * /cart:
+ *   get:
+ *     summary: Get the current user's cart
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Cart retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Cart'
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Remove every item from the current user's cart
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Cart cleared successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Cart'
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+const getCart = asyncHandler(async (req, res) => {
+  const cart = await getOrCreateCart(req.user.id);
+  res.json(formatCart(cart));
+});
+
+const clearCart = asyncHandler(async (req, res) => {
+  const cart = await getOrCreateCart(req.user.id);
+
+  await prisma.cartItem.deleteMany({
+    where: { cartId: cart.id }
+  });
+
+  res.json(formatCart({ ...cart, items: [] }));
+});
+
+/**
+ * @swagger
+ * /cart/items:
+ *   post:
+ *     summary: Add an item to the current user's cart
+ *     description: The variant is required when the item has variants. Adding an item and variant that are already in the cart increases the line's quantity.
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - itemId
+ *             properties:
+ *               itemId:
+ *                 type: integer
+ *                 example: 1
+ *               quantity:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 99
+ *                 default: 1
+ *                 example: 2
+ *               variantId:
+ *                 type: integer
+ *                 example: 4
+ *     responses:
+ *       201:
+ *         description: Item added to cart
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Cart'
+ *       400:
+ *         description: Invalid input, or a variant that is missing or belongs to another item
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Item not found
+ *       500:
+ *         description: Server error
+ */
+const addCartItem = asyncHandler(async (req, res) => {
+  const { itemId, variantId = null, quantity } = req.body;
+
+  // Checked the same way checkout will check it, so the line can be bought as added
+  const priced = await buildOrderLines(prisma, [{ itemId, variantId, quantity }]);
+  if (priced.missingItemIds) {
+    throw new NotFoundError('Item not found');
+  }
+  if (priced.error) {
+    throw new ValidationError(priced.error);
+  }
+
+  const cart = await getOrCreateCart(req.user.id);
+  const existing = cart.items.find((line) =>
+    line.itemId === itemId && line.variantId === variantId
+  );
+
+  if (existing) {
+    const newQuantity = existing.quantity + quantity;
+    if (newQuantity > MAX_LINE_QUANTITY) {
+      throw new ValidationError(`Quantity cannot exceed ${MAX_LINE_QUANTITY}`);
+    }
+
+    await prisma.cartItem.update({
+      where: { id: existing.id },
+      data: { quantity: newQuantity }
+    });
+  } else {
+    await prisma.cartItem.create({
+      data: { cartId: cart.id, itemId, variantId, quantity }
+    });
+  }
+
+  const updated = await getOrCreateCart(req.user.id);
+  res.status(201).json(formatCart(updated));
+});
+
+/**
+ * @swagger
+ * /cart/items/{cartItemId}:
+ *   patch:
+ *     summary: Change the quantity of a cart line
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: cartItemId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Cart line ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - quantity
+ *             properties:
+ *               quantity:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 99
+ *                 example: 3
+ *     responses:
+ *       200:
+ *         description: Cart updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Cart'
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Cart line not found
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Remove a line from the cart
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: cartItemId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Cart line ID
+ *     responses:
+ *       200:
+ *         description: Line removed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Cart'
+ *       400:
+ *         description: Invalid cart line ID
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Cart line not found
+ *       500:
+ *         description: Server error
+ */
+const updateCartItem = asyncHandler(async (req, res) => {
+  const cartItemId = parseId(req.params.cartItemId);
+  if (!cartItemId) {
+    throw new ValidationError('Invalid cart item ID');
+  }
+
+  const { count } = await prisma.cartItem.updateMany({
+    where: { id: cartItemId, cart: { userId: req.user.id } },
+    data: { quantity: req.body.quantity }
+  });
+
+  if (count === 0) {
+    throw new NotFoundError('Cart item not found');
+  }
+
+  const cart = await getOrCreateCart(req.user.id);
+  res.json(formatCart(cart));
+});
+
+const removeCartItem = asyncHandler(async (req, res) => {
+  const cartItemId = parseId(req.params.cartItemId);
+  if (!cartItemId) {
+    throw new ValidationError('Invalid cart item ID');
+  }
+
+  const { count } = await prisma.cartItem.deleteMany({
+    where: { id: cartItemId, cart: { userId: req.user.id } }
+  });
+
+  if (count === 0) {
+    throw new NotFoundError('Cart item not found');
+  }
+
+  const cart = await getOrCreateCart(req.user.id);
+  res.json(formatCart(cart));
+});
+
+module.exports = {
+  getCart,
+  addCartItem,
+  updateCartItem,
+  removeCartItem,
+  clearCart
+};
\ No newline at end of file
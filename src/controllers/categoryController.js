@@ -0,0 +1,359 @@
+const { prisma } = require('../config/database');
+const { slugify } = require('../utils/slugify');
+const { descendantIds, buildCategoryTree } = require('../services/categoryService');
+const { ValidationError, NotFoundError, ConflictError } = require('../errors');
+const { asyncHandler } = require('../utils/asyncHandler');
+const { parseId } = require('../utils/parseId');
+
+const loadCategories = () => prisma.category.findMany({
+  select: { id: true, name: true, slug: true, parentId: true }
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CategoryNode:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 1
+ *         name:
+ *           type: string
+ *           example: "Clothing"
+ *         slug:
+ *           type: string
+ *           example: "clothing"
+ *         parentId:
+ *           type: integer
+ *           nullable: true
+ *           example: null
+ *         itemCount:
+ *           type: integer
+ *           description: Items directly in this category
+ *           example: 4
+ *         totalItemCount:
+ *           type: integer
+ *           description: Items in this category and all of its descendants
+ *           example: 12
+ *         children:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/CategoryNode'
+ */
+
+/**
+ * @swagger
+ * /categories:
+ *   get:
+ *     summary: Get the category tree with item counts
+ *     tags: [Categories]
+ *     responses:
+ *       200:
+ *         description: Category tree retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 categories:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CategoryNode'
+ *       500:
+ *         description: Server error
+ *   post:
+ *     summary: Create a category (staff or admin)
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "T-Shirts"
+ *               slug:
+ *                 type: string
+ *                 description: Defaults to a slug of the name
+ *                 example: "t-shirts"
+ *               parentId:
+ *                 type: integer
+ *                 nullable: true
+ *                 example: 1
+ *     responses:
+ *       201:
+ *         description: Category created
+ *       400:
+ *         description: Invalid input or unknown parent
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       409:
+ *         description: Slug already in use
+ *       500:
+ *         description: Server error
+ */
+const listCategories = asyncHandler(async (req, res) => {
+  const [categories, counts] = await Promise.all([
+    loadCategories(),
+    prisma.item.groupBy({
+      by: ['categoryId'],
+      where: { deletedAt: null, categoryId: { not: null } },
+      _count: { _all: true }
+    })
+  ]);
+
+  const itemCounts = new Map(counts.map((count) => [count.categoryId, count._count._all]));
+
+  res.json({ categories: buildCategoryTree(categories, itemCounts) });
+});
+
+const createCategory = asyncHandler(async (req, res) => {
+  const { name, slug, parentId = null } = req.body;
+
+  if (parentId && !await prisma.category.findUnique({ where: { id: parentId } })) {
+    throw new ValidationError('Parent category not found');
+  }
+
+  const category = await prisma.category.create({
+    data: { name, slug: slug || slugify(name), parentId }
+  });
+
+  res.status(201).json(category);
+});
+
+/**
+ * @swagger
+ * /categories/{id}:
+ *   patch:
+ *     summary: Rename, re-slug or move a category (staff or admin)
+ *     description: Renaming also updates the category name stored on its items.
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             minProperties: 1
+ *             properties:
+ *               name:
+ *                 type: string
+ *               slug:
+ *                 type: string
+ *               parentId:
+ *                 type: integer
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Category updated
+ *       400:
+ *         description: Invalid input, unknown parent or a move that would create a cycle
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Category not found
+ *       409:
+ *         description: Slug already in use
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Delete an empty category (staff or admin)
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Category deleted
+ *       400:
+ *         description: Invalid category ID
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Category not found
+ *       409:
+ *         description: Category still has subcategories or items
+ *       500:
+ *         description: Server error
+ */
+const updateCategory = asyncHandler(async (req, res) => {
+  const id = parseId(req.params.id);
+  if (!id) {
+    throw new ValidationError('Invalid category ID');
+  }
+
+  const categories = await loadCategories();
+  if (!categories.some((category) => category.id === id)) {
+    throw new NotFoundError('Category not found');
+  }
+
+  const { name, slug, parentId } = req.body;
+
+  if (parentId) {
+    if (!categories.some((category) => category.id === parentId)) {
+      throw new ValidationError('Parent category not found');
+    }
+    if (descendantIds(categories, id).includes(parentId)) {
+      throw new ValidationError('A category cannot be moved under itself or its descendants');
+    }
+  }
+
+  const category = await prisma.$transaction(async (tx) => {
+    const updated = await tx.category.update({
+      where: { id },
+      data: { name, slug, parentId }
+    });
+
+    if (name) {
+      await tx.item.updateMany({
+        where: { categoryId: id },
+        data: { category: name }
+      });
+    }
+
+    return updated;
+  });
+
+  res.json(category);
+});
+
+const deleteCategory = asyncHandler(async (req, res) => {
+  const id = parseId(req.params.id);
+  if (!id) {
+    throw new ValidationError('Invalid category ID');
+  }
+
+  const category = await prisma.category.findUnique({
+    where: { id },
+    include: {
+      _count: {
+        select: {
+          children: true,
+          items: { where: { deletedAt: null } }
+        }
+      }
+    }
+  });
+
+  if (!category) {
+    throw new NotFoundError('Category not found');
+  }
+
+  if (category._count.children > 0 || category._count.items > 0) {
+    throw new ConflictError('Category still has subcategories or items; move or merge them first');
+  }
+
+  await prisma.category.delete({ where: { id } });
+
+  res.json({ message: 'Category deleted successfully' });
+});
+
+/**
+ * @swagger
+ * /categories/{id}/merge:
+ *   post:
+ *     summary: Merge a category into another (staff or admin)
+ *     description: Moves the category's items and subcategories into the target and deletes it. Use this to fold duplicates such as "Apparel" into "Clothing".
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Category to merge away
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - intoId
+ *             properties:
+ *               intoId:
+ *                 type: integer
+ *                 example: 2
+ *     responses:
+ *       200:
+ *         description: Categories merged, returns the target category
+ *       400:
+ *         description: Invalid input or target is the category itself or one of its descendants
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Category not found
+ *       500:
+ *         description: Server error
+ */
+const mergeCategory = asyncHandler(async (req, res) => {
+  const id = parseId(req.params.id);
+  if (!id) {
+    throw new ValidationError('Invalid category ID');
+  }
+
+  const { intoId } = req.body;
+  const categories = await loadCategories();
+  const target = categories.find((category) => category.id === intoId);
+
+  if (!categories.some((category) => category.id === id) || !target) {
+    throw new NotFoundError('Category not found');
+  }
+
+  if (descendantIds(categories, id).includes(intoId)) {
+    throw new ValidationError('A category cannot be merged into itself or its descendants');
+  }
+
+  await prisma.$transaction([
+    prisma.item.updateMany({
+      where: { categoryId: id },
+      data: { categoryId: intoId, category: target.name }
+    }),
+    prisma.category.updateMany({
+      where: { parentId: id },
+      data: { parentId: intoId }
+    }),
+    prisma.category.delete({ where: { id } })
+  ]);
+
+  res.json(target);
+});
+
+module.exports = {
+  listCategories,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+  mergeCategory
+};
@@ -0,0 +1,441 @@
+const { prisma } = require('../config/database');
+const { checkCouponRules } = require('../services/couponService');
+const { ValidationError, NotFoundError, ConflictError } = require('../errors');
+const { asyncHandler } = require('../utils/asyncHandler');
+const { parseId } = require('../utils/parseId');
+
+const couponAdminInclude = {
+  items: { select: { id: true } },
+  categories: { select: { id: true } },
+  _count: { select: { redemptions: true } }
+};
+
+const formatCoupon = ({ items, categories, _count, ...coupon }) => ({
+  ...coupon,
+  itemIds: items.map((item) => item.id),
+  categoryIds: categories.map((category) => category.id),
+  redemptionCount: _count.redemptions
+});
+
+// Restriction ids that don't exist, so a typo can't silently widen or empty a coupon
+const findMissingRestrictions = async ({ itemIds, categoryIds }) => {
+  const [items, categories] = await Promise.all([
+    itemIds ? prisma.item.findMany({ where: { id: { in: itemIds } }, select: { id: true } }) : [],
+    categoryIds ? prisma.category.findMany({ where: { id: { in: categoryIds } }, select: { id: true } }) : []
+  ]);
+
+  const missingItemIds = (itemIds || []).filter((id) => !items.some((item) => item.id === id));
+  const missingCategoryIds = (categoryIds || []).filter((id) => !categories.some((category) => category.id === id));
+
+  return missingItemIds.length > 0 || missingCategoryIds.length > 0
+    ? { missingItemIds, missingCategoryIds }
+    : null;
+};
+
+const toRelation = (ids) => ids && { set: ids.map((id) => ({ id })) };
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Coupon:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 3
+ *         code:
+ *           type: string
+ *           example: "SPRING10"
+ *         description:
+ *           type: string
+ *           nullable: true
+ *           example: "10% off spring clothing"
+ *         type:
+ *           type: string
+ *           enum: [percent, fixed]
+ *           example: percent
+ *         value:
+ *           type: number
+ *           description: Percentage off for percent coupons, amount off for fixed coupons
+ *           example: 10
+ *         minOrderTotal:
+ *           type: number
+ *           nullable: true
+ *           example: 50
+ *         maxRedemptions:
+ *           type: integer
+ *           nullable: true
+ *           description: Uses across all customers, null for unlimited
+ *           example: 500
+ *         perUserLimit:
+ *           type: integer
+ *           nullable: true
+ *           description: Uses per customer, null for unlimited
+ *           example: 1
+ *         startsAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         endsAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         active:
+ *           type: boolean
+ *           example: true
+ *         itemIds:
+ *           type: array
+ *           items:
+ *             type: integer
+ *           description: Items the coupon is restricted to
+ *         categoryIds:
+ *           type: array
+ *           items:
+ *             type: integer
+ *           description: Categories (and their subcategories) the coupon is restricted to. With no items and no categories the coupon applies to everything.
+ *         redemptionCount:
+ *           type: integer
+ *           example: 42
+ *     CouponInput:
+ *       type: object
+ *       properties:
+ *         code:
+ *           type: string
+ *           description: Letters, digits, - and _; stored upper-case
+ *           example: "SPRING10"
+ *         description:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [percent, fixed]
+ *         value:
+ *           type: number
+ *           example: 10
+ *         minOrderTotal:
+ *           type: number
+ *           nullable: true
+ *         maxRedemptions:
+ *           type: integer
+ *           nullable: true
+ *         perUserLimit:
+ *           type: integer
+ *           nullable: true
+ *         startsAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         endsAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         active:
+ *           type: boolean
+ *         itemIds:
+ *           type: array
+ *           items:
+ *             type: integer
+ *         categoryIds:
+ *           type: array
+ *           items:
+ *             type: integer
+ */
+
+/**
+ * @swagger
+ * /coupons:
+ *   get:
+ *     summary: List coupons (admin only)
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Coupons retrieved successfully
+ *       400:
+ *         description: Invalid query parameters
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       500:
+ *         description: Server error
+ *   post:
+ *     summary: Create a coupon (admin only)
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/CouponInput'
+ *               - required: [code, type, value]
+ *     responses:
+ *       201:
+ *         description: Coupon created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Coupon'
+ *       400:
+ *         description: Invalid input or unknown item/category IDs
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       409:
+ *         description: Coupon code already in use
+ *       500:
+ *         description: Server error
+ */
+const listCoupons = asyncHandler(async (req, res) => {
+  const { page, limit, active } = req.query;
+  const where = active === undefined ? {} : { active };
+
+  const [coupons, total] = await Promise.all([
+    prisma.coupon.findMany({
+      where,
+      skip: (page - 1) * limit,
+      take: limit,
+      orderBy: { createdAt: 'desc' },
+      include: couponAdminInclude
+    }),
+    prisma.coupon.count({ where })
+  ]);
+
+  res.json({
+    coupons: coupons.map(formatCoupon),
+    pagination: {
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit)
+    }
+  });
+});
+
+const createCoupon = asyncHandler(async (req, res) => {
+  const { itemIds, categoryIds, ...fields } = req.body;
+
+  const ruleError = checkCouponRules(fields);
+  if (ruleError) {
+    throw new ValidationError(ruleError);
+  }
+
+  const missing = await findMissingRestrictions({ itemIds, categoryIds });
+  if (missing) {
+    throw new ValidationError('Some items or categories do not exist', missing);
+  }
+
+  const coupon = await prisma.coupon.create({
+    data: {
+      ...fields,
+      items: itemIds && { connect: itemIds.map((id) => ({ id })) },
+      categories: categoryIds && { connect: categoryIds.map((id) => ({ id })) }
+    },
+    include: couponAdminInclude
+  });
+
+  res.status(201).json(formatCoupon(coupon));
+});
+
+/**
+ * @swagger
+ * /coupons/{id}:
+ *   get:
+ *     summary: Get a coupon (admin only)
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Coupon retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Coupon'
+ *       400:
+ *         description: Invalid coupon ID
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Coupon not found
+ *       500:
+ *         description: Server error
+ *   patch:
+ *     summary: Update a coupon (admin only)
+ *     description: itemIds and categoryIds replace the current restrictions; send an empty array to remove them.
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CouponInput'
+ *     responses:
+ *       200:
+ *         description: Coupon updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Coupon'
+ *       400:
+ *         description: Invalid input or unknown item/category IDs
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Coupon not found
+ *       409:
+ *         description: Coupon code already in use
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Delete a coupon that has never been redeemed (admin only)
+ *     description: Redeemed coupons are kept for order history; deactivate them instead.
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Coupon deleted
+ *       400:
+ *         description: Invalid coupon ID
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Coupon not found
+ *       409:
+ *         description: Coupon has been redeemed
+ *       500:
+ *         description: Server error
+ */
+const getCoupon = asyncHandler(async (req, res) => {
+  const id = parseId(req.params.id);
+  if (!id) {
+    throw new ValidationError('Invalid coupon ID');
+  }
+
+  const coupon = await prisma.coupon.findUnique({
+    where: { id },
+    include: couponAdminInclude
+  });
+
+  if (!coupon) {
+    throw new NotFoundError('Coupon not found');
+  }
+
+  res.json(formatCoupon(coupon));
+});
+
+const updateCoupon = asyncHandler(async (req, res) => {
+  const id = parseId(req.params.id);
+  if (!id) {
+    throw new ValidationError('Invalid coupon ID');
+  }
+
+  const existing = await prisma.coupon.findUnique({ where: { id } });
+  if (!existing) {
+    throw new NotFoundError('Coupon not found');
+  }
+
+  const { itemIds, categoryIds, ...fields } = req.body;
+
+  const ruleError = checkCouponRules({ ...existing, ...fields });
+  if (ruleError) {
+    throw new ValidationError(ruleError);
+  }
+
+  const missing = await findMissingRestrictions({ itemIds, categoryIds });
+  if (missing) {
+    throw new ValidationError('Some items or categories do not exist', missing);
+  }
+
+  const coupon = await prisma.coupon.update({
+    where: { id },
+    data: {
+      ...fields,
+      items: toRelation(itemIds),
+      categories: toRelation(categoryIds)
+    },
+    include: couponAdminInclude
+  });
+
+  res.json(formatCoupon(coupon));
+});
+
+const deleteCoupon = asyncHandler(async (req, res) => {
+  const id = parseId(req.params.id);
+  if (!id) {
+    throw new ValidationError('Invalid coupon ID');
+  }
+
+  const coupon = await prisma.coupon.findUnique({
+    where: { id },
+    include: { _count: { select: { redemptions: true } } }
+  });
+
+  if (!coupon) {
+    throw new NotFoundError('Coupon not found');
+  }
+
+  if (coupon._count.redemptions > 0) {
+    throw new ConflictError('Coupon has been redeemed; deactivate it instead');
+  }
+
+  await prisma.coupon.delete({ where: { id } });
+
+  res.json({ message: 'Coupon deleted successfully' });
+});
+
+module.exports = {
+  listCoupons,
+  getCoupon,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon
+};
@@ -1,20 +1,239 @@
-const { PrismaClient } = require('@prisma/client');
-const prisma = new PrismaClient();
+const { prisma } = require('../config/database');
+const { parseQuery, rankItems } = require('../services/searchEngine');
+const { encodeCursor } = require('../utils/cursor');
+const { findCategory, descendantIds } = require('../services/categoryService');
+const { summarizeRatings } = require('../services/reviewService');
+const { ValidationError, NotFoundError } = require('../errors');
+const { asyncHandler } = require('../utils/asyncHandler');
+const { parseId } = require('../utils/parseId');
+
+// Attach averageRating and reviewCount, computed from visible reviews, to each item.
+// When the request carries a bearer token, also flag the items on that user's wishlist.
+const decorateListItems = async (items, user) => {
+  const ids = items.map((item) => item.id);
+  const [ratings, wishlisted] = await Promise.all([
+    summarizeRatings(prisma, ids),
+    user
+      ? prisma.wishlistItem.findMany({
+        where: { userId: user.id, itemId: { in: ids } },
+        select: { itemId: true }
+      })
+      : null
+  ]);
+  const wishlistedIds = wishlisted && new Set(wishlisted.map((entry) => entry.itemId));
+
+  return items.map((item) => ({
+    ...item,
+    ...ratings.get(item.id),
+    ...(wishlistedIds && { isWishlisted: wishlistedIds.has(item.id) })
+  }));
+};
+
+// SQLite compares strings case-sensitively and Prisma has no insensitive mode for it,
+// so match the common spellings of a value ("blue", "Blue", "BLUE")
+const caseVariants = (value) => [...new Set([
+  value,
+  value.toLowerCase(),
+  value.toUpperCase(),
+  value.charAt(0).toUpperCase() + value.slice(1).toLowerCase()
+])];
+
+// categoryIds is the requested category plus its descendants, resolved by the caller
+const buildItemFilters = (query, categoryIds) => {
+  const where = { deletedAt: null };
+  const and = [];
+
+  if (categoryIds) {
+    where.categoryId = { in: categoryIds };
+  }
+
+  if (query.minCost !== undefined || query.maxCost !== undefined) {
+    where.cost = { gte: query.minCost, lte: query.maxCost };
+  }
+
+  if (query.createdFrom || query.createdTo) {
+    where.createdAt = { gte: query.createdFrom, lte: query.createdTo };
+  }
+
+  // Colors and sizes can be set on the item itself or on any of its variants
+  for (const attribute of ['color', 'size']) {
+    if (query[attribute]) {
+      const values = caseVariants(query[attribute]);
+      and.push({
+        OR: [
+          { [attribute]: { in: values } },
+          { variants: { some: { [attribute]: { in: values } } } }
+        ]
+      });
+    }
+  }
+
+  // Only variants carry stock, so an item is in stock when any of its variants is
+  if (query.inStock === true) {
+    where.variants = { some: { stock: { gt: 0 } } };
+  } else if (query.inStock === false) {
+    where.variants = { none: { stock: { gt: 0 } } };
+  }
+
+  if (and.length > 0) {
+    where.AND = and;
+  }
+
+  return where;
+};
+
+// Items in the requested category or any category below it. An unknown category
+// matches nothing rather than being ignored.
+const resolveCategoryFilter = async (identifier) => {
+  if (!identifier) {
+    return undefined;
+  }
+
+  const categories = await prisma.category.findMany({
+    select: { id: true, name: true, slug: true, parentId: true }
+  });
+  const category = findCategory(categories, identifier);
+
+  return category ? descendantIds(categories, category.id) : [];
+};
+
+// Look up the category an admin assigned by categoryId, or by name/slug in category
+const resolveCategory = async ({ categoryId, category }) => {
+  if (categoryId) {
+    return prisma.category.findUnique({ where: { id: categoryId } });
+  }
+
+  const categories = await prisma.category.findMany({
+    select: { id: true, name: true, slug: true }
+  });
+  return findCategory(categories, category);
+};
+
+// sort is one of cost, name or createdAt, prefixed with '-' for descending.
+// id breaks ties so pages don't overlap when several items share a value.
+const buildItemOrderBy = (sort) => {
+  if (!sort) {
+    return [{ id: 'asc' }];
+  }
+
+  const descending = sort.startsWith('-');
+  const field = descending ? sort.slice(1) : sort;
+  return [{ [field]: descending ? 'desc' : 'asc' }, { id: 'asc' }];
+};
+
+// Keyset pagination: a cursor records the sort it was issued for plus the sort value and
+// id of the last item returned, and the next page starts strictly after that item.
+const buildCursor = (item, sort) => encodeCursor({
+  sort: sort || null,
+  value: sort ? item[sort.replace(/^-/, '')] : null,
+  id: item.id
+});
+
+// Returns null if the cursor doesn't belong to this sort order or is malformed
+const buildCursorCondition = (cursor, sort) => {
+  if (cursor.sort !== (sort || null) || !Number.isInteger(cursor.id)) {
+    return null;
+  }
+
+  if (!sort) {
+    return { id: { gt: cursor.id } };
+  }
+
+  const descending = sort.startsWith('-');
+  const field = descending ? sort.slice(1) : sort;
+  const value = field === 'createdAt' ? new Date(cursor.value) : cursor.value;
+  const expectedType = { cost: 'number', name: 'string', createdAt: 'string' }[field];
+
+  if (typeof cursor.value !== expectedType || (value instanceof Date && Number.isNaN(value.getTime()))) {
+    return null;
+  }
+
+  return {
+    OR: [
+      { [field]: { [descending ? 'lt' : 'gt']: value } },
+      { [field]: value, id: { gt: cursor.id } }
+    ]
+  };
+};
 
 /**
  * @swagger
- * /items/list:
+ * /items:
  *   get:
  *     summary: Get list of items
+ *     description: The bearer token is optional. When one is sent, each item also carries isWishlisted for that user.
  *     tags: [Items]
  *     security:
+ *       - {}
  *       - bearerAuth: []
  *     parameters:
  *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number for offset pagination; cannot be combined with cursor
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Opaque cursor from a previous response's pagination.nextCursor. Must be used with the same sort and filters it was issued for.
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *       - in: query
  *         name: category
  *         schema:
  *           type: string
- *         description: Filter items by category
+ *         description: Category slug or name (case-insensitive); includes items in its subcategories
+ *       - in: query
+ *         name: minCost
+ *         schema:
+ *           type: number
+ *         description: Minimum cost (inclusive)
+ *       - in: query
+ *         name: maxCost
+ *         schema:
+ *           type: number
+ *         description: Maximum cost (inclusive), must not be below minCost
+ *       - in: query
+ *         name: color
+ *         schema:
+ *           type: string
+ *         description: Items whose color, or the color of one of their variants, matches
+ *       - in: query
+ *         name: size
+ *         schema:
+ *           type: string
+ *         description: Items whose size, or the size of one of their variants, matches
+ *       - in: query
+ *         name: createdFrom
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Items created on or after this ISO 8601 date
+ *       - in: query
+ *         name: createdTo
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Items created on or before this ISO 8601 date
+ *       - in: query
+ *         name: inStock
+ *         schema:
+ *           type: boolean
+ *         description: true returns only items with at least one variant in stock, false only items with none
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [cost, -cost, name, -name, createdAt, -createdAt]
+ *         description: Sort field, prefix with - for descending
  *     responses:
  *       200:
  *         description: List of items retrieved successfully
@@ -32,59 +251,82 @@ const prisma = new PrismaClient();
  *                         name: "Classic T-Shirt",
  *                         category: "Clothing",
  *                         cost: 29.99,
- *                         thumbnailUrl: "https://example.com/thumbnail.jpg"
+ *                         thumbnailUrl: "https://example.com/thumbnail.jpg",
+ *                         averageRating: 4.3,
+ *                         reviewCount: 12,
+ *                         isWishlisted: false
  *                       }
  *                     ]
- *       401:
- *         description: Unauthorized
+ *       400:
+ *         description: Invalid query parameters
  *         content:
- *           application/json:
+ *           application/problem+json:
  *             schema:
- *               $ref: '#/components/schemas/ApiResponse'
+ *               $ref: '#/components/schemas/Problem'
  *       500:
  *         description: Server error
  *         content:
- *           application/json:
+ *           application/problem+json:
  *             schema:
- *               $ref: '#/components/schemas/ApiResponse'
+ *               $ref: '#/components/schemas/Problem'
  */
-const listItems = async (req, res) => {
-  try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
-
-    const items = await prisma.item.findMany({
-      skip,
-      take: limit,
-      select: {
-        id: true,
-        name: true,
-        category: true,
-        cost: true,
-        thumbnailUrl: true
-      }
-    });
+const listItems = asyncHandler(async (req, res) => {
+  // Query values were validated and converted by validateRequest('listItems', 'query')
+  const { page, limit, sort, cursor } = req.query;
+  const where = buildItemFilters(req.query, await resolveCategoryFilter(req.query.category));
+  const query = {
+    where,
+    orderBy: buildItemOrderBy(sort),
+    select: {
+      id: true,
+      name: true,
+      category: true,
+      cost: true,
+      thumbnailUrl: true,
+      createdAt: true
+    }
+  };
+
+  // Cursor mode: no count query, and inserts between requests can't shift the pages
+  if (cursor) {
+    const condition = buildCursorCondition(cursor, sort);
+    if (!condition) {
+      throw new ValidationError('Invalid cursor for this sort order');
+    }
 
-    const total = await prisma.item.count();
+    where.AND = [...(where.AND || []), condition];
+    const rows = await prisma.item.findMany({ ...query, take: limit + 1 });
+    const items = rows.slice(0, limit);
 
-    res.json({
-      items,
+    return res.json({
+      items: await decorateListItems(items, req.user),
       pagination: {
-        total,
-        page,
         limit,
-        totalPages: Math.ceil(total / limit)
+        nextCursor: rows.length > limit ? buildCursor(items[items.length - 1], sort) : null
       }
     });
-  } catch (error) {
-    res.status(500).json({ error: 'Failed to fetch items' });
   }
-};
+
+  const skip = (page - 1) * limit;
+  const items = await prisma.item.findMany({ ...query, skip, take: limit });
+  const total = await prisma.item.count({ where });
+
+  res.json({
+    items: await decorateListItems(items, req.user),
+    pagination: {
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+      // Lets page-mode clients continue in cursor mode from here
+      nextCursor: skip + items.length < total ? buildCursor(items[items.length - 1], sort) : null
+    }
+  });
+});
 
 /**
  * @swagger
- * /items/details/{id}:
+ * /items/{id}:
  *   get:
  *     summary: Get detailed information about an item
  *     tags: [Items]
@@ -118,46 +360,85 @@ const listItems = async (req, res) => {
  *                       imageUrl: "https://example.com/image.jpg"
  *                       size: "M"
  *                       color: "Blue"
+ *                       inStock: true
+ *                       variants:
+ *                         - id: 4
+ *                           sku: "TSHIRT-BLUE-M"
+ *                           size: "M"
+ *                           color: "Blue"
+ *                           stock: 25
+ *                           price: 29.99
+ *                           inStock: true
+ *                       averageRating: 4.3
+ *                       reviewCount: 12
  *       400:
  *         description: Invalid item ID
  *         content:
- *           application/json:
+ *           application/problem+json:
  *             schema:
- *               $ref: '#/components/schemas/ApiResponse'
+ *               $ref: '#/components/schemas/Problem'
  *       404:
  *         description: Item not found
  *         content:
- *           application/json:
+ *           application/problem+json:
  *             schema:
- *               $ref: '#/components/schemas/ApiResponse'
+ *               $ref: '#/components/schemas/Problem'
  *       500:
  *         description: Server error
  *         content:
- *           application/json:
+ *           application/problem+json:
  *             schema:
- *               $ref: '#/components/schemas/ApiResponse'
+ *               $ref: '#/components/schemas/Problem'
  */
-const getItemDetails = async (req, res) => {
-  try {
-    const item = await prisma.item.findUnique({
-      where: { id: parseInt(req.params.id) }
-    });
+const getItemDetails = asyncHandler(async (req, res) => {
+  const id = parseId(req.params.id);
+  if (!id) {
+    throw new ValidationError('Invalid item ID');
+  }
 
-    if (!item) {
-      return res.status(404).json({ error: 'Item not found' });
+  const item = await prisma.item.findFirst({
+    where: { id, deletedAt: null },
+    include: {
+      variants: {
+        orderBy: { id: 'asc' },
+        select: { id: true, sku: true, size: true, color: true, stock: true, price: true }
+      }
     }
+  });
 
-    res.json(item);
-  } catch (error) {
-    res.status(500).json({ error: 'Failed to fetch item details' });
+  if (!item) {
+    throw new NotFoundError('Item not found');
   }
-};
+
+  const variants = item.variants.map((variant) => ({
+    ...variant,
+    price: variant.price ?? item.cost,
+    inStock: variant.stock > 0
+  }));
+
+  const ratings = await summarizeRatings(prisma, [id]);
+
+  res.json({
+    ...item,
+    variants,
+    inStock: variants.some((variant) => variant.inStock),
+    ...ratings.get(id)
+  });
+});
 
 /**
  * @swagger
  * /items/search:
  *   post:
- *     summary: AI-powered search through items
+ *     summary: Search the catalog with a natural language prompt
+ *     description: |
+ *       Runs entirely in-process. The prompt is parsed into structured filters and free-text terms:
+ *       - cost ranges such as "under 30", "over $50" or "between 20 and 40"
+ *       - colors such as "blue" and sizes such as "size M", "XL" or "medium"
+ *       - "cheapest" / "most expensive" to sort by cost
+ *
+ *       Remaining words are matched against name, category, description and color with
+ *       relevance ranking and tolerance for small typos.
  *     tags: [Items]
  *     security:
  *       - bearerAuth: []
@@ -168,120 +449,353 @@ const getItemDetails = async (req, res) => {
  *           schema:
  *             type: object
  *             required:
- *               - items
  *               - prompt
  *             properties:
+ *               prompt:
+ *                 type: string
+ *                 description: What the user is looking for
+ *                 example: "blue shirts under 30"
  *               items:
  *                 type: array
  *                 items:
  *                   type: integer
- *                 description: Array of item IDs to search through
+ *                 description: Optionally restrict the search to these item IDs
  *                 example: [1, 2, 3]
- *               prompt:
- *                 type: string
- *                 description: Search criteria (e.g., "cheaper one" or "color blue")
- *                 example: "cheaper one"
+ *               limit:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 100
+ *                 default: 20
  *     responses:
  *       200:
  *         description: Search completed successfully
  *         content:
  *           application/json:
  *             schema:
- *               allOf:
- *                 - $ref: '#/components/schemas/ApiResponse'
- *                 - example:
- *                     success: true
- *                     message: Search completed successfully
- *                     data:
- *                       id: 1
- *                       name: "Classic T-Shirt"
- *                       category: "Clothing"
- *                       description: "A comfortable cotton t-shirt"
- *                       cost: 29.99
- *                       thumbnailUrl: "https://example.com/thumbnail.jpg"
- *                       imageUrl: "https://example.com/image.jpg"
- *                       size: "M"
- *                       color: "Blue"
+ *               type: object
+ *             example:
+ *               results:
+ *                 - id: 1
+ *                   name: "Classic T-Shirt"
+ *                   category: "Clothing"
+ *                   description: "A comfortable cotton t-shirt"
+ *                   cost: 29.99
+ *                   thumbnailUrl: "https://example.com/thumbnail.jpg"
+ *                   imageUrl: "https://example.com/image.jpg"
+ *                   size: "M"
+ *                   color: "Blue"
+ *                   relevanceScore: 1
+ *               prompt: "blue shirts under 30"
+ *               query:
+ *                 terms: ["shirt"]
+ *                 filters:
+ *                   colors: ["blue"]
+ *                   sizes: []
+ *                   maxCost: 30
+ *                 sort: null
+ *               totalItems: 1
+ *       400:
+ *         description: Invalid input
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ */
+const searchItems = asyncHandler(async (req, res) => {
+  const { prompt, items: itemIds, limit } = req.body;
+  const query = parseQuery(prompt);
+
+  // Narrow the candidates in the database with whatever can be expressed there
+  const where = { deletedAt: null };
+  if (itemIds) {
+    where.id = { in: itemIds };
+  }
+  if (query.filters.minCost !== undefined || query.filters.maxCost !== undefined) {
+    where.cost = { gte: query.filters.minCost, lte: query.filters.maxCost };
+  }
+
+  const catalog = await prisma.item.findMany({
+    where,
+    include: {
+      variants: { select: { size: true, color: true } }
+    }
+  });
+
+  const ranked = rankItems(catalog, query);
+  const results = ranked.slice(0, limit).map(({ variants, deletedAt, ...item }) => item);
+
+  res.json({
+    results,
+    prompt,
+    query,
+    totalItems: ranked.length
+  });
+});
+
+/**
+ * @swagger
+ * /items:
+ *   post:
+ *     summary: Create a new item (staff or admin)
+ *     tags: [Items]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Item'
+ *     responses:
+ *       201:
+ *         description: Item created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Item'
  *       400:
  *         description: Invalid input
  *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ */
+const createItem = asyncHandler(async (req, res) => {
+  const category = await resolveCategory(req.body);
+  if (!category) {
+    throw new ValidationError('Unknown category');
+  }
+
+  const { name, description, cost, thumbnailUrl, imageUrl, size, color } = req.body;
+
+  const item = await prisma.item.create({
+    data: {
+      name,
+      category: category.name,
+      categoryId: category.id,
+      description,
+      cost,
+      thumbnailUrl,
+      imageUrl,
+      size,
+      color
+    }
+  });
+
+  res.status(201).json(item);
+});
+
+/**
+ * @swagger
+ * /items/{id}:
+ *   put:
+ *     summary: Replace an item (staff or admin)
+ *     description: All required fields must be supplied; omitted optional fields (size, color) are cleared.
+ *     tags: [Items]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Item ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Item'
+ *     responses:
+ *       200:
+ *         description: Item updated successfully
+ *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/ApiResponse'
+ *               $ref: '#/components/schemas/Item'
+ *       400:
+ *         description: Invalid input or item ID
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
  *       404:
- *         description: No matching items found
+ *         description: Item not found
  *         content:
- *           application/json:
+ *           application/problem+json:
  *             schema:
- *               $ref: '#/components/schemas/ApiResponse'
+ *               $ref: '#/components/schemas/Problem'
  *       500:
  *         description: Server error
+ *   patch:
+ *     summary: Partially update an item (staff or admin)
+ *     tags: [Items]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Item ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             minProperties: 1
+ *             example:
+ *               cost: 24.99
+ *               color: "Red"
+ *     responses:
+ *       200:
+ *         description: Item updated successfully
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/ApiResponse'
+ *               $ref: '#/components/schemas/Item'
+ *       400:
+ *         description: Invalid input or item ID
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Item not found
+ *       500:
+ *         description: Server error
  */
-const aiSearch = async (req, res) => {
-  try {
-    const { items, prompt } = req.body;
+const updateItem = asyncHandler(async (req, res) => {
+  const id = parseId(req.params.id);
+  if (!id) {
+    throw new ValidationError('Invalid item ID');
+  }
 
-    // Validate items array
-    if (!Array.isArray(items) || items.length === 0) {
-      return res.status(400).json({ error: 'Invalid items array' });
+  const existing = await prisma.item.findFirst({
+    where: { id, deletedAt: null }
+  });
+
+  if (!existing) {
+    throw new NotFoundError('Item not found');
+  }
+
+  const { name, description, cost, thumbnailUrl, imageUrl, size, color } = req.body;
+  const data = { name, description, cost, thumbnailUrl, imageUrl, size, color };
+
+  if (req.body.category || req.body.categoryId) {
+    const category = await resolveCategory(req.body);
+    if (!category) {
+      throw new ValidationError('Unknown category');
     }
 
-    // Fetch items from database
-    const dbItems = await prisma.item.findMany({
-      where: {
-        id: {
-          in: items
-        }
-      }
-    });
+    data.category = category.name;
+    data.categoryId = category.id;
+  }
 
-    // Simple comparison logic based on prompt keywords
-    const results = dbItems.map(item => {
-      let score = 0;
-      
-      // Check for price-related criteria
-      if (prompt.toLowerCase().includes('cheaper') || prompt.toLowerCase().includes('lowest price')) {
-        score -= item.cost;
-      }
-      if (prompt.toLowerCase().includes('expensive') || prompt.toLowerCase().includes('highest price')) {
-        score += item.cost;
-      }
+  // PUT replaces the whole item, so optional attributes that were left out are cleared
+  if (req.method === 'PUT') {
+    data.size = size ?? null;
+    data.color = color ?? null;
+  }
 
-      // Check for color availability
-      if (item.color && prompt.toLowerCase().includes(item.color.toLowerCase())) {
-        score += 10;
-      }
+  const item = await prisma.item.update({
+    where: { id },
+    data
+  });
 
-      // Check for size availability
-      if (item.size && prompt.toLowerCase().includes(item.size.toLowerCase())) {
-        score += 10;
-      }
+  res.json(item);
+});
 
-      return {
-        ...item,
-        relevanceScore: score
-      };
-    });
+/**
+ * @swagger
+ * /items/{id}:
+ *   delete:
+ *     summary: Delete an item (staff or admin)
+ *     description: Items are soft deleted so existing references keep working; deleted items no longer appear in listings, details or search.
+ *     tags: [Items]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Item ID
+ *     responses:
+ *       200:
+ *         description: Item deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *       400:
+ *         description: Invalid item ID
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Item not found
+ *       500:
+ *         description: Server error
+ */
+const deleteItem = asyncHandler(async (req, res) => {
+  const id = parseId(req.params.id);
+  if (!id) {
+    throw new ValidationError('Invalid item ID');
+  }
 
-    // Sort results by relevance score
-    results.sort((a, b) => b.relevanceScore - a.relevanceScore);
+  const { count } = await prisma.item.updateMany({
+    where: { id, deletedAt: null },
+    data: { deletedAt: new Date() }
+  });
 
-    res.json({
-      results,
-      prompt,
-      totalItems: results.length
-    });
-  } catch (error) {
-    res.status(500).json({ error: 'Failed to process AI search' });
+  if (count === 0) {
+    throw new NotFoundError('Item not found');
   }
-};
+
+  res.json({ message: 'Item deleted successfully' });
+});
 
 module.exports = {
   listItems,
   getItemDetails,
-  aiSearch
+  searchItems,
+  createItem,
+  updateItem,
+  deleteItem
 }; 
\ No newline at end of file
@@ -0,0 +1,459 @@
+const { prisma } = require('../config/database');
+const { ORDER_STATUS, canTransition } = require('../services/orderStatus');
+const { reserveLines, releaseLines } = require('../services/inventoryService');
+const { priceOrder } = require('../services/pricingService');
+const { redeemCoupon } = require('../services/couponService');
+const { ERROR_CODES, ValidationError, NotFoundError, ConflictError } = require('../errors');
+const { asyncHandler } = require('../utils/asyncHandler');
+const { parseId } = require('../utils/parseId');
+
+const orderInclude = {
+  lines: {
+    orderBy: { id: 'asc' },
+    select: {
+      id: true,
+      itemId: true,
+      variantId: true,
+      sku: true,
+      itemName: true,
+      unitPrice: true,
+      quantity: true,
+      lineTotal: true,
+      discount: true
+    }
+  }
+};
+
+// Moves an order to a new status if the lifecycle allows it. The update is
+// conditional on the status we read, so two concurrent transitions can't both win.
+// Cancelling puts any reserved variant stock back. Throws ConflictError when the
+// transition isn't allowed or loses a race.
+const transitionOrder = async (order, status) => {
+  if (!canTransition(order.status, status)) {
+    throw new ConflictError(`Cannot change order status from ${order.status} to ${status}`, {
+      code: ERROR_CODES.INVALID_STATE
+    });
+  }
+
+  const applied = await prisma.$transaction(async (tx) => {
+    const { count } = await tx.order.updateMany({
+      where: { id: order.id, status: order.status },
+      data: { status }
+    });
+
+    if (count > 0 && status === ORDER_STATUS.CANCELLED) {
+      const lines = await tx.orderLine.findMany({ where: { orderId: order.id } });
+      await releaseLines(tx, lines);
+    }
+
+    return count > 0;
+  });
+
+  if (!applied) {
+    throw new ConflictError('Order status was changed by another request, please retry', {
+      code: ERROR_CODES.CONCURRENT_UPDATE
+    });
+  }
+
+  return prisma.order.findUnique({
+    where: { id: order.id },
+    include: orderInclude
+  });
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Order:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 12
+ *         status:
+ *           type: string
+ *           enum: [pending, paid, shipped, delivered, cancelled, refunded]
+ *           example: pending
+ *         subtotal:
+ *           type: number
+ *           description: Sum of line totals before discount
+ *           example: 59.98
+ *         discount:
+ *           type: number
+ *           example: 6
+ *         total:
+ *           type: number
+ *           example: 53.98
+ *         couponCode:
+ *           type: string
+ *           nullable: true
+ *           example: "SPRING10"
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         lines:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: integer
+ *                 example: 30
+ *               itemId:
+ *                 type: integer
+ *                 example: 1
+ *               variantId:
+ *                 type: integer
+ *                 nullable: true
+ *                 example: 4
+ *               sku:
+ *                 type: string
+ *                 nullable: true
+ *                 example: "TSHIRT-BLUE-M"
+ *               itemName:
+ *                 type: string
+ *                 description: Item name at the time of checkout
+ *                 example: "Classic T-Shirt"
+ *               unitPrice:
+ *                 type: number
+ *                 description: Item price at the time of checkout
+ *                 example: 29.99
+ *               quantity:
+ *                 type: integer
+ *                 example: 2
+ *               lineTotal:
+ *                 type: number
+ *                 description: unitPrice * quantity, before discount
+ *                 example: 59.98
+ *               discount:
+ *                 type: number
+ *                 description: This line's share of the coupon discount
+ *                 example: 6
+ */
+
+/**
+ * @swagger
+ * /orders:
+ *   post:
+ *     summary: Place an order
+ *     description: Item names and prices are snapshotted from the catalog when the order is placed, and the optional coupon is redeemed. The order starts in the pending state.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - items
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - itemId
+ *                     - quantity
+ *                   properties:
+ *                     itemId:
+ *                       type: integer
+ *                       example: 1
+ *                     variantId:
+ *                       type: integer
+ *                       description: Required when the item has variants
+ *                       example: 4
+ *                     quantity:
+ *                       type: integer
+ *                       example: 2
+ *               couponCode:
+ *                 type: string
+ *                 description: Optional coupon, see POST /pricing/quote to preview its effect
+ *                 example: "SPRING10"
+ *     responses:
+ *       201:
+ *         description: Order placed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Order'
+ *       400:
+ *         description: Invalid input, unavailable items or a coupon that does not apply
+ *       401:
+ *         description: Unauthorized
+ *       409:
+ *         description: Not enough stock for one of the requested variants, or the coupon's last use was just taken
+ *       500:
+ *         description: Server error
+ *   get:
+ *     summary: List the current user's orders
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Orders retrieved successfully
+ *       400:
+ *         description: Invalid page or limit
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+const createOrder = asyncHandler(async (req, res) => {
+  const { items, couponCode } = req.body;
+  const priced = await priceOrder(prisma, { items, couponCode, userId: req.user.id });
+  if (priced.error) {
+    throw new ValidationError(priced.error, { code: priced.code, missingItemIds: priced.missingItemIds });
+  }
+
+  const { lines, subtotal, discount, total, coupon } = priced;
+
+  // Stock and the coupon are claimed in the same transaction that creates the order
+  const order = await prisma.$transaction(async (tx) => {
+    await reserveLines(tx, lines);
+
+    const created = await tx.order.create({
+      data: {
+        userId: req.user.id,
+        status: ORDER_STATUS.PENDING,
+        subtotal,
+        discount,
+        total,
+        couponCode: coupon ? coupon.code : null,
+        lines: { create: lines }
+      },
+      include: orderInclude
+    });
+
+    if (coupon) {
+      await redeemCoupon(tx, coupon, { userId: req.user.id, orderId: created.id, discount });
+    }
+
+    return created;
+  });
+
+  res.status(201).json(order);
+});
+
+const listOrders = asyncHandler(async (req, res) => {
+  const { page, limit } = req.query;
+  const skip = (page - 1) * limit;
+  const where = { userId: req.user.id };
+
+  const [orders, total] = await Promise.all([
+    prisma.order.findMany({
+      where,
+      skip,
+      take: limit,
+      orderBy: { createdAt: 'desc' },
+      include: orderInclude
+    }),
+    prisma.order.count({ where })
+  ]);
+
+  res.json({
+    orders,
+    pagination: {
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit)
+    }
+  });
+});
+
+/**
+ * @swagger
+ * /orders/{id}:
+ *   get:
+ *     summary: Get one of the current user's orders
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Order ID
+ *     responses:
+ *       200:
+ *         description: Order retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Order'
+ *       400:
+ *         description: Invalid order ID
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Order not found
+ *       500:
+ *         description: Server error
+ */
+const getOrder = asyncHandler(async (req, res) => {
+  const id = parseId(req.params.id);
+  if (!id) {
+    throw new ValidationError('Invalid order ID');
+  }
+
+  const order = await prisma.order.findFirst({
+    where: { id, userId: req.user.id },
+    include: orderInclude
+  });
+
+  if (!order) {
+    throw new NotFoundError('Order not found');
+  }
+
+  res.json(order);
+});
+
+/**
+ * @swagger
+ * /orders/{id}/cancel:
+ *   post:
+ *     summary: Cancel one of the current user's orders
+ *     description: Only pending orders can be cancelled. Reserved stock is returned to inventory.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Order ID
+ *     responses:
+ *       200:
+ *         description: Order cancelled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Order'
+ *       400:
+ *         description: Invalid order ID
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: Order can no longer be cancelled
+ *       500:
+ *         description: Server error
+ */
+const cancelOrder = asyncHandler(async (req, res) => {
+  const id = parseId(req.params.id);
+  if (!id) {
+    throw new ValidationError('Invalid order ID');
+  }
+
+  const order = await prisma.order.findFirst({
+    where: { id, userId: req.user.id }
+  });
+
+  if (!order) {
+    throw new NotFoundError('Order not found');
+  }
+
+  res.json(await transitionOrder(order, ORDER_STATUS.CANCELLED));
+});
+
+/**
+ * @swagger
+ * /orders/{id}/status:
+ *   patch:
+ *     summary: Move an order to a new status (staff or admin)
+ *     description: |
+ *       Allowed transitions:
+ *       - pending → paid, cancelled
+ *       - paid → shipped, refunded
+ *       - shipped → delivered
+ *       - delivered → refunded
+ *
+ *       Cancelled and refunded orders are final.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Order ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [pending, paid, shipped, delivered, cancelled, refunded]
+ *                 example: shipped
+ *     responses:
+ *       200:
+ *         description: Order status updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Order'
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: Transition not allowed from the current status
+ *       500:
+ *         description: Server error
+ */
+const updateOrderStatus = asyncHandler(async (req, res) => {
+  const id = parseId(req.params.id);
+  if (!id) {
+    throw new ValidationError('Invalid order ID');
+  }
+
+  const order = await prisma.order.findUnique({
+    where: { id }
+  });
+
+  if (!order) {
+    throw new NotFoundError('Order not found');
+  }
+
+  res.json(await transitionOrder(order, req.body.status));
+});
+
+module.exports = {
+  createOrder,
+  listOrders,
+  getOrder,
+  cancelOrder,
+  updateOrderStatus
+};
@@ -0,0 +1,420 @@
+const { prisma } = require('../config/database');
+const config = require('../config/config');
+const { PERMISSIONS, hasPermission } = require('../config/roles');
+const { roundMoney } = require('../utils/money');
+const { buildOrderLines } = require('../services/pricingService');
+const { PAYMENT_STATUS } = require('../services/paymentStatus');
+const { getPaymentProvider } = require('../services/paymentProviders');
+const { refundUpdate, updatePayment, processWebhookEvent } = require('../services/paymentService');
+const { ERROR_CODES, ValidationError, NotFoundError, ConflictError } = require('../errors');
+const { asyncHandler } = require('../utils/asyncHandler');
+const { parseId } = require('../utils/parseId');
+
+// Staff and admins can see every payment, customers only their own
+const findVisiblePayment = (id, user) => prisma.payment.findFirst({
+  where: hasPermission(user.role, PERMISSIONS.PAYMENTS_VIEW) ? { id } : { id, userId: user.id }
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Payment:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 5
+ *         userId:
+ *           type: integer
+ *           example: 3
+ *         provider:
+ *           type: string
+ *           example: mock
+ *         providerPaymentId:
+ *           type: string
+ *           example: "mock_pi_4f1c2a9e0b7d3c5a1e2f3b4c"
+ *         status:
+ *           type: string
+ *           enum: [pending, processing, succeeded, failed, partially_refunded, refunded]
+ *           example: pending
+ *         amount:
+ *           type: number
+ *           example: 59.98
+ *         currency:
+ *           type: string
+ *           example: usd
+ *         refundedAmount:
+ *           type: number
+ *           example: 0
+ *         failureReason:
+ *           type: string
+ *           nullable: true
+ *           example: null
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /payments:
+ *   post:
+ *     summary: Start a payment for items
+ *     description: The amount is computed server-side from current catalog prices (a variant's price overrides the item cost). Use the returned clientSecret to complete the payment with the provider, or call the confirm endpoint.
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - items
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - itemId
+ *                     - quantity
+ *                   properties:
+ *                     itemId:
+ *                       type: integer
+ *                       example: 1
+ *                     variantId:
+ *                       type: integer
+ *                       description: Required when the item has variants
+ *                       example: 4
+ *                     quantity:
+ *                       type: integer
+ *                       example: 2
+ *     responses:
+ *       201:
+ *         description: Payment created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Payment'
+ *                 - type: object
+ *                   properties:
+ *                     clientSecret:
+ *                       type: string
+ *                     lines:
+ *                       type: array
+ *                       description: The priced lines making up the amount
+ *                       items:
+ *                         type: object
+ *       400:
+ *         description: Invalid input or unavailable items
+ *       401:
+ *         description: Unauthorized
+ *       502:
+ *         description: The payment provider rejected the request
+ *       500:
+ *         description: Server error
+ */
+const createPayment = asyncHandler(async (req, res) => {
+  const priced = await buildOrderLines(prisma, req.body.items);
+  if (priced.error) {
+    throw new ValidationError(priced.error, { code: priced.code, missingItemIds: priced.missingItemIds });
+  }
+
+  const amount = roundMoney(priced.lines.reduce((sum, line) => sum + line.lineTotal, 0));
+  const { currency } = config.payments;
+  const provider = getPaymentProvider(config.payments.provider);
+
+  const intent = await provider.createIntent({
+    amount,
+    currency,
+    metadata: { userId: req.user.id }
+  });
+
+  const payment = await prisma.payment.create({
+    data: {
+      userId: req.user.id,
+      provider: provider.name,
+      providerPaymentId: intent.id,
+      status: intent.status,
+      amount,
+      currency
+    }
+  });
+
+  res.status(201).json({ ...payment, clientSecret: intent.clientSecret, lines: priced.lines });
+});
+
+/**
+ * @swagger
+ * /payments/{id}:
+ *   get:
+ *     summary: Get a payment
+ *     description: Customers can see their own payments, staff and admins any payment.
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Payment retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Payment'
+ *       400:
+ *         description: Invalid payment ID
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Payment not found
+ *       500:
+ *         description: Server error
+ */
+const getPayment = asyncHandler(async (req, res) => {
+  const id = parseId(req.params.id);
+  if (!id) {
+    throw new ValidationError('Invalid payment ID');
+  }
+
+  const payment = await findVisiblePayment(id, req.user);
+  if (!payment) {
+    throw new NotFoundError('Payment not found');
+  }
+
+  res.json(payment);
+});
+
+/**
+ * @swagger
+ * /payments/{id}/confirm:
+ *   post:
+ *     summary: Confirm one of your pending payments with a payment method
+ *     description: |
+ *       With the bundled mock provider the outcome depends on the payment method:
+ *       mock_card_ok succeeds, mock_card_declined fails and mock_card_async stays
+ *       processing until a webhook settles it.
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - paymentMethod
+ *             properties:
+ *               paymentMethod:
+ *                 type: string
+ *                 example: mock_card_ok
+ *     responses:
+ *       200:
+ *         description: Payment confirmed; check status for the outcome
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Payment'
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Payment not found
+ *       409:
+ *         description: Payment is not pending
+ *       502:
+ *         description: The payment provider rejected the request
+ *       500:
+ *         description: Server error
+ */
+const confirmPayment = asyncHandler(async (req, res) => {
+  const id = parseId(req.params.id);
+  if (!id) {
+    throw new ValidationError('Invalid payment ID');
+  }
+
+  const payment = await prisma.payment.findFirst({ where: { id, userId: req.user.id } });
+  if (!payment) {
+    throw new NotFoundError('Payment not found');
+  }
+
+  if (payment.status !== PAYMENT_STATUS.PENDING) {
+    throw new ConflictError(`Cannot confirm a payment that is ${payment.status}`, { code: ERROR_CODES.INVALID_STATE });
+  }
+
+  const provider = getPaymentProvider(payment.provider);
+  const outcome = await provider.confirm({
+    id: payment.providerPaymentId,
+    paymentMethod: req.body.paymentMethod
+  });
+
+  await updatePayment(prisma, payment, {
+    status: outcome.status,
+    failureReason: outcome.failureReason || null
+  });
+
+  res.json(await prisma.payment.findUnique({ where: { id } }));
+});
+
+/**
+ * @swagger
+ * /payments/{id}/refund:
+ *   post:
+ *     summary: Refund a payment in full or in part (admin only)
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 description: Defaults to everything not yet refunded
+ *                 example: 10
+ *     responses:
+ *       200:
+ *         description: Refund issued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Payment'
+ *       400:
+ *         description: Invalid input or amount exceeds what is left to refund
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Payment not found
+ *       409:
+ *         description: Payment has not succeeded or is already fully refunded
+ *       502:
+ *         description: The payment provider rejected the request
+ *       500:
+ *         description: Server error
+ */
+const refundPayment = asyncHandler(async (req, res) => {
+  const id = parseId(req.params.id);
+  if (!id) {
+    throw new ValidationError('Invalid payment ID');
+  }
+
+  const payment = await prisma.payment.findUnique({ where: { id } });
+  if (!payment) {
+    throw new NotFoundError('Payment not found');
+  }
+
+  if (![PAYMENT_STATUS.SUCCEEDED, PAYMENT_STATUS.PARTIALLY_REFUNDED].includes(payment.status)) {
+    throw new ConflictError(`Cannot refund a payment that is ${payment.status}`, { code: ERROR_CODES.INVALID_STATE });
+  }
+
+  const remaining = roundMoney(payment.amount - payment.refundedAmount);
+  if (remaining <= 0) {
+    throw new ConflictError('Payment is already fully refunded', { code: ERROR_CODES.INVALID_STATE });
+  }
+  const amount = req.body.amount ?? remaining;
+  if (amount > remaining) {
+    throw new ValidationError(`At most ${remaining} can be refunded`);
+  }
+
+  // Record the refund before asking the provider: of two concurrent refunds only one
+  // claims it, the other gets a 409 and never reaches the provider
+  const claimed = refundUpdate(payment, payment.refundedAmount + amount);
+  await updatePayment(prisma, payment, claimed);
+
+  const provider = getPaymentProvider(payment.provider);
+  try {
+    await provider.refund({ id: payment.providerPaymentId, amount });
+  } catch (error) {
+    // Give the claim back, unless the payment has changed again since
+    await prisma.payment.updateMany({
+      where: { id, status: claimed.status, refundedAmount: claimed.refundedAmount },
+      data: { status: payment.status, refundedAmount: payment.refundedAmount }
+    });
+    throw error;
+  }
+
+  res.json(await prisma.payment.findUnique({ where: { id } }));
+});
+
+/**
+ * @swagger
+ * /payments/webhook:
+ *   post:
+ *     summary: Receive asynchronous payment status updates from the provider
+ *     description: |
+ *       Requests must carry an X-Payment-Signature header of the form t=<unix seconds>,v1=<hex>,
+ *       where v1 is the HMAC-SHA256 of "<t>.<raw body>" with the webhook secret. Each event id is
+ *       processed once; redeliveries are acknowledged without being applied again.
+ *
+ *       Event types: payment.processing, payment.succeeded, payment.failed and payment.refunded
+ *       (with data.amountRefunded as the cumulative refunded amount).
+ *     tags: [Payments]
+ *     parameters:
+ *       - in: header
+ *         name: X-Payment-Signature
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           example:
+ *             id: "mock_evt_9b2d4c6e8f0a1b3c5d7e9f1a"
+ *             type: payment.succeeded
+ *             created: 1748872800
+ *             data:
+ *               paymentIntentId: "mock_pi_4f1c2a9e0b7d3c5a1e2f3b4c"
+ *     responses:
+ *       200:
+ *         description: Event received
+ *         content:
+ *           application/json:
+ *             example:
+ *               received: true
+ *               result: applied
+ *       400:
+ *         description: Invalid signature or event
+ *       409:
+ *         description: The payment changed concurrently; the provider should retry
+ *       500:
+ *         description: Server error
+ */
+const handleWebhook = asyncHandler(async (req, res) => {
+  const result = await processWebhookEvent(prisma, req.body);
+  res.json({ received: true, result });
+});
+
+module.exports = {
+  createPayment,
+  getPayment,
+  confirmPayment,
+  refundPayment,
+  handleWebhook
+};
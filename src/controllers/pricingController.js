@@ -0,0 +1,101 @@
+const { prisma } = require('../config/database');
+const { roundMoney } = require('../utils/money');
+const { priceOrder } = require('../services/pricingService');
+const { ValidationError } = require('../errors');
+const { asyncHandler } = require('../utils/asyncHandler');
+
+/**
+ * @swagger
+ * /pricing/quote:
+ *   post:
+ *     summary: Price items with an optional coupon without placing an order
+ *     description: Prices come from the current catalog (a variant's price overrides the item cost) and the coupon is checked exactly as it will be at checkout, including the current user's usage.
+ *     tags: [Pricing]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - items
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - itemId
+ *                     - quantity
+ *                   properties:
+ *                     itemId:
+ *                       type: integer
+ *                       example: 1
+ *                     variantId:
+ *                       type: integer
+ *                       description: Required when the item has variants
+ *                       example: 4
+ *                     quantity:
+ *                       type: integer
+ *                       example: 2
+ *               couponCode:
+ *                 type: string
+ *                 example: "SPRING10"
+ *     responses:
+ *       200:
+ *         description: Quote computed
+ *         content:
+ *           application/json:
+ *             example:
+ *               lines:
+ *                 - itemId: 1
+ *                   variantId: 4
+ *                   sku: "TSHIRT-BLUE-M"
+ *                   itemName: "Classic T-Shirt"
+ *                   unitPrice: 29.99
+ *                   quantity: 2
+ *                   lineTotal: 59.98
+ *                   discount: 6
+ *                   total: 53.98
+ *               subtotal: 59.98
+ *               discount: 6
+ *               total: 53.98
+ *               coupon:
+ *                 code: "SPRING10"
+ *                 type: percent
+ *                 value: 10
+ *       400:
+ *         description: Invalid input, unavailable items, or a coupon that is unknown, expired, used up or does not apply
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+const quote = asyncHandler(async (req, res) => {
+  const { items, couponCode } = req.body;
+  const priced = await priceOrder(prisma, { items, couponCode, userId: req.user.id });
+  if (priced.error) {
+    throw new ValidationError(priced.error, { code: priced.code, missingItemIds: priced.missingItemIds });
+  }
+
+  const { lines, subtotal, discount, total, coupon } = priced;
+
+  res.json({
+    lines: lines.map((line) => ({ ...line, total: roundMoney(line.lineTotal - line.discount) })),
+    subtotal,
+    discount,
+    total,
+    coupon: coupon && {
+      code: coupon.code,
+      description: coupon.description,
+      type: coupon.type,
+      value: coupon.value
+    }
+  });
+});
+
+module.exports = {
+  quote
+};
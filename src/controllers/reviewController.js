@@ -0,0 +1,417 @@
+const { prisma } = require('../config/database');
+const { summarizeRatings } = require('../services/reviewService');
+const { ValidationError, NotFoundError } = require('../errors');
+const { asyncHandler } = require('../utils/asyncHandler');
+const { parseId } = require('../utils/parseId');
+
+// Reviewers are shown by first name and last initial only
+const formatReview = ({ user, ...review }) => ({
+  ...review,
+  author: user ? `${user.firstName} ${user.lastName.charAt(0)}.` : undefined
+});
+
+const reviewInclude = {
+  user: { select: { firstName: true, lastName: true } }
+};
+
+const findActiveItem = (id) => prisma.item.findFirst({
+  where: { id, deletedAt: null },
+  select: { id: true }
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Review:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 7
+ *         itemId:
+ *           type: integer
+ *           example: 1
+ *         userId:
+ *           type: integer
+ *           example: 3
+ *         rating:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ *           example: 4
+ *         body:
+ *           type: string
+ *           example: "Fits well, colour faded slightly after washing."
+ *         author:
+ *           type: string
+ *           example: "Youssef F."
+ *         hiddenAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /items/{id}/reviews:
+ *   get:
+ *     summary: List visible reviews for an item
+ *     tags: [Reviews]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Item ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 50
+ *     responses:
+ *       200:
+ *         description: Reviews retrieved successfully
+ *         content:
+ *           application/json:
+ *             example:
+ *               reviews:
+ *                 - id: 7
+ *                   itemId: 1
+ *                   userId: 3
+ *                   rating: 4
+ *                   body: "Fits well"
+ *                   author: "Youssef F."
+ *               averageRating: 4.3
+ *               reviewCount: 12
+ *               pagination:
+ *                 total: 12
+ *                 page: 1
+ *                 limit: 10
+ *                 totalPages: 2
+ *       400:
+ *         description: Invalid item ID or query parameters
+ *       404:
+ *         description: Item not found
+ *       500:
+ *         description: Server error
+ *   post:
+ *     summary: Review an item
+ *     description: Each user can review an item once; edit the existing review instead.
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Item ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - rating
+ *               - body
+ *             properties:
+ *               rating:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5
+ *                 example: 4
+ *               body:
+ *                 type: string
+ *                 example: "Fits well, colour faded slightly after washing."
+ *     responses:
+ *       201:
+ *         description: Review created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Review'
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Item not found
+ *       409:
+ *         description: The user has already reviewed this item
+ *       500:
+ *         description: Server error
+ */
+const listReviews = asyncHandler(async (req, res) => {
+  const itemId = parseId(req.params.id);
+  if (!itemId) {
+    throw new ValidationError('Invalid item ID');
+  }
+
+  if (!await findActiveItem(itemId)) {
+    throw new NotFoundError('Item not found');
+  }
+
+  const { page, limit } = req.query;
+  const where = { itemId, hiddenAt: null };
+
+  const [reviews, summaries] = await Promise.all([
+    prisma.review.findMany({
+      where,
+      skip: (page - 1) * limit,
+      take: limit,
+      orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+      include: reviewInclude
+    }),
+    summarizeRatings(prisma, [itemId])
+  ]);
+
+  const { averageRating, reviewCount } = summaries.get(itemId);
+
+  res.json({
+    reviews: reviews.map(formatReview),
+    averageRating,
+    reviewCount,
+    pagination: {
+      total: reviewCount,
+      page,
+      limit,
+      totalPages: Math.ceil(reviewCount / limit)
+    }
+  });
+});
+
+const createReview = asyncHandler(async (req, res) => {
+  const itemId = parseId(req.params.id);
+  if (!itemId) {
+    throw new ValidationError('Invalid item ID');
+  }
+
+  if (!await findActiveItem(itemId)) {
+    throw new NotFoundError('Item not found');
+  }
+
+  const { rating, body } = req.body;
+  const review = await prisma.review.create({
+    data: { itemId, userId: req.user.id, rating, body },
+    include: reviewInclude
+  });
+
+  res.status(201).json(formatReview(review));
+});
+
+/**
+ * @swagger
+ * /items/{id}/reviews/{reviewId}:
+ *   patch:
+ *     summary: Edit your review
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Item ID
+ *       - in: path
+ *         name: reviewId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             minProperties: 1
+ *             properties:
+ *               rating:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5
+ *               body:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Review updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Review'
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Review not found (or not yours)
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Delete your review
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Item ID
+ *       - in: path
+ *         name: reviewId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Review deleted
+ *       400:
+ *         description: Invalid ID
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Review not found (or not yours)
+ *       500:
+ *         description: Server error
+ */
+const updateReview = asyncHandler(async (req, res) => {
+  const itemId = parseId(req.params.id);
+  const reviewId = parseId(req.params.reviewId);
+  if (!itemId || !reviewId) {
+    throw new ValidationError('Invalid item or review ID');
+  }
+
+  const { rating, body } = req.body;
+  const { count } = await prisma.review.updateMany({
+    where: { id: reviewId, itemId, userId: req.user.id },
+    data: { rating, body }
+  });
+
+  if (count === 0) {
+    throw new NotFoundError('Review not found');
+  }
+
+  const review = await prisma.review.findUnique({
+    where: { id: reviewId },
+    include: reviewInclude
+  });
+
+  res.json(formatReview(review));
+});
+
+const deleteReview = asyncHandler(async (req, res) => {
+  const itemId = parseId(req.params.id);
+  const reviewId = parseId(req.params.reviewId);
+  if (!itemId || !reviewId) {
+    throw new ValidationError('Invalid item or review ID');
+  }
+
+  const { count } = await prisma.review.deleteMany({
+    where: { id: reviewId, itemId, userId: req.user.id }
+  });
+
+  if (count === 0) {
+    throw new NotFoundError('Review not found');
+  }
+
+  res.json({ message: 'Review deleted successfully' });
+});
+
+/**
+ * @swagger
+ * /items/{id}/reviews/{reviewId}/visibility:
+ *   patch:
+ *     summary: Hide or unhide a review (staff or admin)
+ *     description: Hidden reviews are excluded from review listings and from rating averages.
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Item ID
+ *       - in: path
+ *         name: reviewId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - hidden
+ *             properties:
+ *               hidden:
+ *                 type: boolean
+ *                 example: true
+ *     responses:
+ *       200:
+ *         description: Visibility updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Review'
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Review not found
+ *       500:
+ *         description: Server error
+ */
+const setReviewVisibility = asyncHandler(async (req, res) => {
+  const itemId = parseId(req.params.id);
+  const reviewId = parseId(req.params.reviewId);
+  if (!itemId || !reviewId) {
+    throw new ValidationError('Invalid item or review ID');
+  }
+
+  const { count } = await prisma.review.updateMany({
+    where: { id: reviewId, itemId },
+    data: { hiddenAt: req.body.hidden ? new Date() : null }
+  });
+
+  if (count === 0) {
+    throw new NotFoundError('Review not found');
+  }
+
+  const review = await prisma.review.findUnique({
+    where: { id: reviewId },
+    include: reviewInclude
+  });
+
+  res.json(formatReview(review));
+});
+
+module.exports = {
+  listReviews,
+  createReview,
+  updateReview,
+  deleteReview,
+  setReviewVisibility
+};
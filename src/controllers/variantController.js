@@ -0,0 +1,331 @@
+const { prisma } = require('../config/database');
+const { reserveStock, releaseStock } = require('../services/inventoryService');
+const { ValidationError, NotFoundError } = require('../errors');
+const { asyncHandler } = require('../utils/asyncHandler');
+const { parseId } = require('../utils/parseId');
+
+const findVariant = (itemId, variantId) => prisma.itemVariant.findFirst({
+  where: { id: variantId, itemId, item: { deletedAt: null } }
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ItemVariant:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 4
+ *         itemId:
+ *           type: integer
+ *           example: 1
+ *         sku:
+ *           type: string
+ *           example: "TSHIRT-BLUE-M"
+ *         size:
+ *           type: string
+ *           example: "M"
+ *         color:
+ *           type: string
+ *           example: "Blue"
+ *         stock:
+ *           type: integer
+ *           example: 25
+ *         price:
+ *           type: number
+ *           nullable: true
+ *           description: Overrides the item cost when set
+ *           example: 31.99
+ */
+
+/**
+ * @swagger
+ * /items/{id}/variants:
+ *   post:
+ *     summary: Add a variant to an item (staff or admin)
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Item ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - sku
+ *             properties:
+ *               sku:
+ *                 type: string
+ *                 example: "TSHIRT-BLUE-M"
+ *               size:
+ *                 type: string
+ *                 example: "M"
+ *               color:
+ *                 type: string
+ *                 example: "Blue"
+ *               stock:
+ *                 type: integer
+ *                 default: 0
+ *                 example: 25
+ *               price:
+ *                 type: number
+ *                 example: 31.99
+ *     responses:
+ *       201:
+ *         description: Variant created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ItemVariant'
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Item not found
+ *       409:
+ *         description: SKU already in use
+ *       500:
+ *         description: Server error
+ */
+const createVariant = asyncHandler(async (req, res) => {
+  const itemId = parseId(req.params.id);
+  if (!itemId) {
+    throw new ValidationError('Invalid item ID');
+  }
+
+  const item = await prisma.item.findFirst({
+    where: { id: itemId, deletedAt: null },
+    select: { id: true }
+  });
+
+  if (!item) {
+    throw new NotFoundError('Item not found');
+  }
+
+  const { sku, size, color, stock, price } = req.body;
+  const variant = await prisma.itemVariant.create({
+    data: { itemId, sku, size, color, stock, price }
+  });
+
+  res.status(201).json(variant);
+});
+
+/**
+ * @swagger
+ * /items/{id}/variants/{variantId}:
+ *   patch:
+ *     summary: Update a variant's SKU, attributes or price (staff or admin)
+ *     description: Stock cannot be set here; use the stock adjustment endpoint so concurrent orders are not overwritten.
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Item ID
+ *       - in: path
+ *         name: variantId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Variant ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             minProperties: 1
+ *             example:
+ *               price: 27.5
+ *     responses:
+ *       200:
+ *         description: Variant updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ItemVariant'
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Variant not found
+ *       409:
+ *         description: SKU already in use
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Delete a variant (staff or admin)
+ *     description: Past order lines keep their SKU snapshot.
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Item ID
+ *       - in: path
+ *         name: variantId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Variant ID
+ *     responses:
+ *       200:
+ *         description: Variant deleted
+ *       400:
+ *         description: Invalid ID
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Variant not found
+ *       500:
+ *         description: Server error
+ */
+const updateVariant = asyncHandler(async (req, res) => {
+  const itemId = parseId(req.params.id);
+  const variantId = parseId(req.params.variantId);
+  if (!itemId || !variantId) {
+    throw new ValidationError('Invalid item or variant ID');
+  }
+
+  if (!await findVariant(itemId, variantId)) {
+    throw new NotFoundError('Variant not found');
+  }
+
+  const { sku, size, color, price } = req.body;
+  const variant = await prisma.itemVariant.update({
+    where: { id: variantId },
+    data: { sku, size, color, price }
+  });
+
+  res.json(variant);
+});
+
+const deleteVariant = asyncHandler(async (req, res) => {
+  const itemId = parseId(req.params.id);
+  const variantId = parseId(req.params.variantId);
+  if (!itemId || !variantId) {
+    throw new ValidationError('Invalid item or variant ID');
+  }
+
+  const { count } = await prisma.itemVariant.deleteMany({
+    where: { id: variantId, itemId }
+  });
+
+  if (count === 0) {
+    throw new NotFoundError('Variant not found');
+  }
+
+  res.json({ message: 'Variant deleted successfully' });
+});
+
+/**
+ * @swagger
+ * /items/{id}/variants/{variantId}/stock:
+ *   post:
+ *     summary: Atomically add or remove stock for a variant (staff or admin)
+ *     description: Positive adjustments restock, negative adjustments decrement. A decrement larger than the remaining stock is rejected rather than going below zero.
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Item ID
+ *       - in: path
+ *         name: variantId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Variant ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - adjustment
+ *             properties:
+ *               adjustment:
+ *                 type: integer
+ *                 example: -2
+ *     responses:
+ *       200:
+ *         description: Stock adjusted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ItemVariant'
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Variant not found
+ *       409:
+ *         description: Not enough stock
+ *       500:
+ *         description: Server error
+ */
+const adjustVariantStock = asyncHandler(async (req, res) => {
+  const itemId = parseId(req.params.id);
+  const variantId = parseId(req.params.variantId);
+  if (!itemId || !variantId) {
+    throw new ValidationError('Invalid item or variant ID');
+  }
+
+  if (!await findVariant(itemId, variantId)) {
+    throw new NotFoundError('Variant not found');
+  }
+
+  const { adjustment } = req.body;
+  if (adjustment < 0) {
+    await reserveStock(prisma, variantId, -adjustment);
+  } else {
+    await releaseStock(prisma, variantId, adjustment);
+  }
+
+  const variant = await prisma.itemVariant.findUnique({
+    where: { id: variantId }
+  });
+
+  res.json(variant);
+});
+
+module.exports = {
+  createVariant,
+  updateVariant,
+  deleteVariant,
+  adjustVariantStock
+};
@@ -0,0 +1,203 @@
+const { prisma } = require('../config/database');
+const { ValidationError, NotFoundError } = require('../errors');
+const { asyncHandler } = require('../utils/asyncHandler');
+const { parseId } = require('../utils/parseId');
+
+const getWishlist = async (userId) => {
+  const entries = await prisma.wishlistItem.findMany({
+    where: { userId },
+    orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+    include: {
+      item: {
+        select: {
+          id: true,
+          name: true,
+          category: true,
+          cost: true,
+          thumbnailUrl: true,
+          deletedAt: true
+        }
+      }
+    }
+  });
+
+  return {
+    items: entries.map(({ item, createdAt }) => ({
+      itemId: item.id,
+      name: item.name,
+      category: item.category,
+      cost: item.cost,
+      thumbnailUrl: item.thumbnailUrl,
+      available: !item.deletedAt,
+      addedAt: createdAt
+    }))
+  };
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Wishlist:
+ *       type: object
+ *       properties:
+ *         items:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               itemId:
+ *                 type: integer
+ *                 example: 1
+ *               name:
+ *                 type: string
+ *                 example: "Classic T-Shirt"
+ *               category:
+ *                 type: string
+ *                 example: "Clothing"
+ *               cost:
+ *                 type: number
+ *                 example: 29.99
+ *               thumbnailUrl:
+ *                 type: string
+ *                 example: "https://example.com/thumbnail.jpg"
+ *               available:
+ *                 type: boolean
+ *                 description: False when the item has since been removed from the catalog
+ *                 example: true
+ *               addedAt:
+ *                 type: string
+ *                 format: date-time
+ */
+
+/**
+ * @swagger
+ * /wishlist:
+ *   get:
+ *     summary: Get the current user's wishlist, most recently added first
+ *     tags: [Wishlist]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Wishlist retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Wishlist'
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ *   post:
+ *     summary: Save an item to the current user's wishlist
+ *     description: Saving an item that is already on the wishlist has no effect.
+ *     tags: [Wishlist]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - itemId
+ *             properties:
+ *               itemId:
+ *                 type: integer
+ *                 example: 1
+ *     responses:
+ *       201:
+ *         description: Item saved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Wishlist'
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Item not found
+ *       500:
+ *         description: Server error
+ */
+const listWishlist = asyncHandler(async (req, res) => {
+  res.json(await getWishlist(req.user.id));
+});
+
+const addWishlistItem = asyncHandler(async (req, res) => {
+  const { itemId } = req.body;
+
+  const item = await prisma.item.findFirst({
+    where: { id: itemId, deletedAt: null },
+    select: { id: true }
+  });
+
+  if (!item) {
+    throw new NotFoundError('Item not found');
+  }
+
+  await prisma.wishlistItem.upsert({
+    where: { userId_itemId: { userId: req.user.id, itemId } },
+    create: { userId: req.user.id, itemId },
+    update: {}
+  });
+
+  res.status(201).json(await getWishlist(req.user.id));
+});
+
+/**
+ * @swagger
+ * /wishlist/{itemId}:
+ *   delete:
+ *     summary: Remove an item from the current user's wishlist
+ *     tags: [Wishlist]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Item ID
+ *     responses:
+ *       200:
+ *         description: Item removed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Wishlist'
+ *       400:
+ *         description: Invalid item ID
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Item is not on the wishlist
+ *       500:
+ *         description: Server error
+ */
+const removeWishlistItem = asyncHandler(async (req, res) => {
+  const itemId = parseId(req.params.itemId);
+  if (!itemId) {
+    throw new ValidationError('Invalid item ID');
+  }
+
+  const { count } = await prisma.wishlistItem.deleteMany({
+    where: { userId: req.user.id, itemId }
+  });
+
+  if (count === 0) {
+    throw new NotFoundError('Item is not on your wishlist');
+  }
+
+  res.json(await getWishlist(req.user.id));
+});
+
+module.exports = {
+  listWishlist,
+  addWishlistItem,
+  removeWishlistItem
+};
@@ -0,0 +1,88 @@
+/**
+ * Errors the API reports to clients. Throw one of these from a controller, service or
+ * middleware and the error handler turns it into an application/problem+json response
+ * (RFC 7807) with the error's status, message and code.
+ *
+ * Codes are stable and machine-readable: clients should switch on code, never on the
+ * message. Add new codes to ERROR_CODES rather than inventing them inline.
+ */
+
+const ERROR_CODES = Object.freeze({
+  // 400
+  VALIDATION_FAILED: 'VALIDATION_FAILED',
+  MALFORMED_REQUEST: 'MALFORMED_REQUEST',
+  INVALID_TOKEN: 'INVALID_TOKEN', // emailed, refresh or two-factor tokens
+  INVALID_WEBHOOK_SIGNATURE: 'INVALID_WEBHOOK_SIGNATURE',
+  ITEMS_UNAVAILABLE: 'ITEMS_UNAVAILABLE',
+  INVALID_COUPON: 'INVALID_COUPON', // unknown, inactive, expired, used up or not applicable
+  // 401
+  AUTHENTICATION_REQUIRED: 'AUTHENTICATION_REQUIRED',
+  INVALID_CREDENTIALS: 'INVALID_CREDENTIALS',
+  ACCESS_TOKEN_INVALID: 'ACCESS_TOKEN_INVALID',
+  ACCESS_TOKEN_EXPIRED: 'ACCESS_TOKEN_EXPIRED',
+  // 403
+  FORBIDDEN: 'FORBIDDEN',
+  ACCOUNT_LOCKED: 'ACCOUNT_LOCKED',
+  EMAIL_NOT_VERIFIED: 'EMAIL_NOT_VERIFIED',
+  // 404
+  NOT_FOUND: 'NOT_FOUND',
+  ROUTE_NOT_FOUND: 'ROUTE_NOT_FOUND',
+  // 409
+  CONFLICT: 'CONFLICT',
+  ALREADY_EXISTS: 'ALREADY_EXISTS',
+  INVALID_STATE: 'INVALID_STATE',
+  CONCURRENT_UPDATE: 'CONCURRENT_UPDATE',
+  INSUFFICIENT_STOCK: 'INSUFFICIENT_STOCK',
+  COUPON_LIMIT_REACHED: 'COUPON_LIMIT_REACHED', // the last use was taken by a concurrent checkout
+  // 413
+  PAYLOAD_TOO_LARGE: 'PAYLOAD_TOO_LARGE',
+  // 429
+  RATE_LIMITED: 'RATE_LIMITED',
+  LOGIN_THROTTLED: 'LOGIN_THROTTLED',
+  // 5xx
+  INTERNAL_ERROR: 'INTERNAL_ERROR',
+  PAYMENT_PROVIDER_ERROR: 'PAYMENT_PROVIDER_ERROR'
+});
+
+class AppError extends Error {
+  /**
+   * @param {number} status HTTP status
+   * @param {string} code One of ERROR_CODES
+   * @param {string} message Safe to show to the client
+   * @param {object} [extensions] Extra members for the problem document, such as missingItemIds
+   */
+  constructor(status, code, message, extensions = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.extensions = extensions;
+  }
+}
+
+// The subclasses take (message, { code, ...extensions }), code defaulting per class
+const defineError = (status, defaultCode) => class extends AppError {
+  constructor(message, { code = defaultCode, ...extensions } = {}) {
+    super(status, code, message, extensions);
+  }
+};
+
+class ValidationError extends defineError(400, ERROR_CODES.VALIDATION_FAILED) {}
+class UnauthorizedError extends defineError(401, ERROR_CODES.AUTHENTICATION_REQUIRED) {}
+class ForbiddenError extends defineError(403, ERROR_CODES.FORBIDDEN) {}
+class NotFoundError extends defineError(404, ERROR_CODES.NOT_FOUND) {}
+class ConflictError extends defineError(409, ERROR_CODES.CONFLICT) {}
+class TooManyRequestsError extends defineError(429, ERROR_CODES.RATE_LIMITED) {}
+class BadGatewayError extends defineError(502, ERROR_CODES.PAYMENT_PROVIDER_ERROR) {}
+
+module.exports = {
+  ERROR_CODES,
+  AppError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  TooManyRequestsError,
+  BadGatewayError
+};
@@ -0,0 +1,41 @@
+const { ERROR_CODES, ValidationError, NotFoundError, ConflictError } = require('./index');
+
+const isPrismaRequestError = (error) => error && error.name === 'PrismaClientKnownRequestError';
+
+/**
+ * Translate the Prisma errors a request can legitimately cause into API errors, so
+ * controllers don't have to catch them. Anything else is returned unchanged.
+ * @param {Error} error
+ * @returns {Error}
+ */
+const translatePrismaError = (error) => {
+  if (!isPrismaRequestError(error)) {
+    return error;
+  }
+
+  switch (error.code) {
+    case 'P2000': // value too long for its column
+      return new ValidationError(`Value too long for ${error.meta?.column_name || 'a field'}`);
+    case 'P2002': { // unique constraint
+      const fields = [].concat(error.meta?.target || []);
+      return new ConflictError(
+        fields.length > 0 ? `A record with this ${fields.join(', ')} already exists` : 'Record already exists',
+        { code: ERROR_CODES.ALREADY_EXISTS, fields }
+      );
+    }
+    case 'P2003': // foreign key constraint
+      return new ConflictError('The change conflicts with related records');
+    case 'P2025': // record to update or delete not found
+      return new NotFoundError('Record not found');
+    case 'P2034': // write conflict in a transaction
+      return new ConflictError('The record was changed by another request, please retry', {
+        code: ERROR_CODES.CONCURRENT_UPDATE
+      });
+    default:
+      return error;
+  }
+};
+
+module.exports = {
+  translatePrismaError
+};
@@ -1,37 +1,73 @@
 const jwt = require('jsonwebtoken');
 const config = require('../config/config');
+const { hasPermission } = require('../config/roles');
+const { ERROR_CODES, UnauthorizedError, ForbiddenError } = require('../errors');
 
-const authenticateToken = (req, res, next) => {
-  try {
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'No token provided' });
-    }
+const verifyAccessToken = (token) => jwt.verify(token, config.jwt.key, {
+  issuer: config.jwt.issuer,
+  audience: config.jwt.audience,
+});
 
-    const token = authHeader.split(' ')[1];
-    const decoded = jwt.verify(token, config.jwt.key, {
-      issuer: config.jwt.issuer,
-      audience: config.jwt.audience,
-    });
+const authenticateToken = (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return next(new UnauthorizedError('No token provided'));
+  }
 
-    req.user = decoded;
-    next();
+  try {
+    req.user = verifyAccessToken(authHeader.split(' ')[1]);
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
       res.setHeader('Token-Expired', 'true');
+      return next(new UnauthorizedError('Access token has expired', { code: ERROR_CODES.ACCESS_TOKEN_EXPIRED }));
     }
-    return res.status(401).json({ error: 'Invalid token' });
+    return next(new UnauthorizedError('Invalid token', { code: ERROR_CODES.ACCESS_TOKEN_INVALID }));
   }
+
+  next();
+};
+
+// For public routes that personalise their response when a user is logged in.
+// A missing or invalid token never fails the request; it is served anonymously.
+const optionalAuth = (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    try {
+      req.user = verifyAccessToken(authHeader.split(' ')[1]);
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        res.setHeader('Token-Expired', 'true');
+      }
+    }
+  }
+
+  next();
 };
 
 const authorizeRoles = (roles) => {
   return (req, res, next) => {
     if (!req.user) {
-      return res.status(401).json({ error: 'Authentication required' });
+      return next(new UnauthorizedError('Authentication required'));
     }
 
     if (!roles.includes(req.user.role)) {
-      return res.status(403).json({ error: 'Insufficient permissions' });
+      return next(new ForbiddenError('Insufficient permissions'));
+    }
+
+    next();
+  };
+};
+
+// Prefer this over authorizeRoles: which roles hold a permission is defined in config/roles.js.
+// The role comes from the access token, so a role change applies once the user's tokens are renewed.
+const requirePermission = (permission) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return next(new UnauthorizedError('Authentication required'));
+    }
+
+    if (!hasPermission(req.user.role, permission)) {
+      return next(new ForbiddenError('Insufficient permissions'));
     }
 
     next();
@@ -39,6 +75,9 @@ const authorizeRoles = (roles) => {
 };
 
 module.exports = {
+  verifyAccessToken,
   authenticateToken,
-  authorizeRoles
+  optionalAuth,
+  authorizeRoles,
+  requirePermission
 }; 
\ No newline at end of file
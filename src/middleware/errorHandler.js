@@ -1,48 +1,60 @@
-const errorHandler = (err, req, res, next) => {
-    // Log the error for debugging
-    console.error('Error:', {
-        message: err.message,
-        stack: err.stack,
-        path: req.path,
-        method: req.method,
-        timestamp: new Date().toISOString()
-    });
+const http = require('http');
+const { ERROR_CODES, AppError, NotFoundError, ValidationError } = require('../errors');
+const { translatePrismaError } = require('../errors/prismaErrors');
+const { logger } = require('../utils/logger');
+
+// Errors from Express and the body parser carry a status and a type instead of a code
+const expressErrorCodes = {
+    'entity.parse.failed': ERROR_CODES.MALFORMED_REQUEST,
+    'entity.too.large': ERROR_CODES.PAYLOAD_TOO_LARGE
+};
+
+const toAppError = (err) => {
+    const error = translatePrismaError(err);
+    if (error instanceof AppError) {
+        return error;
+    }
 
-    // Don't expose internal errors to client
-    const errorResponse = {
-        error: {
-            message: 'An error occurred while processing your request.',
-            code: 'INTERNAL_ERROR'
-        }
-    };
-
-    // Handle specific error types
-    if (err.name === 'ValidationError') {
-        errorResponse.error = {
-            message: err.message,
-            code: 'VALIDATION_ERROR'
-        };
-        return res.status(400).json(errorResponse);
+    const status = error.status || error.statusCode;
+    if (error.expose && status >= 400 && status < 500) {
+        return status === 400
+            ? new ValidationError(error.message, { code: expressErrorCodes[error.type] || ERROR_CODES.MALFORMED_REQUEST })
+            : new AppError(status, expressErrorCodes[error.type] || ERROR_CODES.MALFORMED_REQUEST, error.message);
     }
 
-    if (err.name === 'UnauthorizedError') {
-        errorResponse.error = {
-            message: 'Invalid authentication credentials',
-            code: 'UNAUTHORIZED'
-        };
-        return res.status(401).json(errorResponse);
+    return null;
+};
+
+const notFoundHandler = (req, res, next) => {
+    next(new NotFoundError('Route not found', { code: ERROR_CODES.ROUTE_NOT_FOUND }));
+};
+
+// Every error response is an RFC 7807 problem document. code, the request id and any
+// extensions of the error are added as extension members.
+const errorHandler = (err, req, res, next) => {
+    if (res.headersSent) {
+        return next(err);
     }
 
-    if (err.name === 'ForbiddenError') {
-        errorResponse.error = {
-            message: 'Insufficient permissions',
-            code: 'FORBIDDEN'
-        };
-        return res.status(403).json(errorResponse);
+    const error = toAppError(err) || new AppError(
+        500,
+        ERROR_CODES.INTERNAL_ERROR,
+        req.app.get('env') === 'development' ? err.message : 'An unexpected error occurred'
+    );
+    if (error.status >= 500) {
+        (req.log || logger).error('Request failed', { error: err });
     }
 
-    // Default to 500 for unhandled errors
-    res.status(500).json(errorResponse);
+    res.status(error.status).type('application/problem+json').json({
+        type: 'about:blank',
+        title: http.STATUS_CODES[error.status],
+        status: error.status,
+        detail: error.message,
+        instance: req.path,
+        code: error.code,
+        requestId: req.id,
+        ...error.extensions
+    });
 };
 
-module.exports = { errorHandler }; 
\ No newline at end of file
+module.exports = { notFoundHandler, errorHandler };
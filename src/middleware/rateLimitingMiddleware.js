@@ -1,22 +1,58 @@
 const rateLimit = require('express-rate-limit');
+const { RATE_LIMIT_POLICIES } = require('../config/rateLimits');
+const { createRateLimitStore } = require('../services/rateLimitStores');
+const { verifyAccessToken } = require('./authMiddleware');
+const { TooManyRequestsError } = require('../errors');
 
-const apiLimiter = rateLimit({
-    windowMs: 15 * 60 * 1000, // 15 minutes
-    max: 100, // Limit each IP to 100 requests per windowMs
-    message: 'Too many requests from this IP, please try again after 15 minutes',
-    standardHeaders: true,
-    legacyHeaders: false,
-});
+// Who a request counts against: the user when it carries a valid access token, otherwise
+// the client IP. Routes still authenticate on their own; an invalid token is just anonymous.
+const rateLimitClient = (req) => {
+    if (!req.rateLimitClient) {
+        let userId = null;
+        const authHeader = req.headers.authorization;
+        if (authHeader && authHeader.startsWith('Bearer ')) {
+            try {
+                userId = verifyAccessToken(authHeader.split(' ')[1]).id;
+            } catch (error) {
+                // Counted by IP like any other anonymous request
+            }
+        }
+        req.rateLimitClient = userId ? { key: `user:${userId}`, authenticated: true } : { key: `ip:${req.ip}`, authenticated: false };
+    }
+    return req.rateLimitClient;
+};
 
-const authLimiter = rateLimit({
-    windowMs: 60 * 60 * 1000, // 1 hour
-    max: 5, // Limit each IP to 5 failed login attempts per hour
-    message: 'Too many failed login attempts, please try again after an hour',
+const createLimiter = (policy, store) => rateLimit({
+    windowMs: policy.windowMs,
+    limit: (req) => policy.keyBy !== 'ip' && rateLimitClient(req).authenticated
+        ? policy.authenticated ?? policy.anonymous
+        : policy.anonymous,
+    keyGenerator: (req) => (policy.keyBy === 'ip' ? `ip:${req.ip}` : rateLimitClient(req).key),
+    skipSuccessfulRequests: Boolean(policy.skipSuccessfulRequests),
+    store: createRateLimitStore(store, { prefix: `${policy.name}:` }),
+    passOnStoreError: true, // if the store is unreachable, serve the request rather than fail it
+    handler: (req, res, next) => next(new TooManyRequestsError('Too many requests, please try again later')),
     standardHeaders: true,
     legacyHeaders: false,
 });
 
+/**
+ * Build the middleware applying the first policy in config/rateLimits.js that matches the
+ * request. Mount it on /api. Each call creates its own limiters and store instances.
+ * @param {{ store: string }} options config.rateLimit
+ */
+const createRateLimiter = ({ store }) => {
+    const limiters = new Map(RATE_LIMIT_POLICIES
+        .filter((policy) => !policy.exempt)
+        .map((policy) => [policy.name, createLimiter(policy, store)]));
+
+    return (req, res, next) => {
+        const policy = RATE_LIMIT_POLICIES.find((candidate) => candidate.match(req));
+        const limiter = policy && limiters.get(policy.name);
+        return limiter ? limiter(req, res, next) : next();
+    };
+};
+
 module.exports = {
-    apiLimiter,
-    authLimiter
-}; 
\ No newline at end of file
+    createRateLimiter
+};
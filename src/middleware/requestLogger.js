@@ -0,0 +1,46 @@
+const crypto = require('crypto');
+const { logger, redact } = require('../utils/logger');
+
+// Ids from clients or proxies are kept if they look like ids, so they can't inject log content
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Give each request an id, taken from X-Request-Id or generated, echo it back and log the
+// request once it completes. Mount first so the timing covers the whole request.
+const requestLogger = (req, res, next) => {
+  const incomingId = req.get('X-Request-Id');
+  req.id = incomingId && REQUEST_ID_PATTERN.test(incomingId) ? incomingId : crypto.randomUUID();
+  req.log = logger.child({ requestId: req.id });
+  res.set('X-Request-Id', req.id);
+
+  const startedAt = process.hrtime.bigint();
+
+  res.on('close', () => {
+    const status = res.statusCode;
+    const fields = {
+      method: req.method,
+      // The query is logged separately so tokens in it are redacted
+      path: req.originalUrl.split('?')[0],
+      query: redact(req.query),
+      status,
+      durationMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e4) / 100,
+      ip: req.ip,
+      userId: req.user ? req.user.id : undefined
+    };
+
+    if (!res.writableFinished) {
+      return req.log.warn('Request aborted', fields);
+    }
+    if (status >= 400) {
+      fields.body = redact(req.body);
+    }
+
+    const level = status >= 500 ? 'error' : status >= 400 ? 'warn' : 'info';
+    req.log[level]('Request completed', fields);
+  });
+
+  next();
+};
+
+module.exports = {
+  requestLogger
+};
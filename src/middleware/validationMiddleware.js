@@ -1,14 +1,22 @@
 const Joi = require('joi');
 const { body, validationResult } = require('express-validator');
+const { ORDER_STATUS } = require('../services/orderStatus');
+const { COUPON_TYPE } = require('../services/couponService');
+const { ROLES } = require('../config/roles');
+const { SLUG_PATTERN } = require('../utils/slugify');
+const { decodeCursor } = require('../utils/cursor');
+const { ValidationError } = require('../errors');
+
+// The field and message of each Joi error, as the errors extension of a ValidationError
+const toFieldErrors = (error) => error.details.map(detail => ({
+    field: detail.path[0],
+    message: detail.message
+}));
 
 const validate = (schema) => (req, res, next) => {
     const { error } = schema.validate(req.body);
     if (error) {
-        return res.status(400).json({
-            success: false,
-            message: 'Validation error',
-            errors: error.details.map(detail => detail.message)
-        });
+        return next(new ValidationError('Validation failed', { errors: toFieldErrors(error) }));
     }
     next();
 };
@@ -16,6 +24,57 @@ const validate = (schema) => (req, res, next) => {
 // Password validation pattern
 const passwordPattern = new RegExp('^(?=.*[a-z])(?=.*[A-Z])(?=.*[0-9])(?=.*[!@#$%^&*(),.?":{}|<>])[A-Za-z0-9!@#$%^&*(),.?":{}|<>]{8,}$');
 
+// Item fields, mirroring the Item schema in swagger.js
+const itemFields = {
+    name: Joi.string().trim().min(1).max(200),
+    category: Joi.string().trim().min(1).max(100), // Name or slug of an existing category
+    categoryId: Joi.number().integer().positive(),
+    description: Joi.string().trim().min(1).max(5000),
+    cost: Joi.number().positive().precision(2),
+    thumbnailUrl: Joi.string().uri(),
+    imageUrl: Joi.string().uri(),
+    size: Joi.string().trim().max(20).allow(null),
+    color: Joi.string().trim().max(30).allow(null)
+};
+const requiredItemFields = ['name', 'description', 'cost', 'thumbnailUrl', 'imageUrl'];
+
+const categorySlug = Joi.string().trim().lowercase().pattern(SLUG_PATTERN).max(100);
+
+// Accepted values for GET /items?sort=, a leading '-' sorts descending
+const itemSortFields = ['cost', '-cost', 'name', '-name', 'createdAt', '-createdAt'];
+
+const variantFields = {
+    sku: Joi.string().trim().uppercase().pattern(/^[A-Z0-9-_]+$/).max(64),
+    size: Joi.string().trim().max(20).allow(null),
+    color: Joi.string().trim().max(30).allow(null),
+    price: Joi.number().positive().precision(2).allow(null)
+};
+
+// Items and quantities to price, shared by checkout and price quotes
+const orderLineItems = Joi.array().items(Joi.object({
+    itemId: Joi.number().integer().positive().required(),
+    variantId: Joi.number().integer().positive(),
+    quantity: Joi.number().integer().min(1).max(99).required()
+})).min(1).max(50);
+
+const couponCode = Joi.string().trim().uppercase().pattern(/^[A-Z0-9-_]+$/).min(3).max(40);
+
+// Cross-field rules (percentage cap, validity window) are checked by checkCouponRules
+const couponFields = {
+    code: couponCode,
+    description: Joi.string().trim().max(500).allow(null),
+    type: Joi.string().valid(...Object.values(COUPON_TYPE)),
+    value: Joi.number().positive().precision(2),
+    minOrderTotal: Joi.number().min(0).precision(2).allow(null),
+    maxRedemptions: Joi.number().integer().min(1).allow(null),
+    perUserLimit: Joi.number().integer().min(1).allow(null),
+    startsAt: Joi.date().iso().allow(null),
+    endsAt: Joi.date().iso().allow(null),
+    active: Joi.boolean(),
+    itemIds: Joi.array().items(Joi.number().integer().positive()).unique().max(500),
+    categoryIds: Joi.array().items(Joi.number().integer().positive()).unique().max(100)
+};
+
 // Validation schemas
 const schemas = {
     register: Joi.object({
@@ -64,6 +123,37 @@ const schemas = {
             })
     }),
 
+    loginTwoFactor: Joi.object({
+        challengeToken: Joi.string().required(),
+        code: Joi.string().trim().required()
+    }),
+
+    enableTwoFactor: Joi.object({
+        code: Joi.string().trim().pattern(/^\d{6}$/).required()
+            .messages({ 'string.pattern.base': 'Code must be the 6 digits shown in your authenticator app' })
+    }),
+
+    disableTwoFactor: Joi.object({
+        password: Joi.string().required(),
+        code: Joi.string().trim().required()
+    }),
+
+    twoFactorCode: Joi.object({
+        code: Joi.string().trim().required()
+    }),
+
+    deleteAccount: Joi.object({
+        password: Joi.string().required()
+    }),
+
+    verifyEmail: Joi.object({
+        token: Joi.string().required()
+    }),
+
+    resendVerification: Joi.object({
+        email: Joi.string().email().required()
+    }),
+
     forgotPassword: Joi.object({
         email: Joi.string().email().required()
     }),
@@ -79,6 +169,175 @@ const schemas = {
             })
     }),
 
+    createItem: Joi.object(itemFields)
+        .fork(requiredItemFields, (field) => field.required())
+        .or('category', 'categoryId'),
+
+    updateItem: Joi.object(itemFields)
+        .fork(requiredItemFields, (field) => field.required())
+        .or('category', 'categoryId'),
+
+    patchItem: Joi.object(itemFields).min(1), // At least one field must be provided
+
+    listItems: Joi.object({
+        // page and cursor select the pagination mode and can't be combined
+        page: Joi.number().integer().min(1).when('cursor', {
+            is: Joi.exist(),
+            then: Joi.forbidden(),
+            otherwise: Joi.optional().default(1)
+        }),
+        cursor: Joi.string().max(500).custom((value, helpers) => decodeCursor(value) || helpers.error('any.invalid')),
+        limit: Joi.number().integer().min(1).max(100).default(10),
+        category: Joi.string().trim().max(100),
+        minCost: Joi.number().min(0),
+        maxCost: Joi.number().min(Joi.ref('minCost', { adjust: (minCost) => minCost || 0 })),
+        color: Joi.string().trim().max(30),
+        size: Joi.string().trim().max(20),
+        createdFrom: Joi.date().iso(),
+        createdTo: Joi.date().iso().min(Joi.ref('createdFrom', { adjust: (from) => from || new Date(0) })),
+        inStock: Joi.boolean(),
+        sort: Joi.string().valid(...itemSortFields)
+    }),
+
+    createCategory: Joi.object({
+        name: Joi.string().trim().min(1).max(100).required(),
+        slug: categorySlug,
+        parentId: Joi.number().integer().positive().allow(null)
+    }),
+
+    updateCategory: Joi.object({
+        name: Joi.string().trim().min(1).max(100),
+        slug: categorySlug,
+        parentId: Joi.number().integer().positive().allow(null)
+    }).min(1),
+
+    mergeCategory: Joi.object({
+        intoId: Joi.number().integer().positive().required()
+    }),
+
+    listReviews: Joi.object({
+        page: Joi.number().integer().min(1).default(1),
+        limit: Joi.number().integer().min(1).max(50).default(10)
+    }),
+
+    createReview: Joi.object({
+        rating: Joi.number().integer().min(1).max(5).required(),
+        body: Joi.string().trim().min(1).max(2000).required()
+    }),
+
+    updateReview: Joi.object({
+        rating: Joi.number().integer().min(1).max(5),
+        body: Joi.string().trim().min(1).max(2000)
+    }).min(1),
+
+    setReviewVisibility: Joi.object({
+        hidden: Joi.boolean().required()
+    }),
+
+    searchItems: Joi.object({
+        prompt: Joi.string().trim().min(1).max(500).required(),
+        items: Joi.array().items(Joi.number().integer().positive()).min(1).max(500),
+        limit: Joi.number().integer().min(1).max(100).default(20)
+    }),
+
+    createVariant: Joi.object({
+        ...variantFields,
+        sku: variantFields.sku.required(),
+        stock: Joi.number().integer().min(0).default(0)
+    }),
+
+    // Stock is changed through adjustVariantStock so concurrent orders aren't overwritten
+    updateVariant: Joi.object(variantFields).min(1),
+
+    adjustVariantStock: Joi.object({
+        adjustment: Joi.number().integer().invalid(0).required()
+    }),
+
+    addWishlistItem: Joi.object({
+        itemId: Joi.number().integer().positive().required()
+    }),
+
+    addCartItem: Joi.object({
+        itemId: Joi.number().integer().positive().required(),
+        variantId: Joi.number().integer().positive(),
+        quantity: Joi.number().integer().min(1).max(99).default(1)
+    }),
+
+    updateCartItem: Joi.object({
+        quantity: Joi.number().integer().min(1).max(99).required()
+    }),
+
+    listOrders: Joi.object({
+        page: Joi.number().integer().min(1).default(1),
+        limit: Joi.number().integer().min(1).max(100).default(10)
+    }),
+
+    createOrder: Joi.object({
+        items: orderLineItems.required(),
+        couponCode
+    }),
+
+    priceQuote: Joi.object({
+        items: orderLineItems.required(),
+        couponCode
+    }),
+
+    createPayment: Joi.object({
+        items: orderLineItems.required()
+    }),
+
+    confirmPayment: Joi.object({
+        paymentMethod: Joi.string().trim().max(100).required()
+    }),
+
+    refundPayment: Joi.object({
+        amount: Joi.number().positive().precision(2)
+    }),
+
+    paymentWebhookEvent: Joi.object({
+        id: Joi.string().max(255).required(),
+        type: Joi.string().max(100).required(),
+        created: Joi.number().integer(),
+        data: Joi.object({
+            paymentIntentId: Joi.string().max(255).required(),
+            amountRefunded: Joi.number().min(0),
+            failureReason: Joi.string().max(255)
+        }).unknown(true).required()
+    }).unknown(true),
+
+    listCoupons: Joi.object({
+        page: Joi.number().integer().min(1).default(1),
+        limit: Joi.number().integer().min(1).max(100).default(20),
+        active: Joi.boolean()
+    }),
+
+    createCoupon: Joi.object({
+        ...couponFields,
+        active: couponFields.active.default(true)
+    }).fork(['code', 'type', 'value'], (field) => field.required()),
+
+    updateCoupon: Joi.object(couponFields).min(1),
+
+    updateOrderStatus: Joi.object({
+        status: Joi.string().valid(...Object.values(ORDER_STATUS)).required()
+    }),
+
+    listUsers: Joi.object({
+        page: Joi.number().integer().min(1).default(1),
+        limit: Joi.number().integer().min(1).max(100).default(20),
+        search: Joi.string().trim().max(100),
+        role: Joi.string().valid(...Object.values(ROLES)),
+        locked: Joi.boolean()
+    }),
+
+    setUserRole: Joi.object({
+        role: Joi.string().valid(...Object.values(ROLES)).required()
+    }),
+
+    lockUser: Joi.object({
+        reason: Joi.string().trim().max(500)
+    }),
+
     createTask: Joi.object({
         title: Joi.string().required(),
         description: Joi.string().optional(),
@@ -86,30 +345,20 @@ const schemas = {
     })
 };
 
-const validateRequest = (schemaName) => {
+// source selects the part of the request to validate: 'body' (default) or 'query'
+const validateRequest = (schemaName, source = 'body') => {
     return (req, res, next) => {
         const schema = schemas[schemaName];
         if (!schema) {
-            return res.status(500).json({
-                success: false,
-                message: 'Invalid validation schema'
-            });
+            return next(new Error(`Unknown validation schema "${schemaName}"`));
         }
 
-        const { error } = schema.validate(req.body, { abortEarly: false });
+        const { error, value } = schema.validate(req[source], { abortEarly: false });
         if (error) {
-            const errors = error.details.map(detail => ({
-                field: detail.path[0],
-                message: detail.message
-            }));
-
-            return res.status(400).json({
-                success: false,
-                message: 'Validation failed',
-                errors
-            });
+            return next(new ValidationError('Validation failed', { errors: toFieldErrors(error) }));
         }
 
+        req[source] = value;
         next();
     };
 };
@@ -117,12 +366,15 @@ const validateRequest = (schemaName) => {
 const validateResults = (req, res, next) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
-        return res.status(400).json({ errors: errors.array() });
+        return next(new ValidationError('Validation failed', {
+            errors: errors.array().map(error => ({ field: error.path, message: error.msg }))
+        }));
     }
     next();
 };
 
 module.exports = {
+    toFieldErrors,
     validate,
     validateRequest,
     schemas,
@@ -0,0 +1,24 @@
+const config = require('../config/config');
+const { verifySignature } = require('../utils/webhookSignature');
+const { ERROR_CODES, ValidationError } = require('../errors');
+
+// Rejects payment webhooks whose X-Payment-Signature doesn't match the raw body.
+// Needs req.rawBody, captured by the express.json verify hook in app.js.
+const verifyPaymentWebhook = (req, res, next) => {
+  const valid = verifySignature(
+    req.rawBody,
+    req.get('X-Payment-Signature'),
+    config.payments.webhookSecret,
+    config.payments.webhookTolerance
+  );
+
+  if (!valid) {
+    return next(new ValidationError('Invalid webhook signature', { code: ERROR_CODES.INVALID_WEBHOOK_SIGNATURE }));
+  }
+
+  next();
+};
+
+module.exports = {
+  verifyPaymentWebhook
+};
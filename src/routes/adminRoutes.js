@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const adminUserController = require('../controllers/adminUserController');
+const { validateRequest } = require('../middleware/validationMiddleware');
+const { authenticateToken, requirePermission } = require('../middleware/authMiddleware');
+const { PERMISSIONS } = require('../config/roles');
+
+// User management is admin only
+router.use('/users', authenticateToken, requirePermission(PERMISSIONS.USERS_MANAGE));
+
+router.get('/users', validateRequest('listUsers', 'query'), adminUserController.listUsers);
+router.get('/users/:id', adminUserController.getUser);
+router.delete('/users/:id', adminUserController.deleteUser);
+router.patch('/users/:id/role', validateRequest('setUserRole'), adminUserController.setUserRole);
+router.post('/users/:id/lock', validateRequest('lockUser'), adminUserController.lockUser);
+router.post('/users/:id/unlock', adminUserController.unlockUser);
+router.post('/users/:id/revoke-tokens', adminUserController.revokeUserRefreshTokens);
+router.delete('/users/:id/two-factor', adminUserController.resetTwoFactor);
+
+module.exports = router;
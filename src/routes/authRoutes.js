@@ -7,13 +7,25 @@ const { authenticateToken } = require('../middleware/authMiddleware');
 // Public routes
 router.post('/register', validateRequest('register'), authController.register);
 router.post('/login', validateRequest('login'), authController.login);
+router.post('/login/2fa', validateRequest('loginTwoFactor'), authController.loginTwoFactor);
 router.post('/refresh-token', validateRequest('refreshToken'), authController.refreshToken);
-router.post('/revoke-token', validateRequest('revokeToken'), authController.revokeToken);
+router.get('/verify-email', validateRequest('verifyEmail', 'query'), authController.verifyEmail);
+router.post('/resend-verification', validateRequest('resendVerification'), authController.resendVerification);
 router.post('/forgot-password', validateRequest('forgotPassword'), authController.forgotPassword);
 router.post('/reset-password', validateRequest('resetPassword'), authController.resetPassword);
 
 // Protected routes
+router.post('/revoke-token', authenticateToken, validateRequest('revokeToken'), authController.revokeToken);
 router.get('/profile', authenticateToken, authController.getProfile);
+router.get('/sessions', authenticateToken, authController.listSessions);
+router.delete('/sessions', authenticateToken, authController.revokeAllSessions);
+router.delete('/sessions/:id', authenticateToken, authController.revokeSession);
+router.patch('/profile', authenticateToken, validateRequest('updateUser'), authController.updateProfile);
+router.delete('/account', authenticateToken, validateRequest('deleteAccount'), authController.deleteAccount);
+router.post('/2fa/setup', authenticateToken, authController.setupTwoFactor);
+router.post('/2fa/enable', authenticateToken, validateRequest('enableTwoFactor'), authController.enableTwoFactor);
+router.post('/2fa/disable', authenticateToken, validateRequest('disableTwoFactor'), authController.disableTwoFactor);
+router.post('/2fa/recovery-codes', authenticateToken, validateRequest('twoFactorCode'), authController.regenerateRecoveryCodes);
 router.post('/change-password', authenticateToken, validateRequest('changePassword'), authController.changePassword);
 
 module.exports = router; 
\ No newline at end of file
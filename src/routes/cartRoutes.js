@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const cartController = require('../controllers/cartController');
+const { validateRequest } = require('../middleware/validationMiddleware');
+const { authenticateToken } = require('../middleware/authMiddleware');
+
+// All cart routes belong to the logged-in user
+router.use(authenticateToken);
+
+router.get('/', cartController.getCart);
+router.delete('/', cartController.clearCart);
+router.post('/items', validateRequest('addCartItem'), cartController.addCartItem);
+router.patch('/items/:cartItemId', validateRequest('updateCartItem'), cartController.updateCartItem);
+router.delete('/items/:cartItemId', cartController.removeCartItem);
+
+module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const categoryController = require('../controllers/categoryController');
+const { validateRequest } = require('../middleware/validationMiddleware');
+const { authenticateToken, requirePermission } = require('../middleware/authMiddleware');
+const { PERMISSIONS } = require('../config/roles');
+
+// Public routes
+router.get('/', categoryController.listCategories);
+
+// Admin routes
+router.post('/', authenticateToken, requirePermission(PERMISSIONS.CATALOG_MANAGE), validateRequest('createCategory'), categoryController.createCategory);
+router.patch('/:id', authenticateToken, requirePermission(PERMISSIONS.CATALOG_MANAGE), validateRequest('updateCategory'), categoryController.updateCategory);
+router.delete('/:id', authenticateToken, requirePermission(PERMISSIONS.CATALOG_MANAGE), categoryController.deleteCategory);
+router.post('/:id/merge', authenticateToken, requirePermission(PERMISSIONS.CATALOG_MANAGE), validateRequest('mergeCategory'), categoryController.mergeCategory);
+
+module.exports = router;
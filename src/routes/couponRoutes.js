@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const couponController = require('../controllers/couponController');
+const { validateRequest } = require('../middleware/validationMiddleware');
+const { authenticateToken, requirePermission } = require('../middleware/authMiddleware');
+const { PERMISSIONS } = require('../config/roles');
+
+// Coupon management is admin only
+router.use(authenticateToken, requirePermission(PERMISSIONS.COUPONS_MANAGE));
+
+router.get('/', validateRequest('listCoupons', 'query'), couponController.listCoupons);
+router.post('/', validateRequest('createCoupon'), couponController.createCoupon);
+router.get('/:id', couponController.getCoupon);
+router.patch('/:id', validateRequest('updateCoupon'), couponController.updateCoupon);
+router.delete('/:id', couponController.deleteCoupon);
+
+module.exports = router;
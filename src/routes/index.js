@@ -2,11 +2,43 @@ const express = require('express');
 const router = express.Router();
 const authRoutes = require('./authRoutes');
 const itemRoutes = require('./itemRoutes');
+const cartRoutes = require('./cartRoutes');
+const orderRoutes = require('./orderRoutes');
+const categoryRoutes = require('./categoryRoutes');
+const wishlistRoutes = require('./wishlistRoutes');
+const pricingRoutes = require('./pricingRoutes');
+const couponRoutes = require('./couponRoutes');
+const paymentRoutes = require('./paymentRoutes');
+const adminRoutes = require('./adminRoutes');
 
 // Auth routes
 router.use('/auth', authRoutes);
 
 // Item routes
-router.use('/api', itemRoutes);
+router.use('/', itemRoutes);
+
+// Category routes
+router.use('/categories', categoryRoutes);
+
+// Cart routes
+router.use('/cart', cartRoutes);
+
+// Order routes
+router.use('/orders', orderRoutes);
+
+// Wishlist routes
+router.use('/wishlist', wishlistRoutes);
+
+// Pricing routes
+router.use('/pricing', pricingRoutes);
+
+// Coupon routes
+router.use('/coupons', couponRoutes);
+
+// Payment routes
+router.use('/payments', paymentRoutes);
+
+// Admin routes
+router.use('/admin', adminRoutes);
 
 module.exports = router; 
\ No newline at end of file
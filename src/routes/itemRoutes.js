@@ -1,14 +1,32 @@
 const express = require('express');
 const router = express.Router();
 const itemController = require('../controllers/itemController');
+const variantController = require('../controllers/variantController');
+const reviewController = require('../controllers/reviewController');
 const { validateRequest } = require('../middleware/validationMiddleware');
-const { authenticateToken } = require('../middleware/authMiddleware');
+const { authenticateToken, optionalAuth, requirePermission } = require('../middleware/authMiddleware');
+const { PERMISSIONS } = require('../config/roles');
 
 // Public routes
-router.get('/items', itemController.listItems);
+router.get('/items', optionalAuth, validateRequest('listItems', 'query'), itemController.listItems);
 router.get('/items/:id', itemController.getItemDetails);
+router.get('/items/:id/reviews', validateRequest('listReviews', 'query'), reviewController.listReviews);
 
 // Protected routes
-router.post('/items/search', authenticateToken, validateRequest('aiSearch'), itemController.aiSearch);
+router.post('/items/search', authenticateToken, validateRequest('searchItems'), itemController.searchItems);
+router.post('/items/:id/reviews', authenticateToken, validateRequest('createReview'), reviewController.createReview);
+router.patch('/items/:id/reviews/:reviewId', authenticateToken, validateRequest('updateReview'), reviewController.updateReview);
+router.delete('/items/:id/reviews/:reviewId', authenticateToken, reviewController.deleteReview);
+
+// Staff routes
+router.post('/items', authenticateToken, requirePermission(PERMISSIONS.CATALOG_MANAGE), validateRequest('createItem'), itemController.createItem);
+router.put('/items/:id', authenticateToken, requirePermission(PERMISSIONS.CATALOG_MANAGE), validateRequest('updateItem'), itemController.updateItem);
+router.patch('/items/:id', authenticateToken, requirePermission(PERMISSIONS.CATALOG_MANAGE), validateRequest('patchItem'), itemController.updateItem);
+router.delete('/items/:id', authenticateToken, requirePermission(PERMISSIONS.CATALOG_MANAGE), itemController.deleteItem);
+router.post('/items/:id/variants', authenticateToken, requirePermission(PERMISSIONS.CATALOG_MANAGE), validateRequest('createVariant'), variantController.createVariant);
+router.patch('/items/:id/variants/:variantId', authenticateToken, requirePermission(PERMISSIONS.CATALOG_MANAGE), validateRequest('updateVariant'), variantController.updateVariant);
+router.delete('/items/:id/variants/:variantId', authenticateToken, requirePermission(PERMISSIONS.CATALOG_MANAGE), variantController.deleteVariant);
+router.post('/items/:id/variants/:variantId/stock', authenticateToken, requirePermission(PERMISSIONS.CATALOG_MANAGE), validateRequest('adjustVariantStock'), variantController.adjustVariantStock);
+router.patch('/items/:id/reviews/:reviewId/visibility', authenticateToken, requirePermission(PERMISSIONS.REVIEWS_MODERATE), validateRequest('setReviewVisibility'), reviewController.setReviewVisibility);
 
 module.exports = router; 
\ No newline at end of file
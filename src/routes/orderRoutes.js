@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const orderController = require('../controllers/orderController');
+const { validateRequest } = require('../middleware/validationMiddleware');
+const { authenticateToken, requirePermission } = require('../middleware/authMiddleware');
+const { PERMISSIONS } = require('../config/roles');
+
+router.use(authenticateToken);
+
+// Customer routes
+router.post('/', validateRequest('createOrder'), orderController.createOrder);
+router.get('/', validateRequest('listOrders', 'query'), orderController.listOrders);
+router.get('/:id', orderController.getOrder);
+router.post('/:id/cancel', orderController.cancelOrder);
+
+// Staff routes
+router.patch('/:id/status', requirePermission(PERMISSIONS.ORDERS_MANAGE), validateRequest('updateOrderStatus'), orderController.updateOrderStatus);
+
+module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const paymentController = require('../controllers/paymentController');
+const { validateRequest } = require('../middleware/validationMiddleware');
+const { authenticateToken, requirePermission } = require('../middleware/authMiddleware');
+const { PERMISSIONS } = require('../config/roles');
+const { verifyPaymentWebhook } = require('../middleware/webhookMiddleware');
+
+// Provider webhook, authenticated by its signature instead of a bearer token
+router.post('/webhook', verifyPaymentWebhook, validateRequest('paymentWebhookEvent'), paymentController.handleWebhook);
+
+// Customer routes
+router.post('/', authenticateToken, validateRequest('createPayment'), paymentController.createPayment);
+router.get('/:id', authenticateToken, paymentController.getPayment);
+router.post('/:id/confirm', authenticateToken, validateRequest('confirmPayment'), paymentController.confirmPayment);
+
+// Admin routes
+router.post('/:id/refund', authenticateToken, requirePermission(PERMISSIONS.PAYMENTS_REFUND), validateRequest('refundPayment'), paymentController.refundPayment);
+
+module.exports = router;
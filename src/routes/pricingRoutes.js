@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const pricingController = require('../controllers/pricingController');
+const { validateRequest } = require('../middleware/validationMiddleware');
+const { authenticateToken } = require('../middleware/authMiddleware');
+
+router.post('/quote', authenticateToken, validateRequest('priceQuote'), pricingController.quote);
+
+module.exports = router;
@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const wishlistController = require('../controllers/wishlistController');
+const { validateRequest } = require('../middleware/validationMiddleware');
+const { authenticateToken } = require('../middleware/authMiddleware');
+
+// All wishlist routes belong to the logged-in user
+router.use(authenticateToken);
+
+router.get('/', wishlistController.listWishlist);
+router.post('/', validateRequest('addWishlistItem'), wishlistController.addWishlistItem);
+router.delete('/:itemId', wishlistController.removeWishlistItem);
+
+module.exports = router;
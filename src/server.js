@@ -1,52 +1,31 @@
-require('dotenv').config();
-const express = require('express');
-const cors = require('cors');
-const helmet = require('helmet');
-const rateLimit = require('express-rate-limit');
-const swaggerUi = require('swagger-ui-express');
-const swaggerSpecs = require('./swagger');
-const routes = require('./routes');
+const config = require('./config/config');
+const { prisma } = require('./config/database');
+const { createApp } = require('./app');
+const { logger } = require('./utils/logger');
 
-const app = express();
+const app = createApp(config);
 
-// Middleware
-app.use(helmet());
-app.use(cors());
-app.use(express.json());
-
-// Rate limiting
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100 // limit each IP to 100 requests per windowMs
+const server = app.listen(config.server.port, () => {
+  logger.info('Server started', { port: config.server.port, env: config.server.env });
+  logger.info(`API Documentation available at http://localhost:${config.server.port}/api-docs`);
 });
-app.use(limiter);
 
-// Swagger documentation
-app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpecs));
+// Stop accepting connections, let open requests finish, then disconnect from the database.
+// Requests still running after config.server.shutdownTimeout are cut off.
+const shutdown = (signal) => {
+  logger.info('Shutting down', { signal });
 
-// Routes
-app.use('/api', routes);
+  setTimeout(() => {
+    logger.error('Shutdown timed out, exiting');
+    process.exit(1);
+  }, config.server.shutdownTimeout).unref();
 
-// 404 handler
-app.use((req, res) => {
-  res.status(404).json({
-    success: false,
-    message: 'Route not found'
+  server.close(async (error) => {
+    await prisma.$disconnect();
+    process.exit(error ? 1 : 0);
   });
-});
-
-// Error handling
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).json({
-    success: false,
-    message: 'Something went wrong!',
-    error: process.env.NODE_ENV === 'development' ? err.message : undefined
-  });
-});
+  server.closeIdleConnections();
+};
 
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  console.log(`Server is running on port ${PORT}`);
-  console.log(`API Documentation available at http://localhost:${PORT}/api-docs`);
-}); 
\ No newline at end of file
+process.once('SIGTERM', shutdown);
+process.once('SIGINT', shutdown);
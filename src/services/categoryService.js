@@ -0,0 +1,81 @@
+const { slugify } = require('../utils/slugify');
+
+/**
+ * Find a category by slug or by name, ignoring case, so "Clothing", "clothing" and
+ * "clothing" the slug all resolve to the same category.
+ * @param {{ id: number, name: string, slug: string }[]} categories
+ * @param {string} identifier
+ */
+const findCategory = (categories, identifier) => {
+  const slug = slugify(identifier);
+  const name = identifier.trim().toLowerCase();
+
+  return categories.find((category) => category.slug === slug)
+    || categories.find((category) => category.name.toLowerCase() === name)
+    || null;
+};
+
+/**
+ * Ids of a category and every category below it.
+ * @param {{ id: number, parentId: number|null }[]} categories
+ * @param {number} rootId
+ * @returns {number[]}
+ */
+const descendantIds = (categories, rootId) => {
+  const ids = [rootId];
+
+  for (let i = 0; i < ids.length; i++) {
+    for (const category of categories) {
+      if (category.parentId === ids[i] && !ids.includes(category.id)) {
+        ids.push(category.id);
+      }
+    }
+  }
+
+  return ids;
+};
+
+/**
+ * Nest categories under their parents. itemCount is the number of items directly in a
+ * category, totalItemCount also includes every descendant category.
+ * @param {{ id: number, name: string, slug: string, parentId: number|null }[]} categories
+ * @param {Map<number, number>} itemCounts Item count per category id
+ */
+const buildCategoryTree = (categories, itemCounts) => {
+  const nodes = new Map(categories.map((category) => [category.id, {
+    id: category.id,
+    name: category.name,
+    slug: category.slug,
+    parentId: category.parentId,
+    itemCount: itemCounts.get(category.id) || 0,
+    totalItemCount: 0,
+    children: []
+  }]));
+
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parent = node.parentId && nodes.get(node.parentId);
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  }
+
+  const sortAndCount = (node) => {
+    node.children.sort((a, b) => a.name.localeCompare(b.name));
+    node.totalItemCount = node.itemCount + node.children.reduce((sum, child) => sum + sortAndCount(child), 0);
+    return node.totalItemCount;
+  };
+
+  roots.sort((a, b) => a.name.localeCompare(b.name));
+  roots.forEach(sortAndCount);
+
+  return roots;
+};
+
+module.exports = {
+  findCategory,
+  descendantIds,
+  buildCategoryTree
+};
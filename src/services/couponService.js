@@ -0,0 +1,178 @@
+const { roundMoney } = require('../utils/money');
+const { ORDER_STATUS } = require('./orderStatus');
+const { descendantIds } = require('./categoryService');
+const { ERROR_CODES, ConflictError } = require('../errors');
+
+// Stored as a plain string because SQLite has no enum type
+const COUPON_TYPE = Object.freeze({
+  PERCENT: 'percent',
+  FIXED: 'fixed'
+});
+
+class CouponLimitError extends ConflictError {
+  constructor(couponCode) {
+    super('Coupon usage limit reached', { code: ERROR_CODES.COUPON_LIMIT_REACHED });
+    this.couponCode = couponCode;
+  }
+}
+
+const couponInclude = {
+  items: { select: { id: true } },
+  categories: { select: { id: true } }
+};
+
+const normalizeCouponCode = (code) => code.trim().toUpperCase();
+
+const findCoupon = (client, code) => client.coupon.findUnique({
+  where: { code: normalizeCouponCode(code) },
+  include: couponInclude
+});
+
+/**
+ * Rules that span several coupon fields, checked on create and on the merged result
+ * of an update.
+ * @returns {string|null} Error message, or null when the coupon is consistent
+ */
+const checkCouponRules = ({ type, value, startsAt, endsAt }) => {
+  if (type === COUPON_TYPE.PERCENT && value > 100) {
+    return 'A percentage coupon cannot take more than 100% off';
+  }
+  if (startsAt && endsAt && new Date(endsAt) <= new Date(startsAt)) {
+    return 'endsAt must be after startsAt';
+  }
+  return null;
+};
+
+/**
+ * Redemptions that count towards a coupon's limits. Cancelled orders give their
+ * redemption back.
+ * @returns {Promise<{ total: number, byUser: number }>}
+ */
+const countRedemptions = async (client, couponId, userId) => {
+  const where = { couponId, order: { status: { not: ORDER_STATUS.CANCELLED } } };
+  const [total, byUser] = await Promise.all([
+    client.couponRedemption.count({ where }),
+    client.couponRedemption.count({ where: { ...where, userId } })
+  ]);
+  return { total, byUser };
+};
+
+const usageLimitReached = (coupon, usage) =>
+  (coupon.maxRedemptions !== null && usage.total >= coupon.maxRedemptions)
+  || (coupon.perUserLimit !== null && usage.byUser >= coupon.perUserLimit);
+
+// Ids of the items a restricted coupon applies to, or null when it applies to everything
+const eligibleItemIds = (coupon, lines, itemCategories, categories) => {
+  if (coupon.items.length === 0 && coupon.categories.length === 0) {
+    return null;
+  }
+
+  const categoryIds = new Set(coupon.categories.flatMap((category) => descendantIds(categories, category.id)));
+  const itemIds = new Set(coupon.items.map((item) => item.id));
+
+  return new Set(lines
+    .map((line) => line.itemId)
+    .filter((itemId) => itemIds.has(itemId) || categoryIds.has(itemCategories.get(itemId))));
+};
+
+/**
+ * Work out a coupon's discount on priced order lines.
+ *
+ * Percentage coupons take their percentage off each eligible line. Fixed coupons are
+ * capped at the eligible subtotal and spread over the eligible lines in proportion to
+ * their totals, with any rounding cent going to the last line, so the line discounts
+ * always add up to the order discount.
+ *
+ * @param {object} coupon Coupon loaded with couponInclude
+ * @param {{ itemId: number, lineTotal: number }[]} lines
+ * @param {object} context
+ * @param {Map<number, number|null>} context.itemCategories Category id per item id
+ * @param {{ id: number, parentId: number|null }[]} context.categories All categories, to expand restrictions to subcategories
+ * @param {{ total: number, byUser: number }} context.usage From countRedemptions
+ * @param {Date} [context.now]
+ * @returns {{ error: string, code: string } | { lines: object[], discount: number }}
+ */
+const applyCoupon = (coupon, lines, { itemCategories, categories, usage, now = new Date() }) => {
+  if (!coupon.active) {
+    return { error: 'Coupon is not active', code: ERROR_CODES.INVALID_COUPON };
+  }
+  if (coupon.startsAt && now < coupon.startsAt) {
+    return { error: 'Coupon is not valid yet', code: ERROR_CODES.INVALID_COUPON };
+  }
+  if (coupon.endsAt && now > coupon.endsAt) {
+    return { error: 'Coupon has expired', code: ERROR_CODES.INVALID_COUPON };
+  }
+  if (usageLimitReached(coupon, usage)) {
+    return { error: 'Coupon usage limit reached', code: ERROR_CODES.INVALID_COUPON };
+  }
+
+  const subtotal = roundMoney(lines.reduce((sum, line) => sum + line.lineTotal, 0));
+  if (coupon.minOrderTotal !== null && subtotal < coupon.minOrderTotal) {
+    return { error: `Coupon requires an order total of at least ${coupon.minOrderTotal}`, code: ERROR_CODES.INVALID_COUPON };
+  }
+
+  const eligible = eligibleItemIds(coupon, lines, itemCategories, categories);
+  const isEligible = (line) => !eligible || eligible.has(line.itemId);
+  const eligibleLines = lines.filter(isEligible);
+
+  if (eligibleLines.length === 0) {
+    return { error: 'Coupon does not apply to any of these items', code: ERROR_CODES.INVALID_COUPON };
+  }
+
+  const discounts = new Map();
+
+  if (coupon.type === COUPON_TYPE.PERCENT) {
+    for (const line of eligibleLines) {
+      discounts.set(line, roundMoney(line.lineTotal * coupon.value / 100));
+    }
+  } else {
+    const eligibleSubtotal = eligibleLines.reduce((sum, line) => sum + line.lineTotal, 0);
+    const amount = roundMoney(Math.min(coupon.value, eligibleSubtotal));
+    let allocated = 0;
+
+    eligibleLines.forEach((line, index) => {
+      const share = index === eligibleLines.length - 1
+        ? roundMoney(amount - allocated)
+        : roundMoney(amount * line.lineTotal / eligibleSubtotal);
+      allocated += share;
+      discounts.set(line, share);
+    });
+  }
+
+  const discounted = lines.map((line) => ({ ...line, discount: discounts.get(line) || 0 }));
+
+  return {
+    lines: discounted,
+    discount: roundMoney(discounted.reduce((sum, line) => sum + line.discount, 0))
+  };
+};
+
+/**
+ * Record a coupon redemption for an order. Call inside prisma.$transaction: the row is
+ * written first and the limits re-counted afterwards, so of two checkouts racing for
+ * the last use one sees the other's redemption and throws CouponLimitError, rolling
+ * back its order.
+ */
+const redeemCoupon = async (tx, coupon, { userId, orderId, discount }) => {
+  await tx.couponRedemption.create({
+    data: { couponId: coupon.id, userId, orderId, discount }
+  });
+
+  const usage = await countRedemptions(tx, coupon.id, userId);
+  if ((coupon.maxRedemptions !== null && usage.total > coupon.maxRedemptions)
+    || (coupon.perUserLimit !== null && usage.byUser > coupon.perUserLimit)) {
+    throw new CouponLimitError(coupon.code);
+  }
+};
+
+module.exports = {
+  COUPON_TYPE,
+  CouponLimitError,
+  couponInclude,
+  normalizeCouponCode,
+  findCoupon,
+  checkCouponRules,
+  countRedemptions,
+  applyCoupon,
+  redeemCoupon
+};
@@ -0,0 +1,53 @@
+const { ERROR_CODES, ConflictError } = require('../errors');
+
+class InsufficientStockError extends ConflictError {
+  constructor(variantId, requested) {
+    super('Insufficient stock', { code: ERROR_CODES.INSUFFICIENT_STOCK, variantId });
+    this.variantId = variantId;
+    this.requested = requested;
+  }
+}
+
+// Decrements stock only if enough is left. The check and the decrement happen in a
+// single conditional UPDATE, so concurrent purchases can never take stock below zero.
+const reserveStock = async (client, variantId, quantity) => {
+  const { count } = await client.itemVariant.updateMany({
+    where: { id: variantId, stock: { gte: quantity } },
+    data: { stock: { decrement: quantity } }
+  });
+
+  if (count === 0) {
+    throw new InsufficientStockError(variantId, quantity);
+  }
+};
+
+const releaseStock = (client, variantId, quantity) => client.itemVariant.update({
+  where: { id: variantId },
+  data: { stock: { increment: quantity } }
+});
+
+// Reserves every variant line or none: call inside prisma.$transaction so a failure
+// part-way through rolls back the reservations already made.
+const reserveLines = async (tx, lines) => {
+  for (const line of lines) {
+    if (line.variantId) {
+      await reserveStock(tx, line.variantId, line.quantity);
+    }
+  }
+};
+
+const releaseLines = async (tx, lines) => {
+  for (const line of lines) {
+    if (line.variantId) {
+      await releaseStock(tx, line.variantId, line.quantity);
+    }
+  }
+};
+
+module.exports = {
+  InsufficientStockError,
+  reserveStock,
+  releaseStock,
+  reserveLines,
+  releaseLines
+};
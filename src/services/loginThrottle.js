@@ -0,0 +1,134 @@
+const config = require('../config/config');
+
+/**
+ * Per-account brute-force protection for login. It complements the per-IP rate limit,
+ * which an attacker can get around by rotating addresses.
+ *
+ * After each failed attempt the account has to wait before the next one: loginDelayBase
+ * seconds after the first failure, doubling with each further failure. Once
+ * loginMaxAttempts failures have piled up the account is locked out for
+ * loginLockoutDuration, and every failure after that locks it again. The counter is
+ * cleared by a successful login, a password reset or an admin unlocking the account.
+ *
+ * Emails without an account are counted the same way, so the delays and lockout don't
+ * reveal which emails are registered.
+ */
+
+// Fields to write to a user to clear their failed attempts
+const LOGIN_ATTEMPTS_RESET = Object.freeze({
+  failedLoginAttempts: 0,
+  lastFailedLoginAt: null,
+  loginLockedUntil: null
+});
+
+// Seconds to wait after `attempts` consecutive failures; from loginMaxAttempts on the lockout applies instead
+const delayAfter = (attempts) => (attempts > 0 && attempts < config.auth.loginMaxAttempts
+  ? config.auth.loginDelayBase * 2 ** (attempts - 1)
+  : 0);
+
+/**
+ * When the account may next attempt a login.
+ * @param {{ failedLoginAttempts: number, lastFailedLoginAt: Date|null, loginLockedUntil: Date|null }} user
+ * @param {Date} [now]
+ * @returns {Date|null} null if it may try now
+ */
+const loginBlockedUntil = (user, now = new Date()) => {
+  const delayUntil = user.lastFailedLoginAt
+    ? new Date(user.lastFailedLoginAt.getTime() + delayAfter(user.failedLoginAttempts) * 1000)
+    : null;
+
+  const until = [user.loginLockedUntil, delayUntil]
+    .filter((date) => date && date > now)
+    .sort((a, b) => b - a)[0];
+
+  return until || null;
+};
+
+// Emails with no account keep their counters this long after their last failure
+const UNKNOWN_EMAIL_RETENTION = 24 * 60 * 60 * 1000;
+
+// Where an attempt is counted: on the user, or for an email with no account in
+// UnknownLoginEmail, so both get the same delays and lockout
+const counterFor = (client, user, email) => (user
+  ? { model: client.user, where: { id: user.id } }
+  : { model: client.unknownLoginEmail, where: { email } });
+
+/**
+ * Count a login attempt as failed before the password or two-factor code is checked.
+ * The update only applies if no other attempt was counted since the counters were read,
+ * so of several concurrent guesses one goes ahead and the rest are throttled. Call
+ * release() once the password or code turns out to be correct.
+ * @param {object} client Prisma client or transaction
+ * @param {{ user?: object|null, email?: string }} account The user if the email has an account
+ * @param {Date} [now]
+ * @returns {Promise<{ blockedUntil: Date|null, locked?: boolean, release?: () => Promise<void> }>}
+ *   blockedUntil is set when the attempt may not go ahead; locked when this attempt locks the account out
+ */
+const claimLoginAttempt = async (client, { user, email }, now = new Date()) => {
+  const { model, where } = counterFor(client, user, email);
+
+  let current = user;
+  if (!user) {
+    await model.deleteMany({ where: { lastFailedLoginAt: { lt: new Date(now.getTime() - UNKNOWN_EMAIL_RETENTION) } } });
+    current = await model.findUnique({ where });
+  }
+
+  const state = current || LOGIN_ATTEMPTS_RESET;
+  const blockedUntil = loginBlockedUntil(state, now);
+  if (blockedUntil) {
+    return { blockedUntil };
+  }
+
+  const attempts = state.failedLoginAttempts + 1;
+  const locked = attempts >= config.auth.loginMaxAttempts;
+  const claimed = {
+    failedLoginAttempts: attempts,
+    lastFailedLoginAt: now,
+    loginLockedUntil: locked
+      ? new Date(now.getTime() + config.auth.loginLockoutDuration * 1000)
+      : state.loginLockedUntil
+  };
+
+  let counted;
+  if (current) {
+    const { count } = await model.updateMany({
+      where: { ...where, failedLoginAttempts: state.failedLoginAttempts },
+      data: claimed
+    });
+    counted = count === 1;
+  } else {
+    counted = await model.create({ data: { ...where, ...claimed } }).then(() => true, (error) => {
+      if (error.code === 'P2002') {
+        return false;
+      }
+      throw error;
+    });
+  }
+
+  // Another attempt got in first; wait as if this one had failed
+  if (!counted) {
+    return { blockedUntil: loginBlockedUntil(claimed, now) || new Date(now.getTime() + 1000) };
+  }
+
+  return {
+    blockedUntil: null,
+    locked,
+    // Put the counters back as they were, unless another attempt has been counted since
+    release: async () => {
+      await model.updateMany({
+        where: { ...where, failedLoginAttempts: attempts },
+        data: {
+          failedLoginAttempts: state.failedLoginAttempts,
+          lastFailedLoginAt: state.lastFailedLoginAt,
+          loginLockedUntil: state.loginLockedUntil
+        }
+      });
+    }
+  };
+};
+
+module.exports = {
+  LOGIN_ATTEMPTS_RESET,
+  loginBlockedUntil,
+  claimLoginAttempt
+};
@@ -0,0 +1,11 @@
+const { logger } = require('../../utils/logger');
+
+// Messages include verification and reset links, so this is for development and tests only
+const send = async ({ from, to, subject, text }) => {
+  logger.info('Mail not sent, console transport', { from, to, subject, text });
+};
+
+module.exports = {
+  name: 'console',
+  send
+};
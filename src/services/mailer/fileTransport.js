@@ -0,0 +1,19 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../../config/config');
+
+// One JSON file per message, named so a directory listing sorts in sending order
+const send = async (message) => {
+  const dir = path.resolve(config.mail.fileDir);
+  await fs.mkdir(dir, { recursive: true });
+
+  const sentAt = new Date();
+  const name = `${sentAt.getTime()}-${crypto.randomBytes(4).toString('hex')}.json`;
+  await fs.writeFile(path.join(dir, name), JSON.stringify({ ...message, sentAt }, null, 2));
+};
+
+module.exports = {
+  name: 'file',
+  send
+};
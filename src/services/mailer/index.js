@@ -0,0 +1,71 @@
+/**
+ * Email goes through one interface so controllers never depend on how it is delivered.
+ * The transport is picked by config.mail.transport.
+ *
+ * @typedef {object} MailMessage
+ * @property {string} to
+ * @property {string} subject
+ * @property {string} text Plain-text body
+ *
+ * @typedef {object} MailTransport
+ * @property {string} name
+ * @property {(message: MailMessage & { from: string }) => Promise<void>} send
+ *
+ * - smtp sends through the SMTP server in config.mail.smtp
+ * - file writes each message as JSON to config.mail.fileDir, for local development and tests
+ * - console writes each message to the log, links and all, so it is refused in production
+ */
+
+const config = require('../../config/config');
+const smtpTransport = require('./smtpTransport');
+const fileTransport = require('./fileTransport');
+const consoleTransport = require('./consoleTransport');
+
+const transports = {
+  [smtpTransport.name]: smtpTransport,
+  [fileTransport.name]: fileTransport,
+  [consoleTransport.name]: consoleTransport
+};
+
+/**
+ * @param {string} name
+ * @returns {MailTransport}
+ */
+const getMailTransport = (name) => {
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Unknown mail transport "${name}"`);
+  }
+  return transport;
+};
+
+/**
+ * Check the configured transport at startup, so a misconfigured server fails to start
+ * instead of failing, or leaking tokens into the logs, on the first email.
+ * @param {typeof import('../../config/config')} appConfig
+ */
+const checkMailTransport = (appConfig) => {
+  const { transport } = appConfig.mail;
+  if (!transport) {
+    throw new Error('MAIL_TRANSPORT must be set to smtp or file');
+  }
+  getMailTransport(transport);
+  if (transport === consoleTransport.name && appConfig.server.env === 'production') {
+    throw new Error('MAIL_TRANSPORT=console would log reset and verification tokens; use smtp or file in production');
+  }
+};
+
+/**
+ * Send a message from config.mail.from with the configured transport.
+ * @param {MailMessage} message
+ */
+const sendMail = (message) => getMailTransport(config.mail.transport).send({
+  from: config.mail.from,
+  ...message
+});
+
+module.exports = {
+  checkMailTransport,
+  getMailTransport,
+  sendMail
+};
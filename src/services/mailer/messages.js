@@ -0,0 +1,35 @@
+const config = require('../../config/config');
+
+// Links point at the client app, which passes the token on to the API
+const appLink = (pathname, token) => `${config.mail.appUrl}${pathname}?token=${encodeURIComponent(token)}`;
+
+const verificationEmail = (user, token, expiresInHours) => ({
+  to: user.email,
+  subject: 'Confirm your email address',
+  text: [
+    `Hi ${user.firstName},`,
+    '',
+    'Please confirm your email address by opening this link:',
+    appLink('/verify-email', token),
+    '',
+    `The link expires in ${expiresInHours} hours. If you didn't create an account, you can ignore this email.`
+  ].join('\n')
+});
+
+const passwordResetEmail = (user, token, expiresInMinutes) => ({
+  to: user.email,
+  subject: 'Reset your password',
+  text: [
+    `Hi ${user.firstName},`,
+    '',
+    'Someone asked to reset the password for your account. To choose a new password, open this link:',
+    appLink('/reset-password', token),
+    '',
+    `The link expires in ${expiresInMinutes} minutes. If you didn't ask for a reset, you can ignore this email.`
+  ].join('\n')
+});
+
+module.exports = {
+  verificationEmail,
+  passwordResetEmail
+};
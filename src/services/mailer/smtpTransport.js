@@ -0,0 +1,27 @@
+const nodemailer = require('nodemailer');
+const config = require('../../config/config');
+
+// Created on first use so the other transports work without any SMTP settings
+let transporter = null;
+
+const getTransporter = () => {
+  if (!transporter) {
+    const { host, port, secure, user, pass } = config.mail.smtp;
+    transporter = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass } : undefined
+    });
+  }
+  return transporter;
+};
+
+const send = async ({ from, to, subject, text }) => {
+  await getTransporter().sendMail({ from, to, subject, text });
+};
+
+module.exports = {
+  name: 'smtp',
+  send
+};
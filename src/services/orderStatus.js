@@ -0,0 +1,27 @@
+// Order lifecycle. Stored as a plain string because SQLite has no enum type.
+const ORDER_STATUS = Object.freeze({
+  PENDING: 'pending',
+  PAID: 'paid',
+  SHIPPED: 'shipped',
+  DELIVERED: 'delivered',
+  CANCELLED: 'cancelled',
+  REFUNDED: 'refunded'
+});
+
+// Allowed next states for each state; cancelled and refunded are final
+const ORDER_TRANSITIONS = Object.freeze({
+  [ORDER_STATUS.PENDING]: [ORDER_STATUS.PAID, ORDER_STATUS.CANCELLED],
+  [ORDER_STATUS.PAID]: [ORDER_STATUS.SHIPPED, ORDER_STATUS.REFUNDED],
+  [ORDER_STATUS.SHIPPED]: [ORDER_STATUS.DELIVERED],
+  [ORDER_STATUS.DELIVERED]: [ORDER_STATUS.REFUNDED],
+  [ORDER_STATUS.CANCELLED]: [],
+  [ORDER_STATUS.REFUNDED]: []
+});
+
+const canTransition = (from, to) => (ORDER_TRANSITIONS[from] || []).includes(to);
+
+module.exports = {
+  ORDER_STATUS,
+  ORDER_TRANSITIONS,
+  canTransition
+};
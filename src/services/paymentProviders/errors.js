@@ -0,0 +1,13 @@
+const { BadGatewayError } = require('../../errors');
+
+// The provider rejected a call. code is the provider's own error code, reported as providerCode.
+class PaymentProviderError extends BadGatewayError {
+  constructor(message, code) {
+    super(message, { providerCode: code });
+    this.providerCode = code;
+  }
+}
+
+module.exports = {
+  PaymentProviderError
+};
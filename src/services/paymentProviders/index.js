@@ -0,0 +1,40 @@
+/**
+ * Payment providers share one interface so the rest of the app never talks to a
+ * processor directly. Amounts are in major currency units (29.99), like Item.cost.
+ *
+ * @typedef {object} PaymentProvider
+ * @property {string} name Stored on each Payment
+ * @property {(params: { amount: number, currency: string, metadata?: object }) => Promise<{ id: string, clientSecret: string, status: string }>} createIntent
+ *   Start a payment. id is the provider's reference, clientSecret lets the client finish it.
+ * @property {(params: { id: string, paymentMethod: string }) => Promise<{ status: string, failureReason?: string }>} confirm
+ *   Attempt to charge a payment method. Resolves to processing when the outcome arrives later by webhook.
+ * @property {(params: { id: string, amount: number }) => Promise<{ id: string }>} refund
+ *   Refund part or all of a succeeded payment.
+ *
+ * Statuses are those in src/services/paymentStatus.js. Providers throw
+ * PaymentProviderError when a call is rejected.
+ */
+
+const mockProvider = require('./mockProvider');
+const { PaymentProviderError } = require('./errors');
+
+const providers = {
+  [mockProvider.name]: mockProvider
+};
+
+/**
+ * @param {string} name
+ * @returns {PaymentProvider}
+ */
+const getPaymentProvider = (name) => {
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown payment provider "${name}"`);
+  }
+  return provider;
+};
+
+module.exports = {
+  PaymentProviderError,
+  getPaymentProvider
+};
@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+const { PAYMENT_STATUS } = require('../paymentStatus');
+const { PaymentProviderError } = require('./errors');
+const { signPayload } = require('../../utils/webhookSignature');
+
+/**
+ * Local stand-in for a real processor, used in development and tests. It keeps no
+ * state of its own: the outcome of a confirmation depends only on the payment method.
+ *
+ * - mock_card_ok (or anything else) succeeds
+ * - mock_card_declined fails with card_declined
+ * - mock_card_async stays processing until a webhook settles it, see createWebhookEvent
+ */
+const PAYMENT_METHODS = Object.freeze({
+  OK: 'mock_card_ok',
+  DECLINED: 'mock_card_declined',
+  ASYNC: 'mock_card_async'
+});
+
+const randomId = (prefix) => `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+
+const createIntent = async ({ amount }) => {
+  if (!(amount > 0)) {
+    throw new PaymentProviderError('Amount must be positive', 'invalid_amount');
+  }
+
+  const id = randomId('mock_pi');
+  return {
+    id,
+    clientSecret: `${id}_secret_${crypto.randomBytes(8).toString('hex')}`,
+    status: PAYMENT_STATUS.PENDING
+  };
+};
+
+const confirm = async ({ paymentMethod }) => {
+  if (paymentMethod === PAYMENT_METHODS.DECLINED) {
+    return { status: PAYMENT_STATUS.FAILED, failureReason: 'card_declined' };
+  }
+  if (paymentMethod === PAYMENT_METHODS.ASYNC) {
+    return { status: PAYMENT_STATUS.PROCESSING };
+  }
+  return { status: PAYMENT_STATUS.SUCCEEDED };
+};
+
+const refund = async ({ amount }) => {
+  if (!(amount > 0)) {
+    throw new PaymentProviderError('Refund amount must be positive', 'invalid_amount');
+  }
+  return { id: randomId('mock_re') };
+};
+
+/**
+ * Build a signed webhook delivery as the mock gateway would send it, for tests and
+ * for settling mock_card_async payments by hand.
+ * @param {string} type e.g. payment.succeeded
+ * @param {object} data Event data, including paymentIntentId
+ * @param {string} secret Webhook signing secret
+ * @returns {{ body: string, signature: string }} POST body and X-Payment-Signature header value
+ */
+const createWebhookEvent = (type, data, secret) => {
+  const body = JSON.stringify({
+    id: randomId('mock_evt'),
+    type,
+    created: Math.floor(Date.now() / 1000),
+    data
+  });
+  return { body, signature: signPayload(body, secret) };
+};
+
+module.exports = {
+  name: 'mock',
+  PAYMENT_METHODS,
+  createIntent,
+  confirm,
+  refund,
+  createWebhookEvent
+};
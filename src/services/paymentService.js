@@ -0,0 +1,111 @@
+const { roundMoney } = require('../utils/money');
+const { PAYMENT_STATUS, canTransitionPayment } = require('./paymentStatus');
+const { ERROR_CODES, ConflictError } = require('../errors');
+
+// Webhook event types and the payment status each one moves to
+const WEBHOOK_EVENTS = Object.freeze({
+  'payment.processing': PAYMENT_STATUS.PROCESSING,
+  'payment.succeeded': PAYMENT_STATUS.SUCCEEDED,
+  'payment.failed': PAYMENT_STATUS.FAILED,
+  'payment.refunded': PAYMENT_STATUS.REFUNDED // or partially_refunded, see refundUpdate
+});
+
+class PaymentConflictError extends ConflictError {
+  constructor(paymentId) {
+    super('Payment was changed by another request, please retry', { code: ERROR_CODES.CONCURRENT_UPDATE });
+    this.paymentId = paymentId;
+  }
+}
+
+// Status and amount after refunding up to a cumulative total. Rounded before comparing,
+// or refunds of 10.10 and 20.20 on a 30.30 payment would leave it partially refunded.
+const refundUpdate = (payment, refundedAmount) => {
+  const refunded = roundMoney(refundedAmount);
+  return {
+    status: refunded >= payment.amount ? PAYMENT_STATUS.REFUNDED : PAYMENT_STATUS.PARTIALLY_REFUNDED,
+    refundedAmount: refunded
+  };
+};
+
+/**
+ * Apply a status change to a payment if its lifecycle allows it. The update is
+ * conditional on the status and refunded amount we read, so of two concurrent updates
+ * only one applies; the other throws PaymentConflictError.
+ * @param {object} client Prisma client or transaction
+ * @param {object} payment Payment as read
+ * @param {{ status: string, refundedAmount?: number, failureReason?: string }} update
+ * @returns {Promise<boolean>} false when the transition isn't allowed
+ */
+const updatePayment = async (client, payment, update) => {
+  if (!canTransitionPayment(payment.status, update.status)) {
+    return false;
+  }
+
+  const { count } = await client.payment.updateMany({
+    where: { id: payment.id, status: payment.status, refundedAmount: payment.refundedAmount },
+    data: update
+  });
+
+  if (count === 0) {
+    throw new PaymentConflictError(payment.id);
+  }
+
+  return true;
+};
+
+const eventUpdate = (payment, event) => {
+  const status = WEBHOOK_EVENTS[event.type];
+
+  if (status === PAYMENT_STATUS.REFUNDED) {
+    // amountRefunded is cumulative, so a late or repeated refund event changes nothing
+    const refunded = event.data.amountRefunded ?? payment.amount;
+    return refunded > payment.refundedAmount ? refundUpdate(payment, refunded) : null;
+  }
+  if (status === PAYMENT_STATUS.FAILED) {
+    return { status, failureReason: event.data.failureReason || null };
+  }
+  return status ? { status } : null;
+};
+
+/**
+ * Process a verified webhook event exactly once. The event id is recorded in the same
+ * transaction as the payment update: a redelivered event hits the unique eventId and
+ * is reported as a duplicate without touching the payment again.
+ * @param {import('@prisma/client').PrismaClient} client
+ * @param {{ id: string, type: string, data: { paymentIntentId: string } }} event
+ * @returns {Promise<'applied'|'ignored'|'duplicate'>} ignored covers unknown payments,
+ *   unknown event types and stale events such as processing after succeeded
+ */
+const processWebhookEvent = async (client, event) => {
+  try {
+    return await client.$transaction(async (tx) => {
+      const payment = await tx.payment.findUnique({
+        where: { providerPaymentId: event.data.paymentIntentId }
+      });
+
+      await tx.paymentEvent.create({
+        data: { eventId: event.id, type: event.type, paymentId: payment ? payment.id : null }
+      });
+
+      const update = payment && eventUpdate(payment, event);
+      if (!update) {
+        return 'ignored';
+      }
+
+      return await updatePayment(tx, payment, update) ? 'applied' : 'ignored';
+    });
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return 'duplicate';
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  PaymentConflictError,
+  refundUpdate,
+  updatePayment,
+  processWebhookEvent
+};
@@ -0,0 +1,29 @@
+// Payment lifecycle. Stored as a plain string because SQLite has no enum type.
+const PAYMENT_STATUS = Object.freeze({
+  PENDING: 'pending',
+  PROCESSING: 'processing',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+  PARTIALLY_REFUNDED: 'partially_refunded',
+  REFUNDED: 'refunded'
+});
+
+// Allowed next states for each state; failed and refunded are final. Webhooks can
+// arrive out of order, so anything not listed here (such as processing after
+// succeeded) is ignored rather than applied.
+const PAYMENT_TRANSITIONS = Object.freeze({
+  [PAYMENT_STATUS.PENDING]: [PAYMENT_STATUS.PROCESSING, PAYMENT_STATUS.SUCCEEDED, PAYMENT_STATUS.FAILED],
+  [PAYMENT_STATUS.PROCESSING]: [PAYMENT_STATUS.SUCCEEDED, PAYMENT_STATUS.FAILED],
+  [PAYMENT_STATUS.SUCCEEDED]: [PAYMENT_STATUS.PARTIALLY_REFUNDED, PAYMENT_STATUS.REFUNDED],
+  [PAYMENT_STATUS.PARTIALLY_REFUNDED]: [PAYMENT_STATUS.PARTIALLY_REFUNDED, PAYMENT_STATUS.REFUNDED],
+  [PAYMENT_STATUS.FAILED]: [],
+  [PAYMENT_STATUS.REFUNDED]: []
+});
+
+const canTransitionPayment = (from, to) => (PAYMENT_TRANSITIONS[from] || []).includes(to);
+
+module.exports = {
+  PAYMENT_STATUS,
+  PAYMENT_TRANSITIONS,
+  canTransitionPayment
+};
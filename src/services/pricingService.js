@@ -0,0 +1,138 @@
+const { roundMoney } = require('../utils/money');
+const { findCoupon, countRedemptions, applyCoupon } = require('./couponService');
+const { ERROR_CODES } = require('../errors');
+
+// The item fields pricing needs, for callers that load items themselves
+const pricedItemSelect = Object.freeze({
+  id: true,
+  name: true,
+  cost: true,
+  categoryId: true,
+  variants: { select: { id: true, sku: true, price: true } }
+});
+
+/**
+ * Price one line of an item loaded with pricedItemSelect. The variant must belong to
+ * the item, and is required when the item has variants; its price overrides the item cost.
+ * @param {object} item
+ * @param {{ variantId?: number|null, quantity: number }} line
+ * @returns {{ error: string } | { itemId: number, variantId: number|null, sku: string|null, itemName: string, unitPrice: number, quantity: number, lineTotal: number }}
+ */
+const priceLine = (item, { variantId = null, quantity }) => {
+  let variant = null;
+
+  if (variantId) {
+    variant = item.variants.find((candidate) => candidate.id === variantId);
+    if (!variant) {
+      return { error: `Variant ${variantId} does not belong to item ${item.id}` };
+    }
+  } else if (item.variants.length > 0) {
+    return { error: `Item ${item.id} requires a variantId` };
+  }
+
+  const unitPrice = variant?.price ?? item.cost;
+  return {
+    itemId: item.id,
+    variantId: variant ? variant.id : null,
+    sku: variant ? variant.sku : null,
+    itemName: item.name,
+    unitPrice,
+    quantity,
+    lineTotal: roundMoney(unitPrice * quantity)
+  };
+};
+
+/**
+ * Price requested items from the catalog. Repeated item/variant pairs are merged into
+ * a single line, each priced with priceLine.
+ * @param {import('@prisma/client').PrismaClient} client
+ * @param {{ itemId: number, variantId?: number, quantity: number }[]} requestedItems
+ * @returns {Promise<{ error: string, code?: string, missingItemIds?: number[] } | { lines: object[], itemCategories: Map<number, number|null> }>}
+ */
+const buildOrderLines = async (client, requestedItems) => {
+  const requested = new Map();
+  for (const { itemId, variantId = null, quantity } of requestedItems) {
+    const key = `${itemId}:${variantId}`;
+    const line = requested.get(key) || { itemId, variantId, quantity: 0 };
+    line.quantity += quantity;
+    requested.set(key, line);
+  }
+
+  const itemIds = [...new Set([...requested.values()].map((line) => line.itemId))];
+  const items = await client.item.findMany({
+    where: { id: { in: itemIds }, deletedAt: null },
+    select: pricedItemSelect
+  });
+
+  const missingItemIds = itemIds.filter((id) => !items.some((item) => item.id === id));
+  if (missingItemIds.length > 0) {
+    return { error: 'Some items are not available', code: ERROR_CODES.ITEMS_UNAVAILABLE, missingItemIds };
+  }
+
+  const lines = [];
+  for (const line of requested.values()) {
+    const priced = priceLine(items.find((item) => item.id === line.itemId), line);
+    if (priced.error) {
+      return priced;
+    }
+    lines.push(priced);
+  }
+
+  return {
+    lines,
+    itemCategories: new Map(items.map((item) => [item.id, item.categoryId]))
+  };
+};
+
+/**
+ * Price requested items and apply an optional coupon code for a user. Shared by the
+ * quote endpoint and checkout so both always agree on the price.
+ * @returns {Promise<{ error: string, code?: string, missingItemIds?: number[] } | { lines: object[], subtotal: number, discount: number, total: number, coupon: object|null }>}
+ */
+const priceOrder = async (client, { items, couponCode, userId }) => {
+  const priced = await buildOrderLines(client, items);
+  if (priced.error) {
+    return priced;
+  }
+
+  let lines = priced.lines.map((line) => ({ ...line, discount: 0 }));
+  let coupon = null;
+
+  if (couponCode) {
+    coupon = await findCoupon(client, couponCode);
+    if (!coupon) {
+      return { error: 'Coupon not found', code: ERROR_CODES.INVALID_COUPON };
+    }
+
+    const [usage, categories] = await Promise.all([
+      countRedemptions(client, coupon.id, userId),
+      coupon.categories.length > 0
+        ? client.category.findMany({ select: { id: true, parentId: true } })
+        : []
+    ]);
+
+    const applied = applyCoupon(coupon, lines, { itemCategories: priced.itemCategories, categories, usage });
+    if (applied.error) {
+      return applied;
+    }
+    lines = applied.lines;
+  }
+
+  const subtotal = roundMoney(lines.reduce((sum, line) => sum + line.lineTotal, 0));
+  const discount = roundMoney(lines.reduce((sum, line) => sum + line.discount, 0));
+
+  return {
+    lines,
+    subtotal,
+    discount,
+    total: roundMoney(subtotal - discount),
+    coupon
+  };
+};
+
+module.exports = {
+  pricedItemSelect,
+  priceLine,
+  buildOrderLines,
+  priceOrder
+};
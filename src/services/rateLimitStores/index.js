@@ -0,0 +1,44 @@
+/**
+ * Rate limiters keep their hit counts in a store picked by config.rateLimit.store. Stores
+ * implement the express-rate-limit Store interface; every limiter gets its own instance.
+ *
+ * @typedef {object} RateLimitStore
+ * @property {string} [prefix] Prepended to the keys of one limiter in a shared backend
+ * @property {boolean} localKeys false when counts are shared with other processes
+ * @property {(options: { windowMs: number }) => void} [init]
+ * @property {(key: string) => Promise<{ totalHits: number, resetTime: Date } | undefined>} [get]
+ * @property {(key: string) => Promise<{ totalHits: number, resetTime: Date }>} increment
+ *   Count a hit, starting a new window if the current one has ended
+ * @property {(key: string) => Promise<void>} decrement
+ * @property {(key: string) => Promise<void>} resetKey
+ * @property {() => Promise<void>} [resetAll]
+ * @property {() => void} [shutdown]
+ *
+ * - prisma keeps counts in the database, shared across processes and restarts
+ * - memory keeps counts in this process only, for local development and tests
+ */
+
+const { MemoryStore } = require('express-rate-limit');
+const { createPrismaStore } = require('./prismaStore');
+
+const stores = {
+  prisma: createPrismaStore,
+  memory: () => new MemoryStore()
+};
+
+/**
+ * @param {string} name
+ * @param {{ prefix: string }} options prefix keeps one limiter's keys apart from the others'
+ * @returns {RateLimitStore}
+ */
+const createRateLimitStore = (name, options) => {
+  const createStore = stores[name];
+  if (!createStore) {
+    throw new Error(`Unknown rate limit store "${name}"`);
+  }
+  return createStore(options);
+};
+
+module.exports = {
+  createRateLimitStore
+};
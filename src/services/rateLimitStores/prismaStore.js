@@ -0,0 +1,75 @@
+const { prisma } = require('../../config/database');
+const { logger } = require('../../utils/logger');
+
+/**
+ * Keeps hit counts in the RateLimitBucket table, so limits survive restarts and are
+ * shared by every process using the same database. Each increment is a single upsert,
+ * which also starts a new window once the stored one has ended.
+ * @param {{ prefix: string, client?: import('@prisma/client').PrismaClient }} options
+ * @returns {import('./index').RateLimitStore}
+ */
+const createPrismaStore = ({ prefix, client = prisma }) => {
+  let windowMs;
+  let pruneTimer;
+
+  const toClientRate = (row) => ({
+    totalHits: Number(row.hits),
+    resetTime: new Date(Number(row.resetAt))
+  });
+
+  // Expired buckets are never read again, only reset on the client's next request
+  const prune = () => client.rateLimitBucket.deleteMany({
+    where: { key: { startsWith: prefix }, resetAt: { lte: BigInt(Date.now()) } }
+  }).catch((error) => logger.error('Rate limit prune failed', { error }));
+
+  return {
+    prefix,
+    localKeys: false,
+
+    init(options) {
+      windowMs = options.windowMs;
+      pruneTimer = setInterval(prune, windowMs);
+      pruneTimer.unref();
+    },
+
+    async get(key) {
+      const bucket = await client.rateLimitBucket.findUnique({ where: { key: prefix + key } });
+      return bucket && Number(bucket.resetAt) > Date.now() ? toClientRate(bucket) : undefined;
+    },
+
+    async increment(key) {
+      const now = BigInt(Date.now());
+      const [row] = await client.$queryRaw`
+        INSERT INTO "RateLimitBucket" ("key", "hits", "resetAt")
+        VALUES (${prefix + key}, 1, ${now + BigInt(windowMs)})
+        ON CONFLICT ("key") DO UPDATE SET
+          "hits" = CASE WHEN "resetAt" <= ${now} THEN 1 ELSE "hits" + 1 END,
+          "resetAt" = CASE WHEN "resetAt" <= ${now} THEN excluded."resetAt" ELSE "resetAt" END
+        RETURNING "hits", "resetAt"`;
+      return toClientRate(row);
+    },
+
+    async decrement(key) {
+      await client.rateLimitBucket.updateMany({
+        where: { key: prefix + key, hits: { gt: 0 } },
+        data: { hits: { decrement: 1 } }
+      });
+    },
+
+    async resetKey(key) {
+      await client.rateLimitBucket.deleteMany({ where: { key: prefix + key } });
+    },
+
+    async resetAll() {
+      await client.rateLimitBucket.deleteMany({ where: { key: { startsWith: prefix } } });
+    },
+
+    shutdown() {
+      clearInterval(pruneTimer);
+    }
+  };
+};
+
+module.exports = {
+  createPrismaStore
+};
@@ -0,0 +1,29 @@
+/**
+ * Average rating and review count per item, counting only visible reviews. Items
+ * without reviews get averageRating null and reviewCount 0.
+ * @param {import('@prisma/client').PrismaClient} client
+ * @param {number[]} itemIds
+ * @returns {Promise<Map<number, { averageRating: number|null, reviewCount: number }>>}
+ */
+const summarizeRatings = async (client, itemIds) => {
+  const groups = await client.review.groupBy({
+    by: ['itemId'],
+    where: { itemId: { in: itemIds }, hiddenAt: null },
+    _avg: { rating: true },
+    _count: { _all: true }
+  });
+
+  const summaries = new Map(itemIds.map((id) => [id, { averageRating: null, reviewCount: 0 }]));
+  for (const group of groups) {
+    summaries.set(group.itemId, {
+      averageRating: Math.round(group._avg.rating * 10) / 10,
+      reviewCount: group._count._all
+    });
+  }
+
+  return summaries;
+};
+
+module.exports = {
+  summarizeRatings
+};
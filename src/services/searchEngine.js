@@ -0,0 +1,357 @@
+/**
+ * In-process catalog search: no external service is involved, so results are
+ * deterministic and can be exercised offline.
+ *
+ * A prompt such as "cheapest blue shirts under 30" is parsed into structured
+ * filters (color, size, cost range, sort) plus free-text terms. Items are then
+ * filtered on the structured part and ranked on the text part with BM25 over
+ * name, category, description and color, allowing small typos.
+ */
+
+const FIELD_WEIGHTS = {
+  name: 3,
+  category: 2,
+  description: 1,
+  color: 1
+};
+
+// BM25 tuning constants
+const K1 = 1.2;
+const B = 0.75;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'any', 'are', 'for', 'find', 'from', 'get', 'give', 'have', 'i', 'im',
+  'in', 'is', 'it', 'looking', 'me', 'need', 'of', 'on', 'one', 'ones', 'or', 'please',
+  'price', 'priced', 'show', 'some', 'something', 'that', 'the', 'to', 'want', 'with'
+]);
+
+const COLORS = [
+  'beige', 'black', 'blue', 'brown', 'burgundy', 'cream', 'gold', 'gray', 'green', 'grey',
+  'ivory', 'khaki', 'lavender', 'maroon', 'navy', 'olive', 'orange', 'pink', 'purple', 'red',
+  'silver', 'tan', 'teal', 'turquoise', 'white', 'yellow'
+];
+
+const SIZE_ALIASES = {
+  xxs: 'XXS',
+  xs: 'XS',
+  s: 'S',
+  small: 'S',
+  m: 'M',
+  medium: 'M',
+  l: 'L',
+  large: 'L',
+  xl: 'XL',
+  'extra large': 'XL',
+  xxl: 'XXL',
+  xxxl: 'XXXL'
+};
+
+const NUMBER = '\\$?\\s*(\\d+(?:\\.\\d+)?)';
+
+const BETWEEN_PATTERN = new RegExp(`\\bbetween\\s+${NUMBER}\\s*(?:and|to|-)\\s*${NUMBER}`, 'g');
+const MAX_PATTERN = new RegExp(`(?:\\b(?:under|below|less than|cheaper than|up to|at most|no more than|max(?:imum)?)|<=?)\\s*${NUMBER}`, 'g');
+const MIN_PATTERN = new RegExp(`(?:\\b(?:over|above|more than|at least|min(?:imum)?)|>=?)\\s*${NUMBER}`, 'g');
+const CHEAP_PATTERN = /\b(?:cheapest|cheaper|cheap|lowest price|least expensive|budget|affordable)\b/g;
+const EXPENSIVE_PATTERN = /\b(?:most expensive|more expensive|expensive|highest price|priciest|premium)\b/g;
+const CURRENCY_PATTERN = /\b(?:dollars?|usd|bucks)\b|\$/g;
+// Single letters are only sizes when introduced by "size", otherwise "s" or "m" would match too much
+const EXPLICIT_SIZE_PATTERN = /\bsize\s+(xxxl|xxl|xl|xxs|xs|s|m|l|small|medium|large|extra large)\b/g;
+const SIZE_WORD_PATTERN = /\b(xxxl|xxl|xl|xxs|xs|extra large|small|medium|large)\b/g;
+
+const stem = (word) => {
+  if (word.length > 4 && word.endsWith('ies')) {
+    return `${word.slice(0, -3)}y`;
+  }
+  if (word.length > 4 && /(?:s|x|z|ch|sh)es$/.test(word)) {
+    return word.slice(0, -2);
+  }
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) {
+    return word.slice(0, -1);
+  }
+  return word;
+};
+
+/**
+ * Split text into lowercase, stemmed terms, dropping stop words and single letters.
+ * @param {string} text
+ * @returns {string[]}
+ */
+const tokenize = (text) => (text || '')
+  .toLowerCase()
+  .split(/[^a-z0-9]+/)
+  .filter((word) => word.length > 1 && !STOP_WORDS.has(word))
+  .map(stem);
+
+// Optimal string alignment distance, giving up as soon as it exceeds max
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) {
+    return max + 1;
+  }
+
+  let previousPrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+
+      if (previousPrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousPrevious[j - 2] + 1);
+      }
+
+      current.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+
+    if (rowMin > max) {
+      return max + 1;
+    }
+
+    previousPrevious = previous;
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+// Longer words tolerate more typos; very short words must match exactly
+const allowedTypos = (term) => {
+  if (term.length < 4) {
+    return 0;
+  }
+  return term.length < 8 ? 1 : 2;
+};
+
+const normalizeSize = (size) => SIZE_ALIASES[(size || '').trim().toLowerCase()] || (size || '').trim().toUpperCase();
+
+/**
+ * Parse a natural language prompt into structured filters and free-text terms.
+ * @param {string} prompt e.g. "blue shirts under 30"
+ * @returns {{ terms: string[], filters: { colors: string[], sizes: string[], minCost?: number, maxCost?: number }, sort: ('cost'|'-cost'|null) }}
+ */
+const parseQuery = (prompt) => {
+  let text = ` ${(prompt || '').toLowerCase()} `;
+  const filters = { colors: [], sizes: [] };
+  let sort = null;
+
+  const consume = (pattern, handler) => {
+    text = text.replace(pattern, (...match) => {
+      handler(...match);
+      return ' ';
+    });
+  };
+
+  consume(BETWEEN_PATTERN, (_, low, high) => {
+    filters.minCost = Math.min(Number(low), Number(high));
+    filters.maxCost = Math.max(Number(low), Number(high));
+  });
+  consume(MAX_PATTERN, (_, value) => {
+    filters.maxCost = Number(value);
+  });
+  consume(MIN_PATTERN, (_, value) => {
+    filters.minCost = Number(value);
+  });
+  consume(CHEAP_PATTERN, () => {
+    sort = 'cost';
+  });
+  consume(EXPENSIVE_PATTERN, () => {
+    sort = '-cost';
+  });
+  consume(CURRENCY_PATTERN, () => {});
+  consume(EXPLICIT_SIZE_PATTERN, (_, size) => {
+    filters.sizes.push(SIZE_ALIASES[size]);
+  });
+  consume(SIZE_WORD_PATTERN, (_, size) => {
+    filters.sizes.push(SIZE_ALIASES[size]);
+  });
+
+  const words = text.split(/[^a-z0-9]+/);
+  const remaining = [];
+  for (const word of words) {
+    if (COLORS.includes(word)) {
+      filters.colors.push(word === 'grey' ? 'gray' : word);
+    } else {
+      remaining.push(word);
+    }
+  }
+
+  filters.colors = [...new Set(filters.colors)];
+  filters.sizes = [...new Set(filters.sizes)];
+
+  return {
+    terms: [...new Set(tokenize(remaining.join(' ')))],
+    filters,
+    sort
+  };
+};
+
+const colorMatches = (value, colors) => {
+  const words = (value || '').toLowerCase().replace(/grey/g, 'gray').split(/[^a-z]+/);
+  return colors.some((color) => words.includes(color));
+};
+
+// Items match an attribute filter through their own attributes or any variant's
+const matchesFilters = (item, filters) => {
+  if (filters.minCost !== undefined && item.cost < filters.minCost) {
+    return false;
+  }
+  if (filters.maxCost !== undefined && item.cost > filters.maxCost) {
+    return false;
+  }
+
+  const variants = item.variants || [];
+
+  if (filters.colors.length > 0) {
+    const colorValues = [item.color, ...variants.map((variant) => variant.color)];
+    if (!colorValues.some((value) => colorMatches(value, filters.colors))) {
+      return false;
+    }
+  }
+
+  if (filters.sizes.length > 0) {
+    const sizeValues = [item.size, ...variants.map((variant) => variant.size)]
+      .filter(Boolean)
+      .map(normalizeSize);
+    if (!sizeValues.some((value) => filters.sizes.includes(value))) {
+      return false;
+    }
+  }
+
+  return true;
+};
+
+const buildIndex = (items) => {
+  const documents = items.map((item) => {
+    const frequencies = new Map();
+    let length = 0;
+
+    for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+      for (const term of tokenize(item[field])) {
+        frequencies.set(term, (frequencies.get(term) || 0) + weight);
+        length += weight;
+      }
+    }
+
+    return { item, frequencies, length };
+  });
+
+  const documentFrequency = new Map();
+  for (const { frequencies } of documents) {
+    for (const term of frequencies.keys()) {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    }
+  }
+
+  const averageLength = documents.reduce((sum, doc) => sum + doc.length, 0) / (documents.length || 1);
+
+  return { documents, documentFrequency, averageLength };
+};
+
+// Vocabulary terms a query term should match: itself, words it is a prefix of, and near misspellings
+const expandTerm = (term, vocabulary) => {
+  const expansions = [];
+  const maxTypos = allowedTypos(term);
+
+  for (const candidate of vocabulary) {
+    if (candidate === term) {
+      expansions.push({ term: candidate, weight: 1 });
+    } else if (term.length >= 3 && candidate.startsWith(term)) {
+      expansions.push({ term: candidate, weight: 0.8 });
+    } else if (maxTypos > 0) {
+      const distance = editDistance(term, candidate, maxTypos);
+      if (distance <= maxTypos) {
+        expansions.push({ term: candidate, weight: 1 - 0.25 * distance });
+      }
+    }
+  }
+
+  return expansions;
+};
+
+/**
+ * Filter and rank items for a parsed query.
+ * @param {object[]} items Items with name, category, description, cost, color, size and optional variants
+ * @param {ReturnType<typeof parseQuery>} query
+ * @returns {object[]} Matching items with a relevanceScore between 0 and 1, best first
+ */
+const rankItems = (items, query) => {
+  const candidates = items.filter((item) => matchesFilters(item, query.filters));
+  let results;
+
+  if (query.terms.length === 0) {
+    results = candidates.map((item) => ({ item, score: 1 }));
+  } else {
+    const { documents, documentFrequency, averageLength } = buildIndex(candidates);
+    const vocabulary = [...documentFrequency.keys()];
+    const expansions = query.terms.map((term) => expandTerm(term, vocabulary));
+
+    const idf = (term) => {
+      const df = documentFrequency.get(term) || 0;
+      return Math.log(1 + (documents.length - df + 0.5) / (df + 0.5));
+    };
+
+    results = documents.map(({ item, frequencies, length }) => {
+      let score = 0;
+      let matchedTerms = 0;
+
+      for (const termExpansions of expansions) {
+        let best = 0;
+        for (const { term, weight } of termExpansions) {
+          const tf = frequencies.get(term);
+          if (tf) {
+            const saturation = (tf * (K1 + 1)) / (tf + K1 * (1 - B + (B * length) / averageLength));
+            best = Math.max(best, weight * idf(term) * saturation);
+          }
+        }
+        if (best > 0) {
+          matchedTerms++;
+          score += best;
+        }
+      }
+
+      // Favour items that match more of the query's terms
+      return { item, score: score * (matchedTerms / query.terms.length) };
+    }).filter((result) => result.score > 0);
+
+    const topScore = Math.max(...results.map((result) => result.score), 0);
+    results.forEach((result) => {
+      result.score = topScore > 0 ? result.score / topScore : 0;
+    });
+  }
+
+  results.sort((a, b) => {
+    if (query.sort) {
+      const byCost = query.sort === 'cost' ? a.item.cost - b.item.cost : b.item.cost - a.item.cost;
+      if (byCost !== 0) {
+        return byCost;
+      }
+    }
+    return b.score - a.score || a.item.id - b.item.id;
+  });
+
+  return results.map(({ item, score }) => ({
+    ...item,
+    relevanceScore: Math.round(score * 1000) / 1000
+  }));
+};
+
+/**
+ * Parse a prompt and rank items against it in one step.
+ * @param {object[]} items
+ * @param {string} prompt
+ */
+const search = (items, prompt) => {
+  const query = parseQuery(prompt);
+  return { query, results: rankItems(items, query) };
+};
+
+module.exports = {
+  tokenize,
+  parseQuery,
+  rankItems,
+  search
+};
@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+
+// Opaque random token for refresh tokens and links sent by email
+const generateToken = () => crypto.randomBytes(32).toString('hex');
+
+// Tokens are high-entropy, so a fast unsalted hash is enough to keep a database leak from exposing them
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const isTokenActive = (token) => !token.revokedAt && token.expiresAt > new Date();
+
+/**
+ * Revoke every refresh token of a user that is still usable, so they have to log in
+ * again once their current access token expires.
+ * @param {object} client Prisma client or transaction
+ * @param {number} userId
+ * @param {string} reason Stored as reasonRevoked
+ * @returns {Promise<number>} How many tokens were revoked
+ */
+const revokeUserTokens = async (client, userId, reason) => {
+  const { count } = await client.refreshToken.updateMany({
+    where: { userId, revokedAt: null, expiresAt: { gt: new Date() } },
+    data: { revokedAt: new Date(), reasonRevoked: reason }
+  });
+  return count;
+};
+
+/**
+ * Revoke the refresh tokens a token was rotated into, following the replacedByToken chain
+ * down to the newest one. Used when an already-rotated token is presented again.
+ * @param {object} client Prisma client or transaction
+ * @param {{ replacedByToken: string|null }} token The reused token
+ * @param {string} reason Stored as reasonRevoked
+ * @returns {Promise<number>} How many tokens were still active and got revoked
+ */
+const revokeDescendantTokens = async (client, token, reason) => {
+  let revoked = 0;
+  let nextHash = token.replacedByToken;
+
+  while (nextHash) {
+    const descendant = await client.refreshToken.findUnique({ where: { tokenHash: nextHash } });
+    if (!descendant) {
+      break;
+    }
+
+    if (isTokenActive(descendant)) {
+      await client.refreshToken.update({
+        where: { id: descendant.id },
+        data: { revokedAt: new Date(), reasonRevoked: reason }
+      });
+      revoked += 1;
+    }
+
+    nextHash = descendant.replacedByToken;
+  }
+
+  return revoked;
+};
+
+/**
+ * Mark every unused password reset token of a user as used, so links already emailed stop working.
+ * @param {object} client Prisma client or transaction
+ * @param {number} userId
+ */
+const invalidatePasswordResetTokens = (client, userId) => client.passwordResetToken.updateMany({
+  where: { userId, usedAt: null },
+  data: { usedAt: new Date() }
+});
+
+module.exports = {
+  generateToken,
+  hashToken,
+  isTokenActive,
+  revokeUserTokens,
+  revokeDescendantTokens,
+  invalidatePasswordResetTokens
+};
@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('../config/config');
+const { encrypt, decrypt } = require('../utils/secretBox');
+const { verifyTotp } = require('../utils/totp');
+const { hashToken } = require('./tokenService');
+
+// Challenge tokens get their own audience so they can never pass as access tokens
+const CHALLENGE_AUDIENCE = `${config.jwt.audience}:2fa`;
+
+const encryptSecret = (secret) => encrypt(secret, config.twoFactor.encryptionKey);
+const decryptSecret = (sealed) => decrypt(sealed, config.twoFactor.encryptionKey);
+
+/**
+ * Short-lived token proving the password step of a login succeeded. It is exchanged
+ * together with a TOTP or recovery code for real tokens.
+ */
+const createChallengeToken = (user) => jwt.sign(
+  { id: user.id },
+  config.jwt.key,
+  {
+    expiresIn: config.twoFactor.challengeExpiry,
+    issuer: config.jwt.issuer,
+    audience: CHALLENGE_AUDIENCE
+  }
+);
+
+// Returns the user id, or null for an invalid or expired challenge
+const verifyChallengeToken = (token) => {
+  try {
+    return jwt.verify(token, config.jwt.key, {
+      issuer: config.jwt.issuer,
+      audience: CHALLENGE_AUDIENCE
+    }).id;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Recovery codes are shown as "abcde-fghij"; case, spaces and dashes don't matter when entered
+const normalizeRecoveryCode = (code) => code.replace(/[\s-]/g, '').toLowerCase();
+
+const generateRecoveryCode = () => {
+  const raw = crypto.randomBytes(5).toString('hex');
+  return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+};
+
+/**
+ * Replace a user's recovery codes with a fresh set. Only hashes are stored.
+ * @param {object} client Prisma client or transaction
+ * @param {number} userId
+ * @returns {Promise<string[]>} The new codes, to show the user once
+ */
+const replaceRecoveryCodes = async (client, userId) => {
+  const codes = Array.from({ length: config.twoFactor.recoveryCodeCount }, generateRecoveryCode);
+
+  await client.twoFactorRecoveryCode.deleteMany({ where: { userId } });
+  await client.twoFactorRecoveryCode.createMany({
+    data: codes.map((code) => ({ userId, codeHash: hashToken(normalizeRecoveryCode(code)) }))
+  });
+
+  return codes;
+};
+
+/**
+ * Check a second factor for a user with 2FA enabled: a 6-digit TOTP code or an unused
+ * recovery code. Both are single-use: a TOTP code is refused once its time step (or a
+ * later one) has been used, and a recovery code is marked used.
+ * @param {object} client Prisma client or transaction
+ * @param {{ id: number, twoFactorSecret: string }} user
+ * @param {string} code
+ * @returns {Promise<'totp'|'recovery'|null>}
+ */
+const verifySecondFactor = async (client, user, code) => {
+  if (/^\d{6}$/.test(code)) {
+    const step = verifyTotp(decryptSecret(user.twoFactorSecret), code);
+    if (step === null) {
+      return null;
+    }
+
+    const { count } = await client.user.updateMany({
+      where: {
+        id: user.id,
+        OR: [{ twoFactorLastStep: null }, { twoFactorLastStep: { lt: step } }]
+      },
+      data: { twoFactorLastStep: step }
+    });
+    return count === 1 ? 'totp' : null;
+  }
+
+  const { count } = await client.twoFactorRecoveryCode.updateMany({
+    where: { userId: user.id, codeHash: hashToken(normalizeRecoveryCode(code)), usedAt: null },
+    data: { usedAt: new Date() }
+  });
+  return count === 1 ? 'recovery' : null;
+};
+
+module.exports = {
+  encryptSecret,
+  decryptSecret,
+  createChallengeToken,
+  verifyChallengeToken,
+  replaceRecoveryCodes,
+  verifySecondFactor
+};
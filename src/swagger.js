@@ -57,7 +57,8 @@ const options = {
         },
         Item: {
           type: 'object',
-          required: ['name', 'category', 'description', 'cost', 'thumbnailUrl', 'imageUrl'],
+          required: ['name', 'description', 'cost', 'thumbnailUrl', 'imageUrl'],
+          description: 'Either categoryId or category must be given when creating or replacing an item.',
           properties: {
             name: {
               type: 'string',
@@ -65,8 +66,13 @@ const options = {
             },
             category: {
               type: 'string',
+              description: 'Name or slug of an existing category',
               example: 'Clothing',
             },
+            categoryId: {
+              type: 'integer',
+              example: 1,
+            },
             description: {
               type: 'string',
               example: 'A comfortable cotton t-shirt',
@@ -113,6 +119,54 @@ const options = {
             },
           },
         },
+        // Every error response, see src/errors and src/middleware/errorHandler.js
+        Problem: {
+          type: 'object',
+          description: 'RFC 7807 problem details, sent as application/problem+json',
+          properties: {
+            type: {
+              type: 'string',
+              example: 'about:blank',
+            },
+            title: {
+              type: 'string',
+              example: 'Not Found',
+            },
+            status: {
+              type: 'integer',
+              example: 404,
+            },
+            detail: {
+              type: 'string',
+              example: 'Item not found',
+            },
+            instance: {
+              type: 'string',
+              example: '/api/items/42',
+            },
+            code: {
+              type: 'string',
+              description: 'Stable, machine-readable error code',
+              example: 'NOT_FOUND',
+            },
+            requestId: {
+              type: 'string',
+              description: 'Also sent in the X-Request-Id header; quote it when reporting a problem',
+              example: '3f0c9a52-6c1e-4b8e-9d4a-2f1b7e0c5d11',
+            },
+            errors: {
+              type: 'array',
+              description: 'Field errors, for VALIDATION_FAILED',
+              items: {
+                type: 'object',
+                properties: {
+                  field: { type: 'string' },
+                  message: { type: 'string' },
+                },
+              },
+            },
+          },
+        },
       },
     },
   },
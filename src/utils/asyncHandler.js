@@ -0,0 +1,9 @@
+// Wrap an async route handler so a thrown error or rejected promise reaches the error
+// handler instead of being lost. Controllers can then throw errors from src/errors.
+const asyncHandler = (handler) => (req, res, next) => {
+  Promise.resolve(handler(req, res, next)).catch(next);
+};
+
+module.exports = {
+  asyncHandler
+};
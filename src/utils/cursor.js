@@ -0,0 +1,17 @@
+// Opaque pagination cursors: base64url-encoded JSON, so clients can't depend on their contents
+const encodeCursor = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+// Returns null for anything that isn't a cursor we issued
+const decodeCursor = (cursor) => {
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return payload && typeof payload === 'object' && !Array.isArray(payload) ? payload : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor
+};
@@ -0,0 +1,78 @@
+const config = require('../config/config');
+
+// Lower is more severe; a logger writes entries at or above its level
+const LOG_LEVELS = Object.freeze({
+  error: 0,
+  warn: 1,
+  info: 2,
+  debug: 3
+});
+
+// Values under these keys never reach the logs, at any depth. code covers two-factor and recovery codes.
+const REDACTED_KEYS = /pass(word)?$|token|secret|authorization|cookie|^code$|recovery/i;
+const REDACTED = '[REDACTED]';
+
+/**
+ * Copy a request body, query or header object with sensitive values replaced.
+ * @param {*} value
+ * @returns {*}
+ */
+const redact = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(redact);
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return Object.fromEntries(Object.entries(value).map(([key, field]) => [
+      key,
+      REDACTED_KEYS.test(key) ? REDACTED : redact(field)
+    ]));
+  }
+  return value;
+};
+
+const serializeError = (error) => ({
+  name: error.name,
+  message: error.message,
+  code: error.code,
+  stack: error.stack
+});
+
+/**
+ * A logger writing one JSON object per line: time, level, msg, the logger's bindings and
+ * the entry's fields. Errors in fields are written with their name, message, code and stack.
+ * @param {{ level?: string, bindings?: object, write?: (line: string) => void }} [options]
+ */
+const createLogger = ({ level = 'info', bindings = {}, write = (line) => process.stdout.write(`${line}\n`) } = {}) => {
+  const threshold = LOG_LEVELS[level] ?? LOG_LEVELS.info;
+
+  const log = (entryLevel, msg, fields = {}) => {
+    if (LOG_LEVELS[entryLevel] > threshold) {
+      return;
+    }
+
+    const entry = { time: new Date().toISOString(), level: entryLevel, msg, ...bindings };
+    for (const [key, value] of Object.entries(fields)) {
+      entry[key] = value instanceof Error ? serializeError(value) : value;
+    }
+    write(JSON.stringify(entry));
+  };
+
+  return {
+    error: (msg, fields) => log('error', msg, fields),
+    warn: (msg, fields) => log('warn', msg, fields),
+    info: (msg, fields) => log('info', msg, fields),
+    debug: (msg, fields) => log('debug', msg, fields),
+    // A logger adding bindings, such as the request id, to every entry
+    child: (extra) => createLogger({ level, bindings: { ...bindings, ...extra }, write })
+  };
+};
+
+// For code outside a request; within one, use req.log so entries carry the request id
+const logger = createLogger({ level: config.logging.level });
+
+module.exports = {
+  LOG_LEVELS,
+  redact,
+  createLogger,
+  logger
+};
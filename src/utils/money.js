@@ -0,0 +1,6 @@
+// Round a monetary amount to cents, avoiding floating point drift such as 0.1 + 0.2
+const roundMoney = (amount) => Math.round((amount + Number.EPSILON) * 100) / 100;
+
+module.exports = {
+  roundMoney
+};
@@ -0,0 +1,9 @@
+// Parse a route id, returning null for anything that isn't a positive integer
+const parseId = (value) => {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
+};
+
+module.exports = {
+  parseId
+};
@@ -0,0 +1,28 @@
+const crypto = require('crypto');
+
+// AES-256-GCM for small secrets stored in the database, such as TOTP secrets. Output is
+// "<iv>.<auth tag>.<ciphertext>" in base64url; the key can be any string and is hashed to 32 bytes.
+
+const deriveKey = (key) => crypto.createHash('sha256').update(key).digest();
+
+const encrypt = (plaintext, key) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(key), iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), ciphertext].map((part) => part.toString('base64url')).join('.');
+};
+
+// Throws if the value was tampered with or encrypted with another key
+const decrypt = (sealed, key) => {
+  const [iv, tag, ciphertext] = sealed.split('.').map((part) => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', deriveKey(key), iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
+
+module.exports = {
+  encrypt,
+  decrypt
+};
@@ -0,0 +1,16 @@
+// What slugify produces and what the API accepts as a slug
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// "Home & Garden" -> "home-garden"
+const slugify = (text) => text
+  .toLowerCase()
+  .trim()
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '') // Strip accents left by normalize()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+module.exports = {
+  SLUG_PATTERN,
+  slugify
+};
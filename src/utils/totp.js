@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+
+// RFC 6238 time-based one-time passwords with the defaults every authenticator app
+// supports: HMAC-SHA1, 6 digits, 30 second steps. Secrets are base32 (RFC 4648, no padding).
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, '0');
+  }
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  let bits = '';
+  for (const char of input.replace(/[\s=]/g, '').toUpperCase()) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    bits += value.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+// 160-bit secret, the size RFC 4226 recommends for HMAC-SHA1
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const timeStep = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+const codeForStep = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+/**
+ * Check a code against the current time step and `window` steps either side, to allow
+ * for clock drift between the server and the authenticator.
+ * @param {string} secret Base32 secret
+ * @param {string} code
+ * @param {{ window?: number, time?: number }} [options]
+ * @returns {number|null} The matching time step, so callers can refuse a code that was already used
+ */
+const verifyTotp = (secret, code, { window = 1, time = Date.now() } = {}) => {
+  if (!/^\d{6}$/.test(code)) {
+    return null;
+  }
+
+  const current = timeStep(time);
+  for (let step = current - window; step <= current + window; step += 1) {
+    const expected = Buffer.from(codeForStep(secret, step));
+    if (crypto.timingSafeEqual(expected, Buffer.from(code))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+// URI that authenticator apps read from a QR code
+const otpauthUri = ({ secret, account, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params}`;
+};
+
+module.exports = {
+  generateSecret,
+  timeStep,
+  codeForStep,
+  verifyTotp,
+  otpauthUri
+};
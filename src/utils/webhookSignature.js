@@ -0,0 +1,53 @@
+const crypto = require('crypto');
+
+// Signature header format: "t=<unix seconds>,v1=<hex HMAC-SHA256 of `${t}.${body}`>".
+// The timestamp is part of the signed content so a captured delivery can't be replayed
+// after the tolerance window.
+
+const computeSignature = (payload, secret, timestamp) => crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.${payload}`)
+  .digest('hex');
+
+/**
+ * Build a signature header for a webhook body.
+ * @param {string|Buffer} payload Exact request body
+ * @param {string} secret
+ * @param {number} [timestamp] Unix seconds, defaults to now
+ */
+const signPayload = (payload, secret, timestamp = Math.floor(Date.now() / 1000)) =>
+  `t=${timestamp},v1=${computeSignature(payload, secret, timestamp)}`;
+
+/**
+ * Check a signature header against the raw request body.
+ * @param {string|Buffer} payload Exact request body, before JSON parsing
+ * @param {string} header
+ * @param {string} secret
+ * @param {number} toleranceSeconds Maximum age of the signature
+ * @returns {boolean}
+ */
+const verifySignature = (payload, header, secret, toleranceSeconds) => {
+  if (!payload || !header) {
+    return false;
+  }
+
+  const parts = Object.fromEntries(header.split(',').map((part) => part.trim().split('=')));
+  const timestamp = Number(parts.t);
+  if (!Number.isInteger(timestamp) || !parts.v1) {
+    return false;
+  }
+
+  if (Math.abs(Math.floor(Date.now() / 1000) - timestamp) > toleranceSeconds) {
+    return false;
+  }
+
+  const expected = Buffer.from(computeSignature(payload, secret, timestamp), 'hex');
+  const received = Buffer.from(parts.v1, 'hex');
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+module.exports = {
+  signPayload,
+  verifySignature
+};
@@ -0,0 +1,104 @@
+// Builds the app with createApp and an in-memory stand-in for the Prisma client, so HTTP
+// tests run offline without `prisma generate`. Require it before anything from src/.
+const Module = require('module');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const config = require('../../src/config/config');
+const { ROLES } = require('../../src/config/roles');
+
+// Tests stub the model methods their requests reach. Any other query rejects, so a
+// request that unexpectedly reaches the database fails with a 500 instead.
+const stubs = {};
+const unstubbed = (model) => new Proxy({}, {
+  get: (target, method) => async () => {
+    throw new Error(`prisma.${model}.${String(method)} is not stubbed`);
+  }
+});
+const prisma = new Proxy({}, {
+  get: (target, model) => stubs[model] || unstubbed(String(model))
+});
+
+const databasePath = require.resolve('../../src/config/database');
+const database = new Module(databasePath);
+database.filename = databasePath;
+database.exports = { prisma };
+database.loaded = true;
+require.cache[databasePath] = database;
+
+const { createApp } = require('../../src/app');
+
+/**
+ * Replace the stubbed Prisma models, e.g. stubPrisma({ item: { findFirst: async () => null } }).
+ * @param {object} models
+ */
+const stubPrisma = (models = {}) => {
+  for (const model of Object.keys(stubs)) {
+    delete stubs[model];
+  }
+  Object.assign(stubs, models);
+};
+
+/**
+ * Build an app whose rate limits are counted in memory, per app.
+ * @param {object} [overrides] Config sections to replace
+ */
+const createTestApp = (overrides = {}) => createApp({ ...config, rateLimit: { store: 'memory' }, ...overrides });
+
+/**
+ * Sign an access token the way authController.generateTokens does.
+ * @param {{ id?: number, email?: string, role?: string }} [user]
+ */
+const tokenFor = (user = {}) => jwt.sign(
+  { id: 1, email: 'customer@example.com', role: ROLES.CUSTOMER, ...user },
+  config.jwt.key,
+  { expiresIn: '5m', issuer: config.jwt.issuer, audience: config.jwt.audience }
+);
+
+const bearer = (user) => `Bearer ${tokenFor(user)}`;
+
+/**
+ * Run fn with the JSON log lines written to stdout captured instead of printed. fn gets
+ * the entries captured so far.
+ * @param {(entries: object[]) => Promise<void>} fn
+ * @returns {Promise<object[]>} The log entries
+ */
+const captureLogs = async (fn) => {
+  const entries = [];
+  const write = process.stdout.write;
+  process.stdout.write = (chunk, ...rest) => {
+    try {
+      entries.push(JSON.parse(chunk));
+      return true;
+    } catch (error) {
+      return write.call(process.stdout, chunk, ...rest);
+    }
+  };
+
+  try {
+    await fn(entries);
+  } finally {
+    process.stdout.write = write;
+  }
+  return entries;
+};
+
+// Every error response is a problem document, see src/middleware/errorHandler.js
+const assertProblem = (res, status, code) => {
+  assert.equal(res.status, status);
+  assert.match(res.headers['content-type'], /^application\/problem\+json/);
+  assert.equal(res.body.status, status);
+  assert.equal(res.body.code, code);
+};
+
+module.exports = {
+  prisma,
+  stubPrisma,
+  createTestApp,
+  tokenFor,
+  bearer,
+  captureLogs,
+  assertProblem
+};
@@ -0,0 +1,67 @@
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcrypt');
+const request = require('supertest');
+const { stubPrisma, createTestApp, bearer, assertProblem } = require('../helpers/app');
+const { ERROR_CODES } = require('../../src/errors');
+
+describe('profile and account deletion', () => {
+  let app;
+  let account;
+
+  before(async () => {
+    account = { id: 1, email: 'customer@example.com', password: await bcrypt.hash('correct horse', 4), role: 'customer', deletedAt: null };
+  });
+
+  beforeEach(() => {
+    app = createTestApp();
+    stubPrisma();
+  });
+
+  it('only updates profile fields', async () => {
+    const res = await request(app).patch('/api/auth/profile').set('Authorization', bearer()).send({ email: 'new@example.com' });
+    assertProblem(res, 400, ERROR_CODES.VALIDATION_FAILED);
+  });
+
+  it('does not update deleted accounts', async () => {
+    stubPrisma({ user: { updateMany: async ({ where }) => ({ count: where.deletedAt === null ? 0 : 1 }) } });
+
+    const res = await request(app).patch('/api/auth/profile').set('Authorization', bearer()).send({ firstName: 'Sam' });
+    assertProblem(res, 404, ERROR_CODES.NOT_FOUND);
+  });
+
+  it('asks for the password before deleting', async () => {
+    stubPrisma({ user: { findUnique: async () => account } });
+
+    const res = await request(app).delete('/api/auth/account').set('Authorization', bearer()).send({ password: 'wrong' });
+    assertProblem(res, 400, ERROR_CODES.INVALID_CREDENTIALS);
+  });
+
+  it('anonymizes the account and clears its sessions, cart and wishlist', async () => {
+    const calls = [];
+    const record = (name, result) => async (args) => {
+      calls.push([name, args]);
+      return result;
+    };
+    const tx = {
+      user: { update: record('user.update') },
+      refreshToken: { updateMany: record('refreshToken.updateMany', { count: 2 }) },
+      cart: { deleteMany: record('cart.deleteMany') },
+      wishlistItem: { deleteMany: record('wishlistItem.deleteMany') },
+      twoFactorRecoveryCode: { deleteMany: record('twoFactorRecoveryCode.deleteMany') }
+    };
+    stubPrisma({
+      user: { findUnique: async () => account },
+      $transaction: async (callback) => callback(tx)
+    });
+
+    const res = await request(app).delete('/api/auth/account').set('Authorization', bearer()).send({ password: 'correct horse' });
+
+    assert.equal(res.status, 200);
+    const [, update] = calls.find(([name]) => name === 'user.update');
+    assert.equal(update.data.email, 'deleted-1@deleted.invalid');
+    assert.ok(update.data.deletedAt instanceof Date);
+    assert.ok(calls.some(([name, args]) => name === 'refreshToken.updateMany' && args.data.ip === null && args.data.userAgent === null));
+    assert.ok(['cart.deleteMany', 'wishlistItem.deleteMany'].every((name) => calls.some(([called]) => called === name)));
+  });
+});
@@ -0,0 +1,74 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { stubPrisma, createTestApp, bearer, assertProblem } = require('../helpers/app');
+const { ROLES } = require('../../src/config/roles');
+const { ERROR_CODES } = require('../../src/errors');
+
+const admin = { id: 3, role: ROLES.ADMIN };
+const user = (fields = {}) => ({ id: 7, email: 'sam@example.com', role: ROLES.CUSTOMER, lockedAt: null, loginLockedUntil: null, ...fields });
+
+describe('admin user management', () => {
+  let app;
+
+  beforeEach(() => {
+    app = createTestApp();
+    stubPrisma();
+  });
+
+  it('is closed to staff', async () => {
+    assertProblem(await request(app).get('/api/admin/users').set('Authorization', bearer({ id: 2, role: ROLES.STAFF })), 403, ERROR_CODES.FORBIDDEN);
+  });
+
+  it('filters users by search terms, role and lock', async () => {
+    let where;
+    stubPrisma({
+      user: {
+        findMany: async (args) => {
+          where = args.where;
+          return [user({ lockedAt: new Date() })];
+        },
+        count: async () => 1
+      }
+    });
+
+    const res = await request(app).get('/api/admin/users?search=sam&role=customer&locked=true').set('Authorization', bearer(admin));
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.users[0].locked, true);
+    assert.equal(where.role, ROLES.CUSTOMER);
+    assert.deepEqual(where.lockedAt, { not: null });
+    assert.equal(where.AND.length, 1);
+  });
+
+  it('keeps the last admin', async () => {
+    const tx = {
+      user: {
+        findUnique: async () => user({ role: ROLES.ADMIN }),
+        count: async () => 1
+      }
+    };
+    stubPrisma({ $transaction: async (callback) => callback(tx) });
+
+    const res = await request(app).patch('/api/admin/users/7/role').set('Authorization', bearer(admin)).send({ role: ROLES.CUSTOMER });
+    assertProblem(res, 409, ERROR_CODES.CONFLICT);
+  });
+
+  it('will not lock the admin\'s own account', async () => {
+    const res = await request(app).post('/api/admin/users/3/lock').set('Authorization', bearer(admin)).send({ reason: 'Testing' });
+    assertProblem(res, 409, ERROR_CODES.CONFLICT);
+  });
+
+  it('reports unknown users', async () => {
+    stubPrisma({
+      user: {
+        update: async () => {
+          throw Object.assign(new Error('Record to update not found.'), { name: 'PrismaClientKnownRequestError', code: 'P2025' });
+        }
+      }
+    });
+
+    assertProblem(await request(app).post('/api/admin/users/99/unlock').set('Authorization', bearer(admin)), 404, ERROR_CODES.NOT_FOUND);
+    assertProblem(await request(app).get('/api/admin/users/abc').set('Authorization', bearer(admin)), 400, ERROR_CODES.VALIDATION_FAILED);
+  });
+});
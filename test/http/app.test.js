@@ -0,0 +1,37 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { stubPrisma, createTestApp, assertProblem } = require('../helpers/app');
+const config = require('../../src/config/config');
+const { ERROR_CODES } = require('../../src/errors');
+
+describe('createApp', () => {
+  stubPrisma({
+    category: { findMany: async () => [] },
+    item: { groupBy: async () => [] }
+  });
+
+  it('redirects plain HTTP when HTTPS is forced, trusting the proxy only when configured', async () => {
+    const direct = createTestApp({ server: { ...config.server, forceHttps: true, trustProxy: 0 } });
+    const proxied = createTestApp({ server: { ...config.server, forceHttps: true, trustProxy: 1 } });
+
+    const redirected = await request(direct).get('/api/categories').set('X-Forwarded-Proto', 'https');
+    assert.equal(redirected.status, 308);
+    assert.match(redirected.headers.location, /^https:\/\/.+\/api\/categories$/);
+
+    assert.equal((await request(proxied).get('/api/categories').set('X-Forwarded-Proto', 'https')).status, 200);
+  });
+
+  it('applies the configured body limit', async () => {
+    const app = createTestApp({ server: { ...config.server, bodyLimit: '1kb' } });
+
+    const res = await request(app).post('/api/auth/login').send({ email: 'a@example.com', password: 'x'.repeat(2048) });
+    assertProblem(res, 413, ERROR_CODES.PAYLOAD_TOO_LARGE);
+  });
+
+  it('serves the API documentation', async () => {
+    const res = await request(createTestApp()).get('/api-docs/');
+    assert.equal(res.status, 200);
+    assert.match(res.headers['content-type'], /html/);
+  });
+});
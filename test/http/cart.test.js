@@ -0,0 +1,74 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { stubPrisma, createTestApp, bearer, assertProblem } = require('../helpers/app');
+const { ERROR_CODES } = require('../../src/errors');
+
+const tee = { id: 1, name: 'Classic T-Shirt', cost: 19.99, categoryId: null, thumbnailUrl: null, deletedAt: null, variants: [] };
+
+const cart = (items) => ({
+  id: 5,
+  updatedAt: new Date('2025-06-01T00:00:00Z'),
+  items: items.map((line, index) => ({ id: index + 1, variantId: null, variant: null, ...line }))
+});
+
+describe('cart', () => {
+  let app;
+
+  beforeEach(() => {
+    app = createTestApp();
+    stubPrisma();
+  });
+
+  it('requires a token', async () => {
+    assertProblem(await request(app).get('/api/cart'), 401, ERROR_CODES.AUTHENTICATION_REQUIRED);
+  });
+
+  it('prices lines from the catalog and leaves out removed items', async () => {
+    stubPrisma({
+      cart: {
+        upsert: async ({ where }) => {
+          assert.deepEqual(where, { userId: 1 });
+          return cart([
+            { itemId: 1, item: tee, quantity: 2 },
+            { itemId: 2, item: { ...tee, id: 2, deletedAt: new Date() }, quantity: 1 }
+          ]);
+        }
+      }
+    });
+
+    const res = await request(app).get('/api/cart').set('Authorization', bearer());
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.items.map((line) => [line.itemId, line.lineTotal, line.available]), [[1, 39.98, true], [2, 0, false]]);
+    assert.equal(res.body.totalQuantity, 2);
+    assert.equal(res.body.subtotal, 39.98);
+  });
+
+  it('validates the quantity', async () => {
+    const res = await request(app).post('/api/cart/items').set('Authorization', bearer()).send({ itemId: 1, quantity: 100 });
+    assertProblem(res, 400, ERROR_CODES.VALIDATION_FAILED);
+  });
+
+  it('only changes lines in the user\'s own cart', async () => {
+    let where;
+    stubPrisma({
+      cartItem: {
+        updateMany: async (query) => {
+          where = query.where;
+          return { count: 0 };
+        }
+      }
+    });
+
+    const res = await request(app).patch('/api/cart/items/3').set('Authorization', bearer()).send({ quantity: 2 });
+
+    assertProblem(res, 404, ERROR_CODES.NOT_FOUND);
+    assert.deepEqual(where, { id: 3, cart: { userId: 1 } });
+  });
+
+  it('rejects invalid line ids', async () => {
+    const res = await request(app).delete('/api/cart/items/abc').set('Authorization', bearer());
+    assertProblem(res, 400, ERROR_CODES.VALIDATION_FAILED);
+  });
+});
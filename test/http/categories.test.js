@@ -0,0 +1,75 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { stubPrisma, createTestApp, bearer, assertProblem } = require('../helpers/app');
+const { ROLES } = require('../../src/config/roles');
+const { ERROR_CODES } = require('../../src/errors');
+
+const staff = { id: 2, role: ROLES.STAFF };
+const categories = [
+  { id: 1, name: 'Clothing', slug: 'clothing', parentId: null },
+  { id: 2, name: 'Shirts', slug: 'shirts', parentId: 1 }
+];
+
+describe('categories', () => {
+  let app;
+
+  beforeEach(() => {
+    app = createTestApp();
+    stubPrisma({ category: { findMany: async () => categories } });
+  });
+
+  it('lists the tree with item counts that include subcategories', async () => {
+    stubPrisma({
+      category: { findMany: async () => categories },
+      item: { groupBy: async () => [{ categoryId: 1, _count: { _all: 2 } }, { categoryId: 2, _count: { _all: 3 } }] }
+    });
+
+    const res = await request(app).get('/api/categories');
+
+    assert.equal(res.status, 200);
+    const [clothing] = res.body.categories;
+    assert.deepEqual([clothing.slug, clothing.itemCount, clothing.totalItemCount], ['clothing', 2, 5]);
+    assert.deepEqual(clothing.children.map((child) => child.slug), ['shirts']);
+  });
+
+  it('lets only staff change categories', async () => {
+    const res = await request(app).post('/api/categories').set('Authorization', bearer()).send({ name: 'Shoes' });
+    assertProblem(res, 403, ERROR_CODES.FORBIDDEN);
+  });
+
+  it('derives the slug from the name', async () => {
+    let created;
+    stubPrisma({
+      category: {
+        create: async ({ data }) => {
+          created = data;
+          return { id: 3, ...data };
+        }
+      }
+    });
+
+    const res = await request(app).post('/api/categories').set('Authorization', bearer(staff)).send({ name: 'Home & Garden' });
+
+    assert.equal(res.status, 201);
+    assert.deepEqual(created, { name: 'Home & Garden', slug: 'home-garden', parentId: null });
+  });
+
+  it('rejects malformed slugs and reports taken ones', async () => {
+    const taken = Object.assign(new Error('Unique constraint failed'), {
+      name: 'PrismaClientKnownRequestError',
+      code: 'P2002',
+      meta: { target: ['slug'] }
+    });
+    stubPrisma({ category: { create: async () => { throw taken; } } });
+    const create = (body) => request(app).post('/api/categories').set('Authorization', bearer(staff)).send(body);
+
+    assertProblem(await create({ name: 'Shoes', slug: 'shoes & boots' }), 400, ERROR_CODES.VALIDATION_FAILED);
+    assertProblem(await create({ name: 'Shirts' }), 409, ERROR_CODES.ALREADY_EXISTS);
+  });
+
+  it('will not merge a category into its own subcategory', async () => {
+    const res = await request(app).post('/api/categories/1/merge').set('Authorization', bearer(staff)).send({ intoId: 2 });
+    assertProblem(res, 400, ERROR_CODES.VALIDATION_FAILED);
+  });
+});
@@ -0,0 +1,79 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { stubPrisma, createTestApp, bearer, assertProblem } = require('../helpers/app');
+const { ROLES } = require('../../src/config/roles');
+const { COUPON_TYPE } = require('../../src/services/couponService');
+const { ERROR_CODES } = require('../../src/errors');
+
+const admin = { id: 3, role: ROLES.ADMIN };
+const coupon = {
+  id: 1,
+  code: 'SPRING10',
+  description: null,
+  type: COUPON_TYPE.PERCENT,
+  value: 10,
+  active: true,
+  startsAt: null,
+  endsAt: null,
+  minOrderTotal: null,
+  maxRedemptions: null,
+  perUserLimit: 1,
+  items: [],
+  categories: []
+};
+
+describe('coupons', () => {
+  let app;
+
+  beforeEach(() => {
+    app = createTestApp();
+    stubPrisma();
+  });
+
+  it('are managed by admins only', async () => {
+    const res = await request(app).get('/api/coupons').set('Authorization', bearer({ id: 2, role: ROLES.STAFF }));
+    assertProblem(res, 403, ERROR_CODES.FORBIDDEN);
+  });
+
+  it('cannot take more than 100% off', async () => {
+    const res = await request(app)
+      .post('/api/coupons')
+      .set('Authorization', bearer(admin))
+      .send({ code: 'half', type: COUPON_TYPE.PERCENT, value: 150 });
+    assertProblem(res, 400, ERROR_CODES.VALIDATION_FAILED);
+  });
+});
+
+describe('POST /api/pricing/quote', () => {
+  let app;
+  let redemptions;
+
+  beforeEach(() => {
+    app = createTestApp();
+    redemptions = 0;
+    stubPrisma({
+      item: { findMany: async () => [{ id: 1, name: 'Classic T-Shirt', cost: 19.99, categoryId: null, variants: [] }] },
+      coupon: { findUnique: async ({ where }) => (where.code === coupon.code ? coupon : null) },
+      couponRedemption: { count: async () => redemptions }
+    });
+  });
+
+  const quote = (body) => request(app).post('/api/pricing/quote').set('Authorization', bearer()).send(body);
+
+  it('applies the coupon to each line', async () => {
+    const res = await quote({ items: [{ itemId: 1, quantity: 2 }], couponCode: 'spring10' });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual([res.body.subtotal, res.body.discount, res.body.total], [39.98, 4, 35.98]);
+    assert.equal(res.body.lines[0].total, 35.98);
+    assert.equal(res.body.coupon.code, 'SPRING10');
+  });
+
+  it('rejects unknown and used up coupons', async () => {
+    assertProblem(await quote({ items: [{ itemId: 1, quantity: 1 }], couponCode: 'NOPE' }), 400, ERROR_CODES.INVALID_COUPON);
+
+    redemptions = 1;
+    assertProblem(await quote({ items: [{ itemId: 1, quantity: 1 }], couponCode: 'SPRING10' }), 400, ERROR_CODES.INVALID_COUPON);
+  });
+});
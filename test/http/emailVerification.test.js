@@ -0,0 +1,88 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { stubPrisma, createTestApp, assertProblem } = require('../helpers/app');
+const config = require('../../src/config/config');
+const { createApp } = require('../../src/app');
+const { hashToken } = require('../../src/services/tokenService');
+const { ERROR_CODES } = require('../../src/errors');
+
+describe('email verification', () => {
+  let app;
+
+  beforeEach(() => {
+    app = createTestApp();
+    stubPrisma();
+  });
+
+  it('stores only a hash of the token it emails on registration', async () => {
+    let stored;
+    stubPrisma({
+      user: {
+        findUnique: async () => null,
+        create: async ({ data }) => ({ id: 7, role: 'customer', ...data })
+      },
+      emailVerificationToken: {
+        create: async ({ data }) => {
+          stored = data;
+        }
+      }
+    });
+
+    const res = await request(app).post('/api/auth/register').send({
+      email: 'sam@example.com',
+      password: 'Str0ng!Pass',
+      firstName: 'Sam',
+      lastName: 'Lee',
+      age: 30,
+      gender: 'other'
+    });
+
+    assert.equal(res.status, 201);
+    assert.equal(res.body.data.user.password, undefined);
+    assert.equal(stored.userId, 7);
+    assert.match(stored.tokenHash, /^[0-9a-f]{64}$/);
+    assert.ok(stored.expiresAt > new Date());
+  });
+
+  it('verifies the address and deletes the outstanding tokens', async () => {
+    const writes = [];
+    stubPrisma({
+      emailVerificationToken: {
+        findUnique: async ({ where }) => (where.tokenHash === hashToken('emailed-token')
+          ? { userId: 7, expiresAt: new Date(Date.now() + 60000) }
+          : null),
+        deleteMany: async ({ where }) => writes.push(['deleteMany', where])
+      },
+      user: { updateMany: async ({ where }) => writes.push(['updateMany', where]) },
+      $transaction: (operations) => Promise.all(operations)
+    });
+
+    assertProblem(await request(app).get('/api/auth/verify-email?token=guess'), 400, ERROR_CODES.INVALID_TOKEN);
+    assert.equal((await request(app).get('/api/auth/verify-email?token=emailed-token')).status, 200);
+    assert.deepEqual(writes, [['updateMany', { id: 7, emailVerifiedAt: null }], ['deleteMany', { userId: 7 }]]);
+  });
+
+  it('answers resend requests the same way whether or not the email is registered', async () => {
+    stubPrisma({ user: { findUnique: async () => null } });
+
+    const res = await request(app).post('/api/auth/resend-verification').send({ email: 'nobody@example.com' });
+
+    assert.equal(res.status, 200);
+    assert.match(res.body.message, /^If this email needs verifying/);
+  });
+});
+
+describe('mail transport at startup', () => {
+  const production = (transport) => ({
+    ...config,
+    server: { ...config.server, env: 'production' },
+    mail: { ...config.mail, transport }
+  });
+
+  it('refuses to start in production without a transport or with the console one', () => {
+    assert.throws(() => createApp(production(undefined)), /MAIL_TRANSPORT must be set/);
+    assert.throws(() => createApp(production('console')), /would log reset and verification tokens/);
+    assert.doesNotThrow(() => createApp({ ...production('file'), rateLimit: { store: 'memory' } }));
+  });
+});
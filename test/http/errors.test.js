@@ -0,0 +1,63 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { stubPrisma, createTestApp, bearer, captureLogs, assertProblem } = require('../helpers/app');
+const config = require('../../src/config/config');
+const { ERROR_CODES } = require('../../src/errors');
+
+describe('error responses', () => {
+  it('are problem documents, for unknown routes too', async () => {
+    const res = await request(createTestApp()).get('/api/nowhere');
+
+    assertProblem(res, 404, ERROR_CODES.ROUTE_NOT_FOUND);
+    assert.equal(res.body.type, 'about:blank');
+    assert.equal(res.body.title, 'Not Found');
+    assert.equal(res.body.instance, '/api/nowhere');
+    assert.ok(res.body.requestId);
+  });
+
+  it('report malformed JSON', async () => {
+    const res = await request(createTestApp())
+      .post('/api/auth/login')
+      .set('Content-Type', 'application/json')
+      .send('{"email":');
+
+    assertProblem(res, 400, ERROR_CODES.MALFORMED_REQUEST);
+  });
+
+  it('list each invalid field', async () => {
+    const res = await request(createTestApp()).post('/api/cart/items').set('Authorization', bearer()).send({ quantity: 0 });
+
+    assertProblem(res, 400, ERROR_CODES.VALIDATION_FAILED);
+    assert.deepEqual(res.body.errors.map((error) => error.field).sort(), ['itemId', 'quantity']);
+  });
+
+  it('translate database constraint errors', async () => {
+    stubPrisma({
+      cartItem: {
+        updateMany: async () => {
+          throw Object.assign(new Error('Foreign key constraint failed'), { name: 'PrismaClientKnownRequestError', code: 'P2003' });
+        }
+      }
+    });
+
+    const res = await request(createTestApp()).patch('/api/cart/items/1').set('Authorization', bearer()).send({ quantity: 2 });
+    assertProblem(res, 409, ERROR_CODES.CONFLICT);
+  });
+
+  it('hide unexpected errors in production', async () => {
+    stubPrisma({ category: { findMany: async () => { throw new Error('database file is locked'); } } });
+    const app = createTestApp({
+      server: { ...config.server, env: 'production' },
+      mail: { ...config.mail, transport: 'file' }
+    });
+
+    let res;
+    await captureLogs(async () => {
+      res = await request(app).get('/api/categories');
+    });
+
+    assertProblem(res, 500, ERROR_CODES.INTERNAL_ERROR);
+    assert.equal(res.body.detail, 'An unexpected error occurred');
+  });
+});
@@ -0,0 +1,45 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { stubPrisma, createTestApp, assertProblem } = require('../helpers/app');
+const { encodeCursor, decodeCursor } = require('../../src/utils/cursor');
+const { ERROR_CODES } = require('../../src/errors');
+
+const rows = [5, 6, 7].map((id) => ({ id, name: `Item ${id}`, category: null, cost: id * 10, thumbnailUrl: null, createdAt: new Date() }));
+
+describe('GET /api/items with a cursor', () => {
+  let app;
+  let query;
+
+  beforeEach(() => {
+    app = createTestApp();
+    stubPrisma({
+      item: {
+        findMany: async (args) => {
+          query = args;
+          return rows.slice(0, args.take);
+        }
+      },
+      review: { groupBy: async () => [] }
+    });
+  });
+
+  it('continues after the cursor and returns the next one', async () => {
+    const cursor = encodeCursor({ sort: 'cost', value: 40, id: 4 });
+    const res = await request(app).get(`/api/items?sort=cost&limit=2&cursor=${cursor}`);
+
+    assert.equal(res.status, 200);
+    assert.equal(query.take, 3);
+    assert.deepEqual(query.where.AND, [{ OR: [{ cost: { gt: 40 } }, { cost: 40, id: { gt: 4 } }] }]);
+    assert.deepEqual(res.body.items.map((item) => item.id), [5, 6]);
+    assert.deepEqual(decodeCursor(res.body.pagination.nextCursor), { sort: 'cost', value: 60, id: 6 });
+  });
+
+  it('rejects malformed cursors, cursors for another sort and cursors combined with page', async () => {
+    const cursor = encodeCursor({ sort: null, value: null, id: 4 });
+
+    assertProblem(await request(app).get('/api/items?cursor=garbage'), 400, ERROR_CODES.VALIDATION_FAILED);
+    assertProblem(await request(app).get(`/api/items?sort=name&cursor=${cursor}`), 400, ERROR_CODES.VALIDATION_FAILED);
+    assertProblem(await request(app).get(`/api/items?page=2&cursor=${cursor}`), 400, ERROR_CODES.VALIDATION_FAILED);
+  });
+});
@@ -0,0 +1,49 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { stubPrisma, createTestApp, assertProblem } = require('../helpers/app');
+const { ERROR_CODES } = require('../../src/errors');
+
+describe('GET /api/items', () => {
+  let app;
+  let query;
+
+  beforeEach(() => {
+    app = createTestApp();
+    stubPrisma({
+      item: {
+        findMany: async (args) => {
+          query = args;
+          return [{ id: 4, name: 'Denim Jacket', category: 'Clothing', cost: 60, thumbnailUrl: null, createdAt: new Date() }];
+        },
+        count: async () => 1
+      },
+      review: { groupBy: async () => [] }
+    });
+  });
+
+  it('turns filters and the sort into the database query', async () => {
+    const res = await request(app).get('/api/items?minCost=10&maxCost=80&color=blue&inStock=true&sort=-cost');
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(query.where.cost, { gte: 10, lte: 80 });
+    assert.deepEqual(query.where.variants, { some: { stock: { gt: 0 } } });
+    assert.deepEqual(query.where.AND[0].OR[0], { color: { in: ['blue', 'BLUE', 'Blue'] } });
+    assert.deepEqual(query.orderBy, [{ cost: 'desc' }, { id: 'asc' }]);
+    assert.deepEqual(res.body.items[0], {
+      id: 4,
+      name: 'Denim Jacket',
+      category: 'Clothing',
+      cost: 60,
+      thumbnailUrl: null,
+      createdAt: res.body.items[0].createdAt,
+      averageRating: null,
+      reviewCount: 0
+    });
+  });
+
+  it('rejects inverted ranges and unknown sort fields', async () => {
+    assertProblem(await request(app).get('/api/items?minCost=50&maxCost=10'), 400, ERROR_CODES.VALIDATION_FAILED);
+    assertProblem(await request(app).get('/api/items?sort=price'), 400, ERROR_CODES.VALIDATION_FAILED);
+  });
+});
@@ -0,0 +1,68 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { stubPrisma, createTestApp, bearer, assertProblem } = require('../helpers/app');
+const { ROLES } = require('../../src/config/roles');
+const { ERROR_CODES } = require('../../src/errors');
+
+const staff = { id: 2, role: ROLES.STAFF };
+const newItem = {
+  name: 'Denim Jacket',
+  description: 'Washed denim',
+  cost: 60,
+  category: 'Clothing',
+  thumbnailUrl: 'https://example.com/jacket-thumb.jpg',
+  imageUrl: 'https://example.com/jacket.jpg'
+};
+
+describe('item management', () => {
+  let app;
+
+  beforeEach(() => {
+    app = createTestApp();
+    stubPrisma();
+  });
+
+  it('requires a token', async () => {
+    const res = await request(app).post('/api/items').send(newItem);
+    assertProblem(res, 401, ERROR_CODES.AUTHENTICATION_REQUIRED);
+  });
+
+  it('is closed to customers', async () => {
+    const res = await request(app).post('/api/items').set('Authorization', bearer()).send(newItem);
+    assertProblem(res, 403, ERROR_CODES.FORBIDDEN);
+  });
+
+  it('creates an item in a known category', async () => {
+    let created;
+    stubPrisma({
+      category: { findMany: async () => [{ id: 3, name: 'Clothing', slug: 'clothing' }] },
+      item: {
+        create: async ({ data }) => {
+          created = data;
+          return { id: 7, ...data };
+        }
+      }
+    });
+
+    const res = await request(app).post('/api/items').set('Authorization', bearer(staff)).send(newItem);
+
+    assert.equal(res.status, 201);
+    assert.equal(res.body.id, 7);
+    assert.equal(created.categoryId, 3);
+  });
+
+  it('rejects an unknown category', async () => {
+    stubPrisma({ category: { findMany: async () => [] } });
+
+    const res = await request(app).post('/api/items').set('Authorization', bearer(staff)).send(newItem);
+    assertProblem(res, 400, ERROR_CODES.VALIDATION_FAILED);
+  });
+
+  it('rejects invalid ids and reports missing items', async () => {
+    stubPrisma({ item: { updateMany: async () => ({ count: 0 }) } });
+
+    assertProblem(await request(app).delete('/api/items/abc').set('Authorization', bearer(staff)), 400, ERROR_CODES.VALIDATION_FAILED);
+    assertProblem(await request(app).delete('/api/items/99').set('Authorization', bearer(staff)), 404, ERROR_CODES.NOT_FOUND);
+  });
+});
@@ -0,0 +1,74 @@
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcrypt');
+const request = require('supertest');
+const { stubPrisma, createTestApp, assertProblem } = require('../helpers/app');
+const { LOGIN_ATTEMPTS_RESET } = require('../../src/services/loginThrottle');
+const { ERROR_CODES } = require('../../src/errors');
+
+describe('POST /api/auth/login', () => {
+  let app;
+  let passwordHash;
+  let account;
+  let counted;
+
+  before(async () => {
+    passwordHash = await bcrypt.hash('correct horse', 4);
+  });
+
+  beforeEach(() => {
+    app = createTestApp();
+    account = { id: 1, email: 'customer@example.com', password: passwordHash, ...LOGIN_ATTEMPTS_RESET };
+    counted = [];
+    const count = (model) => async ({ data }) => {
+      counted.push([model, data.failedLoginAttempts]);
+      return { count: 1 };
+    };
+    stubPrisma({
+      user: {
+        findUnique: async ({ where }) => (where.email === account.email ? account : null),
+        updateMany: count('user')
+      },
+      unknownLoginEmail: {
+        deleteMany: async () => ({ count: 0 }),
+        findUnique: async () => null,
+        create: count('unknownLoginEmail')
+      }
+    });
+  });
+
+  const login = (email, password) => request(app).post('/api/auth/login').send({ email, password });
+
+  it('counts a wrong password against the account', async () => {
+    assertProblem(await login(account.email, 'wrong'), 401, ERROR_CODES.INVALID_CREDENTIALS);
+    assert.deepEqual(counted, [['user', 1]]);
+  });
+
+  it('counts unknown emails too, and answers as for a wrong password', async () => {
+    const wrongPassword = await login(account.email, 'wrong');
+    const unknownEmail = await login('nobody@example.com', 'wrong');
+
+    assertProblem(unknownEmail, 401, ERROR_CODES.INVALID_CREDENTIALS);
+    assert.equal(unknownEmail.body.detail, wrongPassword.body.detail);
+    assert.deepEqual(counted[1], ['unknownLoginEmail', 1]);
+  });
+
+  it('checks a password for unknown emails too, so both take as long', async (t) => {
+    const compare = t.mock.method(bcrypt, 'compare');
+
+    assertProblem(await login('nobody@example.com', 'wrong'), 401, ERROR_CODES.INVALID_CREDENTIALS);
+    assert.equal(compare.mock.callCount(), 1);
+    assert.equal(compare.mock.calls[0].arguments[0], 'wrong');
+  });
+
+  it('turns attempts away during the delay without checking the password', async () => {
+    account.failedLoginAttempts = 2;
+    account.lastFailedLoginAt = new Date();
+
+    const res = await login(account.email, 'correct horse');
+
+    assertProblem(res, 429, ERROR_CODES.LOGIN_THROTTLED);
+    assert.ok(Number(res.headers['retry-after']) > 0);
+    assert.deepEqual(counted, []);
+  });
+});
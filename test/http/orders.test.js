@@ -0,0 +1,73 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { stubPrisma, createTestApp, bearer, assertProblem } = require('../helpers/app');
+const { ROLES } = require('../../src/config/roles');
+const { ORDER_STATUS } = require('../../src/services/orderStatus');
+const { ERROR_CODES } = require('../../src/errors');
+
+describe('orders', () => {
+  let app;
+
+  beforeEach(() => {
+    app = createTestApp();
+    stubPrisma();
+  });
+
+  it('requires a token', async () => {
+    assertProblem(await request(app).get('/api/orders'), 401, ERROR_CODES.AUTHENTICATION_REQUIRED);
+  });
+
+  it('names the items that can no longer be ordered', async () => {
+    stubPrisma({ item: { findMany: async () => [] } });
+
+    const res = await request(app).post('/api/orders').set('Authorization', bearer()).send({ items: [{ itemId: 4, quantity: 1 }] });
+
+    assertProblem(res, 400, ERROR_CODES.ITEMS_UNAVAILABLE);
+    assert.deepEqual(res.body.missingItemIds, [4]);
+  });
+
+  it('pages through the user\'s own orders', async () => {
+    let query;
+    stubPrisma({
+      order: {
+        findMany: async (args) => {
+          query = args;
+          return [];
+        },
+        count: async () => 45
+      }
+    });
+
+    const res = await request(app).get('/api/orders?page=3&limit=20').set('Authorization', bearer());
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.pagination, { total: 45, page: 3, limit: 20, totalPages: 3 });
+    assert.deepEqual([query.where, query.skip, query.take], [{ userId: 1 }, 40, 20]);
+  });
+
+  it('caps the page size', async () => {
+    const res = await request(app).get('/api/orders?limit=500').set('Authorization', bearer());
+    assertProblem(res, 400, ERROR_CODES.VALIDATION_FAILED);
+  });
+
+  it('hides other users\' orders', async () => {
+    stubPrisma({ order: { findFirst: async () => null } });
+    assertProblem(await request(app).get('/api/orders/8').set('Authorization', bearer()), 404, ERROR_CODES.NOT_FOUND);
+    assertProblem(await request(app).get('/api/orders/abc').set('Authorization', bearer()), 400, ERROR_CODES.VALIDATION_FAILED);
+  });
+
+  it('refuses transitions the lifecycle does not allow', async () => {
+    stubPrisma({ order: { findFirst: async () => ({ id: 8, userId: 1, status: ORDER_STATUS.SHIPPED }) } });
+
+    const res = await request(app).post('/api/orders/8/cancel').set('Authorization', bearer());
+    assertProblem(res, 409, ERROR_CODES.INVALID_STATE);
+  });
+
+  it('only lets staff set the status', async () => {
+    const send = (user, status) => request(app).patch('/api/orders/8/status').set('Authorization', bearer(user)).send({ status });
+
+    assertProblem(await send(undefined, ORDER_STATUS.SHIPPED), 403, ERROR_CODES.FORBIDDEN);
+    assertProblem(await send({ id: 2, role: ROLES.STAFF }, 'lost'), 400, ERROR_CODES.VALIDATION_FAILED);
+  });
+});
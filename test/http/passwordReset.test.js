@@ -0,0 +1,73 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { stubPrisma, createTestApp, assertProblem } = require('../helpers/app');
+const { hashToken } = require('../../src/services/tokenService');
+const { ERROR_CODES } = require('../../src/errors');
+
+const user = { id: 7, email: 'sam@example.com', firstName: 'Sam', emailVerifiedAt: null, deletedAt: null };
+const resetToken = (fields = {}) => ({ id: 4, userId: 7, usedAt: null, expiresAt: new Date(Date.now() + 60000), user, ...fields });
+
+describe('password reset', () => {
+  let app;
+
+  beforeEach(() => {
+    app = createTestApp();
+    stubPrisma();
+  });
+
+  it('stores only a hash of the emailed token', async () => {
+    let stored;
+    stubPrisma({
+      user: { findUnique: async () => user },
+      passwordResetToken: {
+        create: async ({ data }) => {
+          stored = data;
+        }
+      }
+    });
+
+    const res = await request(app).post('/api/auth/forgot-password').send({ email: user.email });
+
+    assert.equal(res.status, 200);
+    assert.match(stored.tokenHash, /^[0-9a-f]{64}$/);
+  });
+
+  it('rejects used, expired and unknown tokens', async () => {
+    const tokens = {
+      [hashToken('used')]: resetToken({ usedAt: new Date() }),
+      [hashToken('expired')]: resetToken({ expiresAt: new Date(Date.now() - 1000) })
+    };
+    stubPrisma({ passwordResetToken: { findUnique: async ({ where }) => tokens[where.tokenHash] || null } });
+
+    for (const token of ['used', 'expired', 'unknown']) {
+      const res = await request(app).post('/api/auth/reset-password').send({ token, newPassword: 'N3w!Passw0rd' });
+      assertProblem(res, 400, ERROR_CODES.INVALID_TOKEN);
+    }
+  });
+
+  it('uses a token once, even when a second reset already looked it up', async () => {
+    let claimed = false;
+    const tx = {
+      passwordResetToken: {
+        updateMany: async ({ where }) => {
+          if (where.id && claimed) {
+            return { count: 0 };
+          }
+          claimed = true;
+          return { count: 1 };
+        }
+      },
+      user: { update: async () => user },
+      refreshToken: { updateMany: async () => ({ count: 0 }) }
+    };
+    stubPrisma({
+      passwordResetToken: { findUnique: async () => resetToken() },
+      $transaction: async (callback) => callback(tx)
+    });
+    const reset = () => request(app).post('/api/auth/reset-password').send({ token: 'emailed', newPassword: 'N3w!Passw0rd' });
+
+    assert.equal((await reset()).status, 200);
+    assertProblem(await reset(), 400, ERROR_CODES.INVALID_TOKEN);
+  });
+});
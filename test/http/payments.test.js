@@ -0,0 +1,85 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { stubPrisma, createTestApp, bearer, assertProblem } = require('../helpers/app');
+const config = require('../../src/config/config');
+const { ROLES } = require('../../src/config/roles');
+const { PAYMENT_STATUS } = require('../../src/services/paymentStatus');
+const { signPayload } = require('../../src/utils/webhookSignature');
+const { ERROR_CODES } = require('../../src/errors');
+
+const staff = { id: 2, role: ROLES.STAFF };
+const payment = { id: 6, userId: 1, provider: 'mock', providerPaymentId: 'pi_1', status: PAYMENT_STATUS.SUCCEEDED, amount: 20, refundedAmount: 0 };
+
+describe('payments', () => {
+  let app;
+
+  beforeEach(() => {
+    app = createTestApp();
+    stubPrisma();
+  });
+
+  it('shows customers only their own payments, and staff any payment', async () => {
+    const queries = [];
+    stubPrisma({
+      payment: {
+        findFirst: async ({ where }) => {
+          queries.push(where);
+          return payment;
+        }
+      }
+    });
+
+    assert.equal((await request(app).get('/api/payments/6').set('Authorization', bearer())).status, 200);
+    assert.equal((await request(app).get('/api/payments/6').set('Authorization', bearer(staff))).status, 200);
+    assert.deepEqual(queries, [{ id: 6, userId: 1 }, { id: 6 }]);
+  });
+
+  it('only confirms pending payments', async () => {
+    stubPrisma({ payment: { findFirst: async () => payment } });
+
+    const res = await request(app).post('/api/payments/6/confirm').set('Authorization', bearer()).send({ paymentMethod: 'pm_card_visa' });
+    assertProblem(res, 409, ERROR_CODES.INVALID_STATE);
+  });
+
+  it('lets only admins refund', async () => {
+    const res = await request(app).post('/api/payments/6/refund').set('Authorization', bearer(staff)).send({});
+    assertProblem(res, 403, ERROR_CODES.FORBIDDEN);
+  });
+});
+
+describe('POST /api/payments/webhook', () => {
+  let app;
+  const event = JSON.stringify({ id: 'evt_1', type: 'payment.succeeded', data: { paymentIntentId: 'pi_1' } });
+  const deliver = (signature) => request(app)
+    .post('/api/payments/webhook')
+    .set('Content-Type', 'application/json')
+    .set('X-Payment-Signature', signature)
+    .send(event);
+
+  beforeEach(() => {
+    app = createTestApp();
+    stubPrisma();
+  });
+
+  it('rejects deliveries that are not signed with the webhook secret', async () => {
+    assertProblem(await deliver(signPayload(event, 'another-secret')), 400, ERROR_CODES.INVALID_WEBHOOK_SIGNATURE);
+  });
+
+  it('acknowledges an event it has already processed', async () => {
+    const tx = {
+      payment: { findUnique: async () => payment },
+      paymentEvent: {
+        create: async () => {
+          throw Object.assign(new Error('Unique constraint failed'), { name: 'PrismaClientKnownRequestError', code: 'P2002' });
+        }
+      }
+    };
+    stubPrisma({ $transaction: async (callback) => callback(tx) });
+
+    const res = await deliver(signPayload(event, config.payments.webhookSecret));
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, { received: true, result: 'duplicate' });
+  });
+});
@@ -0,0 +1,39 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { stubPrisma, createTestApp, assertProblem } = require('../helpers/app');
+const { ERROR_CODES } = require('../../src/errors');
+
+describe('rate limits', () => {
+  let app;
+
+  beforeEach(() => {
+    app = createTestApp();
+    stubPrisma({
+      category: { findMany: async () => [] },
+      item: { groupBy: async () => [] }
+    });
+  });
+
+  // Invalid, so nothing is registered, but still counted against the email policy
+  const register = (target) => request(target).post('/api/auth/register').send({});
+
+  it('limits the endpoints that send email per IP', async () => {
+    for (let i = 0; i < 5; i += 1) {
+      assert.equal((await register(app)).status, 400);
+    }
+
+    const res = await register(app);
+    assertProblem(res, 429, ERROR_CODES.RATE_LIMITED);
+    assert.equal(res.headers['ratelimit-limit'], '5');
+  });
+
+  it('counts each request against one policy only, per app', async () => {
+    for (let i = 0; i < 6; i += 1) {
+      await register(app);
+    }
+
+    assert.equal((await request(app).get('/api/categories')).status, 200);
+    assert.equal((await register(createTestApp())).status, 400);
+  });
+});
@@ -0,0 +1,74 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { stubPrisma, createTestApp, assertProblem } = require('../helpers/app');
+const { hashToken } = require('../../src/services/tokenService');
+const { ERROR_CODES } = require('../../src/errors');
+
+const user = { id: 1, email: 'customer@example.com', role: 'customer', lockedAt: null };
+
+// Refresh tokens in memory, with the lookups and conditional updates rotation relies on
+const tokenTable = () => {
+  const rows = [];
+  const byId = (id) => rows.find((row) => row.id === id);
+
+  return {
+    rows,
+    findUnique: async ({ where }) => {
+      const row = rows.find((candidate) => candidate.tokenHash === where.tokenHash);
+      return row ? { ...row, user } : null;
+    },
+    create: async ({ data }) => {
+      const row = { id: rows.length + 1, revokedAt: null, replacedByToken: null, ...data };
+      rows.push(row);
+      return row;
+    },
+    update: async ({ where, data }) => Object.assign(byId(where.id), data),
+    updateMany: async ({ where, data }) => {
+      const row = byId(where.id);
+      if (!row || (where.revokedAt === null && row.revokedAt)) {
+        return { count: 0 };
+      }
+      Object.assign(row, data);
+      return { count: 1 };
+    }
+  };
+};
+
+describe('POST /api/auth/refresh-token', () => {
+  let app;
+  let refreshToken;
+
+  beforeEach(async () => {
+    app = createTestApp();
+    refreshToken = tokenTable();
+    stubPrisma({ refreshToken, $transaction: async (callback) => callback({ refreshToken }) });
+    await refreshToken.create({ data: { tokenHash: hashToken('first'), userId: 1, expiresAt: new Date(Date.now() + 60000) } });
+  });
+
+  const refresh = (token) => request(app).post('/api/auth/refresh-token').send({ refreshToken: token });
+
+  it('rotates the token', async () => {
+    const res = await refresh('first');
+
+    assert.equal(res.status, 200);
+    assert.ok(res.body.accessToken);
+    const [first, second] = refreshToken.rows;
+    assert.ok(first.revokedAt);
+    assert.equal(first.replacedByToken, hashToken(res.body.refreshToken));
+    assert.equal(second.revokedAt, null);
+  });
+
+  it('revokes the newer tokens when a rotated token comes back', async () => {
+    const rotated = await refresh('first');
+    assert.equal((await refresh(rotated.body.refreshToken)).status, 200);
+
+    assertProblem(await refresh('first'), 401, ERROR_CODES.INVALID_TOKEN);
+    assert.ok(refreshToken.rows.every((row) => row.revokedAt));
+    assert.equal(refreshToken.rows[2].reasonRevoked, 'Attempted reuse of rotated token');
+  });
+
+  it('rejects unknown tokens', async () => {
+    assertProblem(await refresh('guess'), 401, ERROR_CODES.INVALID_TOKEN);
+  });
+});
@@ -0,0 +1,41 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { stubPrisma, createTestApp, captureLogs } = require('../helpers/app');
+
+describe('request ids and logging', () => {
+  stubPrisma({ category: { findMany: async () => [] }, item: { groupBy: async () => [] } });
+  const app = createTestApp();
+
+  it('echoes a client\'s request id, and replaces ones that do not look like ids', async () => {
+    const kept = await request(app).get('/api/categories').set('X-Request-Id', 'edge-42.a:b');
+    assert.equal(kept.headers['x-request-id'], 'edge-42.a:b');
+
+    const replaced = await request(app).get('/api/categories').set('X-Request-Id', 'bad id "x" {}');
+    assert.match(replaced.headers['x-request-id'], /^[0-9a-f-]{36}$/);
+  });
+
+  it('logs failed requests with their id and without secrets', async () => {
+    stubPrisma({ user: { findUnique: async () => { throw new Error('database file is locked'); } } });
+
+    let res;
+    const entries = await captureLogs(async (captured) => {
+      res = await request(app).post('/api/auth/login').send({ email: 'sam@example.com', password: 'hunter2' });
+      // The access log is written once the connection has closed, which can be after the client is done
+      for (let i = 0; i < 100 && !captured.some((entry) => entry.msg === 'Request completed'); i += 1) {
+        await new Promise((resolve) => setImmediate(resolve));
+      }
+    });
+
+    const requestId = res.headers['x-request-id'];
+    assert.equal(res.body.requestId, requestId);
+
+    const failed = entries.find((entry) => entry.msg === 'Request failed');
+    assert.equal(failed.requestId, requestId);
+    assert.equal(failed.error.message, 'database file is locked');
+
+    const completed = entries.find((entry) => entry.msg === 'Request completed');
+    assert.equal(completed.status, 500);
+    assert.deepEqual(completed.body, { email: 'sam@example.com', password: '[REDACTED]' });
+  });
+});
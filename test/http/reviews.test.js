@@ -0,0 +1,72 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { stubPrisma, createTestApp, bearer, assertProblem } = require('../helpers/app');
+const { ROLES } = require('../../src/config/roles');
+const { ERROR_CODES } = require('../../src/errors');
+
+const review = { id: 9, itemId: 4, userId: 1, rating: 4, body: 'Fits well', hiddenAt: null, user: { firstName: 'Ada', lastName: 'Lovelace' } };
+
+describe('reviews', () => {
+  let app;
+
+  beforeEach(() => {
+    app = createTestApp();
+    stubPrisma({ item: { findFirst: async () => ({ id: 4 }) } });
+  });
+
+  it('lists visible reviews with the rating summary', async () => {
+    stubPrisma({
+      item: { findFirst: async () => ({ id: 4 }) },
+      review: {
+        findMany: async ({ where }) => {
+          assert.deepEqual(where, { itemId: 4, hiddenAt: null });
+          return [review];
+        },
+        groupBy: async () => [{ itemId: 4, _avg: { rating: 4.25 }, _count: { _all: 4 } }]
+      }
+    });
+
+    const res = await request(app).get('/api/items/4/reviews');
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.reviews[0].author, 'Ada L.');
+    assert.equal(res.body.reviews[0].user, undefined);
+    assert.deepEqual([res.body.averageRating, res.body.reviewCount], [4.3, 4]);
+  });
+
+  it('requires a token and a rating from 1 to 5', async () => {
+    assertProblem(await request(app).post('/api/items/4/reviews').send({ rating: 4, body: 'Nice' }), 401, ERROR_CODES.AUTHENTICATION_REQUIRED);
+    assertProblem(
+      await request(app).post('/api/items/4/reviews').set('Authorization', bearer()).send({ rating: 6, body: 'Nice' }),
+      400,
+      ERROR_CODES.VALIDATION_FAILED
+    );
+  });
+
+  it('reports a second review of the same item as a conflict', async () => {
+    stubPrisma({
+      item: { findFirst: async () => ({ id: 4 }) },
+      review: {
+        create: async () => {
+          throw Object.assign(new Error('Unique constraint failed'), {
+            name: 'PrismaClientKnownRequestError',
+            code: 'P2002',
+            meta: { target: ['userId', 'itemId'] }
+          });
+        }
+      }
+    });
+
+    const res = await request(app).post('/api/items/4/reviews').set('Authorization', bearer()).send({ rating: 4, body: 'Nice' });
+    assertProblem(res, 409, ERROR_CODES.ALREADY_EXISTS);
+  });
+
+  it('lets only moderators hide reviews', async () => {
+    const hide = (user) => request(app).patch('/api/items/4/reviews/9/visibility').set('Authorization', bearer(user)).send({ hidden: true });
+    stubPrisma({ review: { updateMany: async () => ({ count: 0 }) } });
+
+    assertProblem(await hide(), 403, ERROR_CODES.FORBIDDEN);
+    assertProblem(await hide({ id: 2, role: ROLES.STAFF }), 404, ERROR_CODES.NOT_FOUND);
+  });
+});
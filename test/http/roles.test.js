@@ -0,0 +1,29 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { stubPrisma, createTestApp, bearer } = require('../helpers/app');
+const { ROLES } = require('../../src/config/roles');
+
+// Each request is invalid, so a role that passes the permission check gets a 400 from
+// validation instead of a 403, without reaching the database
+const guarded = [
+  { method: 'post', path: '/api/items', allowed: [ROLES.STAFF, ROLES.ADMIN] },
+  { method: 'patch', path: '/api/orders/1/status', allowed: [ROLES.STAFF, ROLES.ADMIN] },
+  { method: 'post', path: '/api/coupons', allowed: [ROLES.ADMIN] },
+  { method: 'post', path: '/api/payments/1/refund', body: { amount: -1 }, allowed: [ROLES.ADMIN] },
+  { method: 'patch', path: '/api/admin/users/1/role', allowed: [ROLES.ADMIN] }
+];
+
+describe('role permissions', () => {
+  stubPrisma();
+  const app = createTestApp();
+
+  for (const { method, path, body = {}, allowed } of guarded) {
+    it(`${method.toUpperCase()} ${path} is open to ${allowed.join(' and ')}`, async () => {
+      for (const role of [...Object.values(ROLES), 'unknown']) {
+        const res = await request(app)[method](path).set('Authorization', bearer({ id: 9, role })).send(body);
+        assert.equal(res.status, allowed.includes(role) ? 400 : 403, `${role} got ${res.status}`);
+      }
+    });
+  }
+});
@@ -0,0 +1,49 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { stubPrisma, createTestApp, bearer, assertProblem } = require('../helpers/app');
+const { ERROR_CODES } = require('../../src/errors');
+
+const catalog = [
+  { id: 1, name: 'Classic T-Shirt', category: 'Clothing', description: 'Soft cotton tee', cost: 19.99, color: 'Blue', size: 'M', deletedAt: null, variants: [] },
+  { id: 2, name: 'Running Shoes', category: 'Footwear', description: 'Lightweight trainers', cost: 89.5, color: 'Black', size: null, deletedAt: null, variants: [] }
+];
+
+describe('POST /api/items/search', () => {
+  let app;
+  let lastQuery;
+
+  beforeEach(() => {
+    app = createTestApp();
+    stubPrisma({
+      item: {
+        findMany: async (query) => {
+          lastQuery = query;
+          return catalog;
+        }
+      }
+    });
+  });
+
+  it('requires a token', async () => {
+    const res = await request(app).post('/api/items/search').send({ prompt: 'shirt' });
+    assertProblem(res, 401, ERROR_CODES.AUTHENTICATION_REQUIRED);
+  });
+
+  it('rejects a missing prompt', async () => {
+    const res = await request(app).post('/api/items/search').set('Authorization', bearer()).send({});
+    assertProblem(res, 400, ERROR_CODES.VALIDATION_FAILED);
+  });
+
+  it('ranks the catalog and narrows the query by price', async () => {
+    const res = await request(app)
+      .post('/api/items/search')
+      .set('Authorization', bearer())
+      .send({ prompt: 'blue shirt under 50' });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.results.map((item) => item.id), [1]);
+    assert.equal(res.body.results[0].variants, undefined);
+    assert.equal(lastQuery.where.cost.lte, 50);
+  });
+});
@@ -0,0 +1,59 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { stubPrisma, createTestApp, bearer, assertProblem } = require('../helpers/app');
+const { ERROR_CODES } = require('../../src/errors');
+
+describe('sessions', () => {
+  let app;
+
+  beforeEach(() => {
+    app = createTestApp();
+    stubPrisma();
+  });
+
+  it('lists the user\'s active sessions without their tokens', async () => {
+    let query;
+    stubPrisma({
+      refreshToken: {
+        findMany: async (args) => {
+          query = args;
+          return [{ id: 4, userAgent: 'curl/8.0', ip: '203.0.113.9' }];
+        }
+      }
+    });
+
+    const res = await request(app).get('/api/auth/sessions').set('Authorization', bearer());
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data[0].ip, '203.0.113.9');
+    assert.equal(query.where.userId, 1);
+    assert.equal(query.where.revokedAt, null);
+    assert.equal(query.select.tokenHash, undefined);
+  });
+
+  it('treats other users\' sessions as missing', async () => {
+    let where;
+    stubPrisma({
+      refreshToken: {
+        updateMany: async (args) => {
+          where = args.where;
+          return { count: 0 };
+        }
+      }
+    });
+
+    assertProblem(await request(app).delete('/api/auth/sessions/4').set('Authorization', bearer()), 404, ERROR_CODES.NOT_FOUND);
+    assert.deepEqual([where.id, where.userId], [4, 1]);
+    assertProblem(await request(app).delete('/api/auth/sessions/abc').set('Authorization', bearer()), 400, ERROR_CODES.VALIDATION_FAILED);
+  });
+
+  it('logs out everywhere', async () => {
+    stubPrisma({ refreshToken: { updateMany: async () => ({ count: 3 }) } });
+
+    const res = await request(app).delete('/api/auth/sessions').set('Authorization', bearer());
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.message, 'Logged out of 3 sessions');
+  });
+});
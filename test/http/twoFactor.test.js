@@ -0,0 +1,70 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { stubPrisma, createTestApp, bearer, tokenFor, assertProblem } = require('../helpers/app');
+const { generateSecret, timeStep, codeForStep } = require('../../src/utils/totp');
+const { encryptSecret, decryptSecret } = require('../../src/services/twoFactorService');
+const { ERROR_CODES } = require('../../src/errors');
+
+const account = (fields = {}) => ({ id: 1, email: 'customer@example.com', twoFactorSecret: null, twoFactorEnabledAt: null, deletedAt: null, lockedAt: null, ...fields });
+
+describe('two-factor authentication', () => {
+  let app;
+
+  beforeEach(() => {
+    app = createTestApp();
+    stubPrisma();
+  });
+
+  it('stores the new secret encrypted', async () => {
+    let saved;
+    stubPrisma({
+      user: {
+        findUnique: async () => account(),
+        update: async ({ data }) => {
+          saved = data;
+        }
+      }
+    });
+
+    const res = await request(app).post('/api/auth/2fa/setup').set('Authorization', bearer());
+
+    assert.equal(res.status, 200);
+    const { secret, otpauthUri } = res.body.data;
+    assert.notEqual(saved.twoFactorSecret, secret);
+    assert.equal(decryptSecret(saved.twoFactorSecret), secret);
+    assert.match(otpauthUri, new RegExp(`secret=${secret}`));
+  });
+
+  it('is enabled with a current code and hands out recovery codes', async () => {
+    const secret = generateSecret();
+    let recoveryCodes;
+    const tx = {
+      user: { update: async () => {} },
+      twoFactorRecoveryCode: {
+        deleteMany: async () => {},
+        createMany: async ({ data }) => {
+          recoveryCodes = data;
+        }
+      }
+    };
+    stubPrisma({
+      user: { findUnique: async () => account({ twoFactorSecret: encryptSecret(secret) }) },
+      $transaction: async (callback) => callback(tx)
+    });
+    const enable = (code) => request(app).post('/api/auth/2fa/enable').set('Authorization', bearer()).send({ code });
+
+    const wrongCode = codeForStep(secret, timeStep() - 10);
+    assertProblem(await enable(wrongCode), 400, ERROR_CODES.INVALID_CREDENTIALS);
+
+    const res = await enable(codeForStep(secret, timeStep()));
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.recoveryCodes.length, recoveryCodes.length);
+    assert.ok(recoveryCodes.every(({ codeHash }) => !res.body.data.recoveryCodes.includes(codeHash)));
+  });
+
+  it('does not take an access token as a login challenge', async () => {
+    const res = await request(app).post('/api/auth/login/2fa').send({ challengeToken: tokenFor(), code: '123456' });
+    assertProblem(res, 401, ERROR_CODES.INVALID_TOKEN);
+  });
+});
@@ -0,0 +1,61 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { stubPrisma, createTestApp, bearer, assertProblem } = require('../helpers/app');
+const { ROLES } = require('../../src/config/roles');
+const { ERROR_CODES } = require('../../src/errors');
+
+const staff = { id: 2, role: ROLES.STAFF };
+const jacket = {
+  id: 2,
+  name: 'Denim Jacket',
+  cost: 60,
+  categoryId: null,
+  variants: [{ id: 10, sku: 'JKT-S', price: 55.5 }]
+};
+
+describe('variants and stock', () => {
+  let app;
+
+  beforeEach(() => {
+    app = createTestApp();
+    stubPrisma();
+  });
+
+  it('lets only staff manage variants', async () => {
+    const res = await request(app).post('/api/items/2/variants').set('Authorization', bearer()).send({ sku: 'JKT-M' });
+    assertProblem(res, 403, ERROR_CODES.FORBIDDEN);
+  });
+
+  it('rejects zero stock adjustments', async () => {
+    const res = await request(app).post('/api/items/2/variants/10/stock').set('Authorization', bearer(staff)).send({ adjustment: 0 });
+    assertProblem(res, 400, ERROR_CODES.VALIDATION_FAILED);
+  });
+
+  it('never takes stock below zero', async () => {
+    stubPrisma({
+      itemVariant: {
+        findFirst: async () => ({ id: 10, itemId: 2, stock: 1 }),
+        updateMany: async ({ where }) => ({ count: where.stock.gte <= 1 ? 1 : 0 })
+      }
+    });
+
+    const res = await request(app).post('/api/items/2/variants/10/stock').set('Authorization', bearer(staff)).send({ adjustment: -3 });
+
+    assertProblem(res, 409, ERROR_CODES.INSUFFICIENT_STOCK);
+    assert.equal(res.body.variantId, 10);
+  });
+
+  it('only adds a variant of the item to the cart', async () => {
+    stubPrisma({ item: { findMany: async () => [jacket] } });
+    const add = (body) => request(app).post('/api/cart/items').set('Authorization', bearer()).send(body);
+
+    const withoutVariant = await add({ itemId: 2 });
+    assertProblem(withoutVariant, 400, ERROR_CODES.VALIDATION_FAILED);
+    assert.match(withoutVariant.body.detail, /requires a variantId/);
+
+    const otherVariant = await add({ itemId: 2, variantId: 11 });
+    assertProblem(otherVariant, 400, ERROR_CODES.VALIDATION_FAILED);
+    assert.match(otherVariant.body.detail, /does not belong/);
+  });
+});
@@ -0,0 +1,53 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { stubPrisma, createTestApp, bearer, assertProblem } = require('../helpers/app');
+const { ERROR_CODES } = require('../../src/errors');
+
+const entry = {
+  createdAt: new Date('2025-06-01T00:00:00Z'),
+  item: { id: 4, name: 'Denim Jacket', category: 'Clothing', cost: 60, thumbnailUrl: null, deletedAt: new Date() }
+};
+
+describe('wishlist', () => {
+  let app;
+
+  beforeEach(() => {
+    app = createTestApp();
+    stubPrisma();
+  });
+
+  it('requires a token', async () => {
+    assertProblem(await request(app).get('/api/wishlist'), 401, ERROR_CODES.AUTHENTICATION_REQUIRED);
+  });
+
+  it('adds an item once and flags removed items', async () => {
+    let upserted;
+    stubPrisma({
+      item: { findFirst: async () => ({ id: 4 }) },
+      wishlistItem: {
+        upsert: async (args) => {
+          upserted = args;
+        },
+        findMany: async () => [entry]
+      }
+    });
+
+    const res = await request(app).post('/api/wishlist').set('Authorization', bearer()).send({ itemId: 4 });
+
+    assert.equal(res.status, 201);
+    assert.deepEqual(upserted.where, { userId_itemId: { userId: 1, itemId: 4 } });
+    assert.deepEqual(res.body.items.map((item) => [item.itemId, item.available]), [[4, false]]);
+  });
+
+  it('reports unknown items and items that are not on the wishlist', async () => {
+    stubPrisma({
+      item: { findFirst: async () => null },
+      wishlistItem: { deleteMany: async () => ({ count: 0 }) }
+    });
+
+    assertProblem(await request(app).post('/api/wishlist').set('Authorization', bearer()).send({ itemId: 99 }), 404, ERROR_CODES.NOT_FOUND);
+    assertProblem(await request(app).delete('/api/wishlist/4').set('Authorization', bearer()), 404, ERROR_CODES.NOT_FOUND);
+    assertProblem(await request(app).delete('/api/wishlist/abc').set('Authorization', bearer()), 400, ERROR_CODES.VALIDATION_FAILED);
+  });
+});
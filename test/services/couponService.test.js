@@ -0,0 +1,129 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ERROR_CODES } = require('../../src/errors');
+const {
+  COUPON_TYPE,
+  CouponLimitError,
+  normalizeCouponCode,
+  checkCouponRules,
+  applyCoupon,
+  redeemCoupon
+} = require('../../src/services/couponService');
+
+const coupon = (fields = {}) => ({
+  id: 1,
+  code: 'SPRING10',
+  type: COUPON_TYPE.PERCENT,
+  value: 10,
+  active: true,
+  startsAt: null,
+  endsAt: null,
+  minOrderTotal: null,
+  maxRedemptions: null,
+  perUserLimit: null,
+  items: [],
+  categories: [],
+  ...fields
+});
+
+const lines = [
+  { itemId: 1, lineTotal: 20 },
+  { itemId: 2, lineTotal: 10 },
+  { itemId: 3, lineTotal: 0.01 }
+];
+
+// Shirts (2) sit under Clothing (1); item 3 is in Shoes (3)
+const context = (fields = {}) => ({
+  itemCategories: new Map([[1, 2], [2, 1], [3, 3]]),
+  categories: [{ id: 1, parentId: null }, { id: 2, parentId: 1 }, { id: 3, parentId: null }],
+  usage: { total: 0, byUser: 0 },
+  ...fields
+});
+
+describe('normalizeCouponCode', () => {
+  it('trims and uppercases', () => {
+    assert.equal(normalizeCouponCode('  spring10 '), 'SPRING10');
+  });
+});
+
+describe('checkCouponRules', () => {
+  it('rejects percentages over 100 and windows that end before they start', () => {
+    assert.match(checkCouponRules({ type: COUPON_TYPE.PERCENT, value: 150 }), /100%/);
+    assert.match(checkCouponRules({ type: COUPON_TYPE.FIXED, value: 5, startsAt: '2025-06-02', endsAt: '2025-06-01' }), /endsAt/);
+  });
+
+  it('accepts consistent coupons', () => {
+    assert.equal(checkCouponRules({ type: COUPON_TYPE.FIXED, value: 150, startsAt: '2025-06-01', endsAt: '2025-06-02' }), null);
+  });
+});
+
+describe('applyCoupon', () => {
+  it('takes a percentage off each line', () => {
+    const result = applyCoupon(coupon(), lines, context());
+    assert.deepEqual(result.lines.map((line) => line.discount), [2, 1, 0]);
+    assert.equal(result.discount, 3);
+  });
+
+  it('spreads a fixed amount over lines so the shares add up to the discount', () => {
+    const result = applyCoupon(coupon({ type: COUPON_TYPE.FIXED, value: 10 }), lines, context());
+    const shares = result.lines.map((line) => line.discount);
+    assert.deepEqual(shares, [6.66, 3.33, 0.01]);
+    assert.equal(result.discount, 10);
+  });
+
+  it('caps a fixed amount at the eligible subtotal', () => {
+    const result = applyCoupon(coupon({ type: COUPON_TYPE.FIXED, value: 100, items: [{ id: 2 }] }), lines, context());
+    assert.deepEqual(result.lines.map((line) => line.discount), [0, 10, 0]);
+  });
+
+  it('applies category restrictions to subcategories', () => {
+    const result = applyCoupon(coupon({ categories: [{ id: 1 }] }), lines, context());
+    assert.deepEqual(result.lines.map((line) => line.discount), [2, 1, 0]);
+  });
+
+  it('rejects coupons that are inactive, out of their window, used up or below the minimum', () => {
+    const now = new Date('2025-06-15T00:00:00Z');
+    const cases = [
+      [coupon({ active: false }), context(), /not active/],
+      [coupon({ startsAt: new Date('2025-07-01') }), context({ now }), /not valid yet/],
+      [coupon({ endsAt: new Date('2025-06-01') }), context({ now }), /expired/],
+      [coupon({ maxRedemptions: 5 }), context({ usage: { total: 5, byUser: 0 } }), /usage limit/],
+      [coupon({ perUserLimit: 1 }), context({ usage: { total: 1, byUser: 1 } }), /usage limit/],
+      [coupon({ minOrderTotal: 50 }), context(), /at least 50/],
+      [coupon({ items: [{ id: 99 }] }), context(), /does not apply/]
+    ];
+
+    for (const [candidate, candidateContext, message] of cases) {
+      const result = applyCoupon(candidate, lines, candidateContext);
+      assert.match(result.error, message);
+      assert.equal(result.code, ERROR_CODES.INVALID_COUPON);
+    }
+  });
+});
+
+describe('redeemCoupon', () => {
+  // A transaction that already holds `existing` redemptions besides the one being written
+  const fakeTx = (existing) => {
+    const created = [];
+    return {
+      created,
+      couponRedemption: {
+        create: async ({ data }) => created.push(data),
+        count: async () => existing + created.length
+      }
+    };
+  };
+
+  it('records the redemption', async () => {
+    const tx = fakeTx(0);
+    await redeemCoupon(tx, coupon({ maxRedemptions: 1 }), { userId: 7, orderId: 3, discount: 2 });
+    assert.deepEqual(tx.created, [{ couponId: 1, userId: 7, orderId: 3, discount: 2 }]);
+  });
+
+  it('throws CouponLimitError when a concurrent checkout took the last use', async () => {
+    await assert.rejects(
+      redeemCoupon(fakeTx(1), coupon({ maxRedemptions: 1 }), { userId: 7, orderId: 3, discount: 2 }),
+      (error) => error instanceof CouponLimitError && error.code === ERROR_CODES.COUPON_LIMIT_REACHED
+    );
+  });
+});
@@ -0,0 +1,130 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../../src/config/config');
+const { LOGIN_ATTEMPTS_RESET, loginBlockedUntil, claimLoginAttempt } = require('../../src/services/loginThrottle');
+
+const { loginDelayBase, loginMaxAttempts, loginLockoutDuration } = config.auth;
+const now = new Date('2025-06-27T12:00:00Z');
+const secondsLater = (seconds) => new Date(now.getTime() + seconds * 1000);
+
+// An in-memory table supporting the calls loginThrottle makes, keyed by `key`.
+// Every call yields first, so concurrent claims interleave like real queries.
+const fakeTable = (key) => {
+  const rows = new Map();
+  const tick = () => new Promise((resolve) => setImmediate(resolve));
+  const matches = (row, where) => Object.entries(where).every(([field, value]) => row[field] === value);
+
+  return {
+    rows,
+    findUnique: async ({ where }) => {
+      await tick();
+      const row = rows.get(where[key]);
+      return row ? { ...row } : null;
+    },
+    updateMany: async ({ where, data }) => {
+      await tick();
+      const row = rows.get(where[key]);
+      if (!row || !matches(row, where)) {
+        return { count: 0 };
+      }
+      Object.assign(row, data);
+      return { count: 1 };
+    },
+    create: async ({ data }) => {
+      await tick();
+      if (rows.has(data[key])) {
+        throw Object.assign(new Error('Unique constraint failed'), { code: 'P2002' });
+      }
+      rows.set(data[key], { ...data });
+      return data;
+    },
+    deleteMany: async () => ({ count: 0 })
+  };
+};
+
+const setup = (fields = {}) => {
+  const client = { user: fakeTable('id'), unknownLoginEmail: fakeTable('email') };
+  const user = { id: 1, ...LOGIN_ATTEMPTS_RESET, ...fields };
+  client.user.rows.set(1, { ...user });
+  return { client, user };
+};
+
+describe('loginBlockedUntil', () => {
+  it('lets accounts without failures try', () => {
+    assert.equal(loginBlockedUntil({ ...LOGIN_ATTEMPTS_RESET }, now), null);
+  });
+
+  it('doubles the delay with each failure', () => {
+    assert.deepEqual(
+      loginBlockedUntil({ failedLoginAttempts: 1, lastFailedLoginAt: now, loginLockedUntil: null }, now),
+      secondsLater(loginDelayBase)
+    );
+    assert.deepEqual(
+      loginBlockedUntil({ failedLoginAttempts: 3, lastFailedLoginAt: now, loginLockedUntil: null }, now),
+      secondsLater(loginDelayBase * 4)
+    );
+  });
+
+  it('uses the lockout once it is later than the delay, and ignores past ones', () => {
+    const lockedUntil = secondsLater(loginLockoutDuration);
+    assert.deepEqual(
+      loginBlockedUntil({ failedLoginAttempts: loginMaxAttempts, lastFailedLoginAt: now, loginLockedUntil: lockedUntil }, now),
+      lockedUntil
+    );
+    assert.equal(
+      loginBlockedUntil({ failedLoginAttempts: loginMaxAttempts, lastFailedLoginAt: now, loginLockedUntil: now }, secondsLater(1)),
+      null
+    );
+  });
+});
+
+describe('claimLoginAttempt', () => {
+  it('counts the attempt before the password is checked, and release puts it back', async () => {
+    const { client, user } = setup();
+
+    const attempt = await claimLoginAttempt(client, { user }, now);
+    assert.equal(attempt.blockedUntil, null);
+    assert.equal(client.user.rows.get(1).failedLoginAttempts, 1);
+
+    await attempt.release();
+    assert.deepEqual(client.user.rows.get(1), { id: 1, ...LOGIN_ATTEMPTS_RESET });
+  });
+
+  it('lets one of several concurrent guesses through', async () => {
+    const { client, user } = setup();
+
+    const attempts = await Promise.all([1, 2, 3, 4, 5].map(() => claimLoginAttempt(client, { user }, now)));
+
+    assert.equal(attempts.filter((attempt) => !attempt.blockedUntil).length, 1);
+    assert.equal(client.user.rows.get(1).failedLoginAttempts, 1);
+  });
+
+  it('blocks attempts during a delay', async () => {
+    const { client, user } = setup({ failedLoginAttempts: 2, lastFailedLoginAt: now });
+
+    const attempt = await claimLoginAttempt(client, { user }, secondsLater(loginDelayBase));
+    assert.deepEqual(attempt.blockedUntil, secondsLater(loginDelayBase * 2));
+    assert.equal(client.user.rows.get(1).failedLoginAttempts, 2);
+  });
+
+  it('locks the account out on the last allowed attempt', async () => {
+    const lastFailedLoginAt = secondsLater(-3600);
+    const { client, user } = setup({ failedLoginAttempts: loginMaxAttempts - 1, lastFailedLoginAt });
+
+    const attempt = await claimLoginAttempt(client, { user }, now);
+    assert.equal(attempt.locked, true);
+    assert.deepEqual(client.user.rows.get(1).loginLockedUntil, secondsLater(loginLockoutDuration));
+  });
+
+  it('throttles emails without an account the same way', async () => {
+    const { client } = setup();
+    const email = 'nobody@example.com';
+
+    const first = await Promise.all([1, 2].map(() => claimLoginAttempt(client, { user: null, email }, now)));
+    assert.equal(first.filter((attempt) => !attempt.blockedUntil).length, 1);
+
+    const second = await claimLoginAttempt(client, { user: null, email }, now);
+    assert.deepEqual(second.blockedUntil, secondsLater(loginDelayBase));
+    assert.equal(client.unknownLoginEmail.rows.get(email).failedLoginAttempts, 1);
+  });
+});
@@ -0,0 +1,15 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { PAYMENT_STATUS } = require('../../src/services/paymentStatus');
+const { refundUpdate } = require('../../src/services/paymentService');
+
+describe('refundUpdate', () => {
+  it('marks a payment refunded once the rounded total reaches the amount', () => {
+    // 10.10 + 20.20 is 30.299999999999997 in floating point
+    assert.deepEqual(refundUpdate({ amount: 30.3 }, 10.1 + 20.2), { status: PAYMENT_STATUS.REFUNDED, refundedAmount: 30.3 });
+  });
+
+  it('marks smaller totals partially refunded', () => {
+    assert.deepEqual(refundUpdate({ amount: 30.3 }, 10.1), { status: PAYMENT_STATUS.PARTIALLY_REFUNDED, refundedAmount: 10.1 });
+  });
+});
@@ -0,0 +1,115 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ERROR_CODES } = require('../../src/errors');
+const { COUPON_TYPE } = require('../../src/services/couponService');
+const { priceLine, buildOrderLines, priceOrder } = require('../../src/services/pricingService');
+
+const catalog = [
+  { id: 1, name: 'Classic T-Shirt', cost: 19.99, categoryId: 2, variants: [] },
+  {
+    id: 2,
+    name: 'Denim Jacket',
+    cost: 60,
+    categoryId: 1,
+    variants: [{ id: 10, sku: 'JKT-S', price: 55.5 }, { id: 11, sku: 'JKT-XL', price: null }]
+  }
+];
+
+const coupons = {
+  TEN: {
+    id: 1,
+    code: 'TEN',
+    type: COUPON_TYPE.FIXED,
+    value: 10,
+    active: true,
+    startsAt: null,
+    endsAt: null,
+    minOrderTotal: null,
+    maxRedemptions: null,
+    perUserLimit: null,
+    items: [],
+    categories: []
+  }
+};
+
+// Just enough of a Prisma client for pricing: the catalog, coupons and their redemptions
+const fakeClient = {
+  item: {
+    findMany: async ({ where }) => catalog.filter((item) => where.id.in.includes(item.id))
+  },
+  coupon: {
+    findUnique: async ({ where }) => coupons[where.code] || null
+  },
+  couponRedemption: {
+    count: async () => 0
+  },
+  category: {
+    findMany: async () => []
+  }
+};
+
+describe('priceLine', () => {
+  it('prices a line the way checkout does', () => {
+    assert.equal(priceLine(catalog[1], { variantId: 10, quantity: 2 }).lineTotal, 111);
+    assert.equal(priceLine(catalog[1], { variantId: 11, quantity: 1 }).unitPrice, 60);
+    assert.match(priceLine(catalog[1], { variantId: null, quantity: 1 }).error, /requires a variantId/);
+  });
+});
+
+describe('buildOrderLines', () => {
+  it('merges repeated items and prices variants over the item cost', async () => {
+    const { lines, itemCategories } = await buildOrderLines(fakeClient, [
+      { itemId: 1, quantity: 1 },
+      { itemId: 2, variantId: 10, quantity: 1 },
+      { itemId: 1, quantity: 2 },
+      { itemId: 2, variantId: 11, quantity: 1 }
+    ]);
+
+    assert.deepEqual(lines.map(({ itemId, variantId, sku, unitPrice, quantity, lineTotal }) => (
+      { itemId, variantId, sku, unitPrice, quantity, lineTotal }
+    )), [
+      { itemId: 1, variantId: null, sku: null, unitPrice: 19.99, quantity: 3, lineTotal: 59.97 },
+      { itemId: 2, variantId: 10, sku: 'JKT-S', unitPrice: 55.5, quantity: 1, lineTotal: 55.5 },
+      { itemId: 2, variantId: 11, sku: 'JKT-XL', unitPrice: 60, quantity: 1, lineTotal: 60 }
+    ]);
+    assert.deepEqual([...itemCategories], [[1, 2], [2, 1]]);
+  });
+
+  it('reports missing items', async () => {
+    const result = await buildOrderLines(fakeClient, [{ itemId: 1, quantity: 1 }, { itemId: 99, quantity: 1 }]);
+    assert.equal(result.code, ERROR_CODES.ITEMS_UNAVAILABLE);
+    assert.deepEqual(result.missingItemIds, [99]);
+  });
+
+  it('requires a variant of the item when it has variants', async () => {
+    assert.match((await buildOrderLines(fakeClient, [{ itemId: 2, quantity: 1 }])).error, /requires a variantId/);
+    assert.match((await buildOrderLines(fakeClient, [{ itemId: 1, variantId: 10, quantity: 1 }])).error, /does not belong/);
+  });
+});
+
+describe('priceOrder', () => {
+  it('totals an order without a coupon', async () => {
+    const result = await priceOrder(fakeClient, { items: [{ itemId: 1, quantity: 2 }], userId: 7 });
+    assert.equal(result.subtotal, 39.98);
+    assert.equal(result.discount, 0);
+    assert.equal(result.total, 39.98);
+    assert.equal(result.coupon, null);
+  });
+
+  it('applies a coupon', async () => {
+    const result = await priceOrder(fakeClient, {
+      items: [{ itemId: 1, quantity: 1 }, { itemId: 2, variantId: 10, quantity: 1 }],
+      couponCode: 'ten',
+      userId: 7
+    });
+    assert.equal(result.subtotal, 75.49);
+    assert.equal(result.discount, 10);
+    assert.equal(result.total, 65.49);
+    assert.equal(result.coupon.code, 'TEN');
+  });
+
+  it('rejects unknown coupons', async () => {
+    const result = await priceOrder(fakeClient, { items: [{ itemId: 1, quantity: 1 }], couponCode: 'NOPE', userId: 7 });
+    assert.equal(result.code, ERROR_CODES.INVALID_COUPON);
+  });
+});
@@ -0,0 +1,91 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { tokenize, parseQuery, rankItems, search } = require('../../src/services/searchEngine');
+
+const items = [
+  { id: 1, name: 'Classic T-Shirt', category: 'Clothing', description: 'Soft cotton tee', cost: 19.99, color: 'Blue', size: 'M' },
+  { id: 2, name: 'Oxford Shirt', category: 'Clothing', description: 'Button-down shirt for the office', cost: 45, color: 'White', size: 'L' },
+  { id: 3, name: 'Running Shoes', category: 'Footwear', description: 'Lightweight trainers', cost: 89.5, color: 'Black', size: null },
+  {
+    id: 4,
+    name: 'Denim Jacket',
+    category: 'Clothing',
+    description: 'Washed denim',
+    cost: 60,
+    color: null,
+    size: null,
+    variants: [{ color: 'Navy', size: 'S' }, { color: 'Grey', size: 'XL' }]
+  }
+];
+
+describe('tokenize', () => {
+  it('lowercases, drops stop words and single letters, and stems plurals', () => {
+    assert.deepEqual(tokenize('Show me some Blue Shirts & dresses, a b'), ['blue', 'shirt', 'dress']);
+  });
+
+  it('handles missing text', () => {
+    assert.deepEqual(tokenize(undefined), []);
+  });
+});
+
+describe('parseQuery', () => {
+  it('extracts colors, a price ceiling and a cheapest-first sort', () => {
+    const query = parseQuery('cheapest blue shirts under $30');
+    assert.deepEqual(query.filters, { colors: ['blue'], sizes: [], maxCost: 30 });
+    assert.equal(query.sort, 'cost');
+    assert.deepEqual(query.terms, ['shirt']);
+  });
+
+  it('reads price ranges in either order', () => {
+    const { filters } = parseQuery('jackets between 80 and 20 dollars');
+    assert.equal(filters.minCost, 20);
+    assert.equal(filters.maxCost, 80);
+  });
+
+  it('only treats single letters as sizes after "size"', () => {
+    assert.deepEqual(parseQuery('size m shirt').filters.sizes, ['M']);
+    assert.deepEqual(parseQuery('m shirt').filters.sizes, []);
+    assert.deepEqual(parseQuery('extra large jacket').filters.sizes, ['XL']);
+  });
+
+  it('treats grey and gray as the same color', () => {
+    assert.deepEqual(parseQuery('grey jacket').filters.colors, ['gray']);
+  });
+});
+
+describe('rankItems', () => {
+  it('filters on attributes and ranks by text relevance', () => {
+    const results = rankItems(items, parseQuery('shirt'));
+    assert.deepEqual(results.map((item) => item.id), [2, 1]);
+    assert.equal(results[0].relevanceScore, 1);
+    assert.ok(results[1].relevanceScore > 0 && results[1].relevanceScore < 1);
+  });
+
+  it('tolerates small typos', () => {
+    const results = rankItems(items, parseQuery('runing shoes'));
+    assert.deepEqual(results.map((item) => item.id), [3]);
+  });
+
+  it('matches colors and sizes through variants', () => {
+    assert.deepEqual(rankItems(items, parseQuery('navy')).map((item) => item.id), [4]);
+    assert.deepEqual(rankItems(items, parseQuery('gray xl')).map((item) => item.id), [4]);
+  });
+
+  it('sorts by cost when asked, and returns every match when there are no terms', () => {
+    const results = rankItems(items, parseQuery('most expensive'));
+    assert.deepEqual(results.map((item) => item.id), [3, 4, 2, 1]);
+    assert.ok(results.every((item) => item.relevanceScore === 1));
+  });
+
+  it('applies price limits', () => {
+    assert.deepEqual(rankItems(items, parseQuery('clothing over 50')).map((item) => item.id), [4]);
+  });
+});
+
+describe('search', () => {
+  it('returns the parsed query with the results', () => {
+    const { query, results } = search(items, 'white shirt');
+    assert.deepEqual(query.filters.colors, ['white']);
+    assert.deepEqual(results.map((item) => item.id), [2]);
+  });
+});
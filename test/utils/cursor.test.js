@@ -0,0 +1,18 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { encodeCursor, decodeCursor } = require('../../src/utils/cursor');
+
+describe('cursor', () => {
+  it('round-trips a payload through an opaque, URL-safe string', () => {
+    const cursor = encodeCursor({ id: 42, cost: 19.99 });
+    assert.match(cursor, /^[A-Za-z0-9_-]+$/);
+    assert.deepEqual(decodeCursor(cursor), { id: 42, cost: 19.99 });
+  });
+
+  it('returns null for anything that is not an object cursor', () => {
+    assert.equal(decodeCursor('not a cursor'), null);
+    assert.equal(decodeCursor(encodeCursor([1, 2])), null);
+    assert.equal(decodeCursor(encodeCursor(7)), null);
+    assert.equal(decodeCursor(encodeCursor(null)), null);
+  });
+});
@@ -0,0 +1,51 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { generateSecret, timeStep, codeForStep, verifyTotp, otpauthUri } = require('../../src/utils/totp');
+
+// The SHA1 secret from the RFC 6238 test vectors, "12345678901234567890", in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('codeForStep', () => {
+  it('matches the RFC 6238 test vectors, truncated to 6 digits', () => {
+    assert.equal(codeForStep(RFC_SECRET, timeStep(59 * 1000)), '287082');
+    assert.equal(codeForStep(RFC_SECRET, timeStep(1111111109 * 1000)), '081804');
+    assert.equal(codeForStep(RFC_SECRET, timeStep(20000000000 * 1000)), '353130');
+  });
+});
+
+describe('verifyTotp', () => {
+  const time = 1111111109 * 1000;
+
+  it('returns the matching step, allowing one step of drift either way', () => {
+    const step = timeStep(time);
+    assert.equal(verifyTotp(RFC_SECRET, '081804', { time }), step);
+    assert.equal(verifyTotp(RFC_SECRET, codeForStep(RFC_SECRET, step - 1), { time }), step - 1);
+    assert.equal(verifyTotp(RFC_SECRET, codeForStep(RFC_SECRET, step + 1), { time }), step + 1);
+    assert.equal(verifyTotp(RFC_SECRET, codeForStep(RFC_SECRET, step + 2), { time }), null);
+  });
+
+  it('rejects codes that are not six digits', () => {
+    assert.equal(verifyTotp(RFC_SECRET, '81804', { time }), null);
+    assert.equal(verifyTotp(RFC_SECRET, '08180a', { time }), null);
+  });
+});
+
+describe('generateSecret', () => {
+  it('generates 160-bit base32 secrets', () => {
+    const secret = generateSecret();
+    assert.match(secret, /^[A-Z2-7]{32}$/);
+    assert.notEqual(secret, generateSecret());
+  });
+});
+
+describe('otpauthUri', () => {
+  it('builds a URI authenticator apps accept', () => {
+    const uri = new URL(otpauthUri({ secret: RFC_SECRET, account: 'user@example.com', issuer: 'E-commerce API' }));
+    assert.equal(uri.protocol, 'otpauth:');
+    assert.equal(uri.host, 'totp');
+    assert.equal(decodeURIComponent(uri.pathname), '/E-commerce API:user@example.com');
+    assert.equal(uri.searchParams.get('secret'), RFC_SECRET);
+    assert.equal(uri.searchParams.get('digits'), '6');
+    assert.equal(uri.searchParams.get('period'), '30');
+  });
+});
@@ -0,0 +1,32 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { signPayload, verifySignature } = require('../../src/utils/webhookSignature');
+
+const secret = 'whsec_test';
+const body = JSON.stringify({ id: 'evt_1', type: 'payment.succeeded' });
+const now = () => Math.floor(Date.now() / 1000);
+
+describe('webhookSignature', () => {
+  it('verifies a signature it made', () => {
+    assert.equal(verifySignature(body, signPayload(body, secret), secret, 300), true);
+    assert.equal(verifySignature(Buffer.from(body), signPayload(body, secret), secret, 300), true);
+  });
+
+  it('rejects a changed body or a different secret', () => {
+    const header = signPayload(body, secret);
+    assert.equal(verifySignature(`${body} `, header, secret, 300), false);
+    assert.equal(verifySignature(body, header, 'whsec_other', 300), false);
+  });
+
+  it('rejects signatures outside the tolerance', () => {
+    assert.equal(verifySignature(body, signPayload(body, secret, now() - 301), secret, 300), false);
+    assert.equal(verifySignature(body, signPayload(body, secret, now() - 299), secret, 300), true);
+  });
+
+  it('rejects missing or malformed headers', () => {
+    assert.equal(verifySignature(body, undefined, secret, 300), false);
+    assert.equal(verifySignature(body, 'garbage', secret, 300), false);
+    assert.equal(verifySignature(body, `t=${now()},v1=abc`, secret, 300), false);
+    assert.equal(verifySignature('', signPayload('', secret), secret, 300), false);
+  });
+});